@@ -0,0 +1,130 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { findAllItems, getAttendanceEventsInRange } from 'backend/attendanceStore';
+import { sendAbsenceNotification } from 'backend/attendanceNotifications';
+import { getNoticesForDay } from 'backend/absenceNotices';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { getSessionForDay } from 'backend/punctuality';
+import { loadSchoolCalendar, getSchoolDayInfo } from 'backend/schoolCalendar';
+import { getClassMemberships, isMemberOn, loadHomeroomResolver } from 'backend/classes';
+import { toDateKey, getZonedParts, getDayStart, zonedTimeToUtc } from 'public/dateUtils';
+
+// One item per student reported as not arrived on a day
+// Fields: studentId, dateKey ("YYYY-MM-DD"), sessionStart ("HH:MM"), detectedAt,
+// notificationSent (whether parents were emailed)
+export const ABSENCE_ALERTS_COLLECTION = "AbsenceAlerts";
+
+/**
+ * Absence alerts recorded for a day ("YYYY-MM-DD")
+ */
+export async function getAbsenceAlerts(dateKey) {
+    const elevatedQuery = elevate(wixData.query);
+    return findAllItems(elevatedQuery(ABSENCE_ALERTS_COLLECTION)
+        .eq("dateKey", dateKey)
+        .ascending("detectedAt"));
+}
+
+/**
+ * Scheduled job: report students with no login by absenceCheckMinutes after their session start
+ * Scheduled six times an hour via jobs.config (jobs run at most hourly, so there is one entry
+ * per 10-minute offset), so alerts go out within 10 minutes of the check time
+ * Students without a session today, with an absence or late notice (AbsenceNotices) or
+ * already alerted today are skipped; holidays, closures and days outside term are skipped entirely
+ * Students whose class memberships (ClassMemberships) have all ended are no longer enrolled
+ */
+export async function runAbsenceCheck() {
+    try {
+        console.log("=== CHECKING FOR STUDENTS NOT ARRIVED ===");
+
+        const now = new Date();
+        const settings = await getSchoolSettings();
+        const timeZone = settings.timeZone;
+        const todayKey = toDateKey(now, timeZone);
+
+        const dayInfo = getSchoolDayInfo(await loadSchoolCalendar(todayKey, todayKey), todayKey, settings);
+        if (!dayInfo.isSchoolDay) {
+            console.log(`No school today (${dayInfo.reason}) - skipping absence check`);
+            return { success: true, skipped: true, alertsRecorded: 0 };
+        }
+
+        const elevatedQuery = elevate(wixData.query);
+        const elevatedInsert = elevate(wixData.insert);
+        const weekday = getZonedParts(now, timeZone).weekday;
+
+        const students = await findAllItems(elevatedQuery("Students"));
+        const todayEvents = await getAttendanceEventsInRange({ from: getDayStart(now, timeZone), to: now });
+        const arrivedIds = new Set(todayEvents
+            .filter(event => event.status === "login")
+            .map(event => event.studentId));
+        const excusedIds = new Set((await getNoticesForDay(todayKey))
+            .filter(notice => notice.type === "absence" || notice.type === "late")
+            .map(notice => notice.studentId));
+        const alertedIds = new Set((await getAbsenceAlerts(todayKey)).map(alert => alert.studentId));
+
+        // Students without any membership predate classes and count as enrolled
+        const memberships = await getClassMemberships({ fromKey: "0000-01-01", toKey: todayKey });
+        const studentsWithMembership = new Set(memberships.map(membership => membership.studentId));
+        const enrolledIds = new Set(memberships
+            .filter(membership => isMemberOn(membership, todayKey))
+            .map(membership => membership.studentId));
+        const resolveClassName = await loadHomeroomResolver({ fromKey: todayKey, toKey: todayKey });
+
+        const notArrived = [];
+        let notificationsSent = 0;
+
+        for (const student of students) {
+            if (studentsWithMembership.has(student._id) && !enrolledIds.has(student._id)) {
+                continue;
+            }
+            const session = getSessionForDay(settings, resolveClassName(student, todayKey), weekday);
+            if (!session) {
+                continue;
+            }
+
+            const checkAt = zonedTimeToUtc(todayKey, session.start, timeZone).getTime() + settings.absenceCheckMinutes * 60000;
+            if (now.getTime() < checkAt || arrivedIds.has(student._id) ||
+                excusedIds.has(student._id) || alertedIds.has(student._id)) {
+                continue;
+            }
+
+            console.warn(`🚸 ${student.name} (${student._id}) has not arrived (session ${session.start})`);
+
+            // Notification failure must not stop the alert being listed for staff
+            let notificationSent = false;
+            if (settings.absenceNotifications) {
+                try {
+                    await sendAbsenceNotification(student._id, session.start, now);
+                    notificationSent = true;
+                    notificationsSent++;
+                } catch (emailError) {
+                    console.error(`❌ Absence email failed for ${student._id}:`, emailError);
+                }
+            }
+
+            await elevatedInsert(ABSENCE_ALERTS_COLLECTION, {
+                studentId: student._id,
+                dateKey: todayKey,
+                sessionStart: session.start,
+                detectedAt: now,
+                notificationSent: notificationSent
+            });
+            notArrived.push(student._id);
+        }
+
+        console.log(`Absence check completed. Not arrived: ${notArrived.length}, Emails sent: ${notificationsSent}`);
+
+        return {
+            success: true,
+            skipped: false,
+            dateKey: todayKey,
+            notArrived: notArrived,
+            alertsRecorded: notArrived.length,
+            notificationsSent: notificationsSent,
+            timestamp: now.toISOString()
+        };
+
+    } catch (error) {
+        console.error("Error in runAbsenceCheck:", error);
+        throw new Error(`Failed to check absences: ${error.message}`);
+    }
+}
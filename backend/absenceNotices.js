@@ -0,0 +1,142 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { findAllItems } from 'backend/attendanceStore';
+import { addDaysToDateKey } from 'public/dateUtils';
+
+// One item per absence, late arrival or early pickup reported for a student
+// Fields: studentId, type, startDate, endDate ("YYYY-MM-DD", inclusive), reasonCategory, note,
+// status ("reported" by a parent, "approved" when recorded by staff), submittedBy
+// ("parent:<id>" or "member:<id>")
+export const ABSENCE_NOTICES_COLLECTION = "AbsenceNotices";
+
+export const NOTICE_TYPES = ["absence", "late", "early-pickup"];
+export const REASON_CATEGORIES = ["illness", "appointment", "family", "other"];
+
+// Parent notices excuse the day without staff review
+const EXCUSING_STATUSES = ["reported", "approved"];
+
+// Punctuality (backend/punctuality.js) excused by each notice type
+const EXCUSED_PUNCTUALITY = {
+    "late": "late",
+    "early-pickup": "early-leave"
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NOTE_LENGTH = 500;
+const MAX_NOTICE_DAYS = 31;
+
+/**
+ * Notices of all students covering a day ("YYYY-MM-DD")
+ */
+export async function getNoticesForDay(dateKey) {
+    const elevatedQuery = elevate(wixData.query);
+    return findAllItems(elevatedQuery(ABSENCE_NOTICES_COLLECTION)
+        .hasSome("status", EXCUSING_STATUSES)
+        .le("startDate", dateKey)
+        .ge("endDate", dateKey)
+        .ascending("startDate"));
+}
+
+/**
+ * Notices of all students overlapping fromKey..toKey, for school-wide reports
+ */
+export async function getNoticesInRange(fromKey, toKey) {
+    const elevatedQuery = elevate(wixData.query);
+    return findAllItems(elevatedQuery(ABSENCE_NOTICES_COLLECTION)
+        .hasSome("status", EXCUSING_STATUSES)
+        .le("startDate", toKey)
+        .ge("endDate", fromKey)
+        .ascending("startDate"));
+}
+
+/**
+ * A student's notices overlapping fromKey..toKey, newest first
+ */
+export async function getStudentNotices(studentId, fromKey, toKey) {
+    const elevatedQuery = elevate(wixData.query);
+    return findAllItems(elevatedQuery(ABSENCE_NOTICES_COLLECTION)
+        .eq("studentId", studentId)
+        .hasSome("status", EXCUSING_STATUSES)
+        .le("startDate", toKey)
+        .ge("endDate", fromKey)
+        .descending("startDate"));
+}
+
+/**
+ * Notice types covering each day of fromKey..toKey: Map of "YYYY-MM-DD" to a Set of types
+ */
+export function getNoticeTypesByDay(notices, fromKey, toKey) {
+    const typesByDay = new Map();
+    notices.forEach(notice => {
+        const start = notice.startDate > fromKey ? notice.startDate : fromKey;
+        const end = notice.endDate < toKey ? notice.endDate : toKey;
+        for (let dateKey = start; dateKey <= end; dateKey = addDaysToDateKey(dateKey, 1)) {
+            if (!typesByDay.has(dateKey)) {
+                typesByDay.set(dateKey, new Set());
+            }
+            typesByDay.get(dateKey).add(notice.type);
+        }
+    });
+    return typesByDay;
+}
+
+/**
+ * Whether a late arrival or early leave is covered by a late / early-pickup notice
+ * noticeTypes is the Set for the event's day from getNoticeTypesByDay
+ */
+export function isPunctualityExcused(punctuality, noticeTypes) {
+    if (!punctuality || !noticeTypes) {
+        return false;
+    }
+    return Object.keys(EXCUSED_PUNCTUALITY)
+        .some(type => noticeTypes.has(type) && EXCUSED_PUNCTUALITY[type] === punctuality);
+}
+
+/**
+ * Validate a notice and store it for a student
+ * notice: { type, startDate, endDate, reasonCategory, note }
+ */
+export async function createAbsenceNotice(studentId, notice, submittedBy, status) {
+    const type = notice.type || "absence";
+    const startDate = notice.startDate;
+    const endDate = notice.endDate || notice.startDate;
+    const reasonCategory = notice.reasonCategory || "other";
+    const note = typeof notice.note === 'string' ? notice.note.trim() : '';
+
+    if (!studentId) {
+        throw new Error("Student is required");
+    }
+    if (!NOTICE_TYPES.includes(type)) {
+        throw new Error(`Type must be one of: ${NOTICE_TYPES.join(', ')}`);
+    }
+    if (!REASON_CATEGORIES.includes(reasonCategory)) {
+        throw new Error(`Reason must be one of: ${REASON_CATEGORIES.join(', ')}`);
+    }
+    if (!DATE_KEY_PATTERN.test(startDate || '') || !DATE_KEY_PATTERN.test(endDate || '')) {
+        throw new Error("Dates must be YYYY-MM-DD");
+    }
+    if (endDate < startDate) {
+        throw new Error("End date must be on or after start date");
+    }
+    if (endDate > addDaysToDateKey(startDate, MAX_NOTICE_DAYS - 1)) {
+        throw new Error(`A notice can cover at most ${MAX_NOTICE_DAYS} days`);
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const student = await elevatedGet("Students", studentId);
+    if (!student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
+
+    const elevatedInsert = elevate(wixData.insert);
+    return elevatedInsert(ABSENCE_NOTICES_COLLECTION, {
+        studentId: studentId,
+        type: type,
+        startDate: startDate,
+        endDate: endDate,
+        reasonCategory: reasonCategory,
+        note: note.slice(0, MAX_NOTE_LENGTH),
+        status: status,
+        submittedBy: submittedBy
+    });
+}
@@ -0,0 +1,235 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { getCurrentParentData } from 'backend/attendanceManagement.web';
+import { findAllItems, getAttendanceEventsInRange } from 'backend/attendanceStore';
+import { getAbsenceAlerts } from 'backend/absenceDetection';
+import { getClassStudentIdsOn, loadHomeroomResolver } from 'backend/classes';
+import {
+    NOTICE_TYPES,
+    REASON_CATEGORIES,
+    getNoticesForDay,
+    getStudentNotices,
+    createAbsenceNotice
+} from 'backend/absenceNotices';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { toDate, toDateKey, formatTime, zonedTimeToUtc, addDaysToDateKey } from 'public/dateUtils';
+
+// Days of past notices listed for a student
+const NOTICE_HISTORY_DAYS = 90;
+
+/**
+ * Students by ID, for names and classes on the dashboard
+ */
+async function getStudentsById(studentIds) {
+    if (studentIds.length === 0) {
+        return new Map();
+    }
+    const elevatedQuery = elevate(wixData.query);
+    const students = await findAllItems(elevatedQuery("Students").hasSome("_id", studentIds));
+    return new Map(students.map(student => [student._id, student]));
+}
+
+/**
+ * The current member's parent record when the student is assigned to them, otherwise null
+ */
+async function getParentOfStudent(studentId) {
+    const parentData = await getCurrentParentData();
+    const assignedStudentIds = parentData && parentData.assignedStudents ?
+        parentData.assignedStudents.map(student => student._id) :
+        [];
+    return studentId && assignedStudentIds.includes(studentId) ? parentData : null;
+}
+
+/**
+ * Fields of a notice shown to parents and staff
+ */
+function toNoticeSummary(notice) {
+    return {
+        noticeId: notice._id,
+        studentId: notice.studentId,
+        type: notice.type,
+        startDate: notice.startDate,
+        endDate: notice.endDate,
+        reasonCategory: notice.reasonCategory || "other",
+        note: notice.note || '',
+        reportedByParent: notice.status === "reported"
+    };
+}
+
+/**
+ * Staff dashboard of one day (default today): students reported as not arrived
+ * by the absence check, whether they arrived since, and the day's absence, late
+ * and early-pickup notices from parents and staff
+ * Optional classId limits the lists to students in that class on the day
+ */
+export const getAbsenceDashboard = webMethod(
+    Permissions.SiteMember,
+    async (dateKey = null, classId = null) => {
+        try {
+            await requireAccess("getAbsenceDashboard");
+
+            const settings = await getSchoolSettings();
+            const timeZone = settings.timeZone;
+            const dayKey = dateKey || toDateKey(new Date(), timeZone);
+
+            const classStudentIds = classId ? await getClassStudentIdsOn(classId, dayKey) : null;
+            const inClass = (item) => !classStudentIds || classStudentIds.has(item.studentId);
+            const alerts = (await getAbsenceAlerts(dayKey)).filter(inClass);
+            const notices = (await getNoticesForDay(dayKey)).filter(inClass);
+            const students = await getStudentsById([...new Set([
+                ...alerts.map(alert => alert.studentId),
+                ...notices.map(notice => notice.studentId)
+            ])]);
+
+            // First login of each student that day, to show late arrivals after an alert
+            const dayEvents = await getAttendanceEventsInRange({
+                from: zonedTimeToUtc(dayKey, "00:00", timeZone),
+                to: zonedTimeToUtc(addDaysToDateKey(dayKey, 1), "00:00", timeZone)
+            });
+            const resolveClassName = await loadHomeroomResolver({ fromKey: dayKey, toKey: dayKey });
+            const firstLogins = new Map();
+            dayEvents
+                .filter(event => event.status === "login" && !firstLogins.has(event.studentId))
+                .forEach(event => firstLogins.set(event.studentId, toDate(event.timestamp)));
+
+            const notArrived = alerts.map(alert => {
+                const student = students.get(alert.studentId);
+                const arrivedAt = firstLogins.get(alert.studentId) || null;
+                return {
+                    studentId: alert.studentId,
+                    studentName: student ? student.name : 'Unknown',
+                    className: student ? resolveClassName(student, dayKey) : null,
+                    sessionStart: alert.sessionStart,
+                    detectedLocal: formatTime(toDate(alert.detectedAt), timeZone),
+                    notificationSent: !!alert.notificationSent,
+                    arrived: !!arrivedAt,
+                    arrivedLocal: arrivedAt ? formatTime(arrivedAt, timeZone) : null
+                };
+            });
+
+            const dayNotices = notices.map(notice => {
+                const student = students.get(notice.studentId);
+                return {
+                    ...toNoticeSummary(notice),
+                    studentName: student ? student.name : 'Unknown',
+                    className: student ? resolveClassName(student, dayKey) : null
+                };
+            });
+
+            return {
+                success: true,
+                dateKey: dayKey,
+                absenceCheckMinutes: settings.absenceCheckMinutes,
+                notArrived: notArrived,
+                stillMissingCount: notArrived.filter(row => !row.arrived).length,
+                notices: dayNotices
+            };
+
+        } catch (error) {
+            console.error("Error getting absence dashboard:", error);
+            throw new Error(`Failed to get absence dashboard: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Record a notice reported to the office (e.g. by phone) as approved
+ * notice: { type, startDate, endDate, reasonCategory, note }
+ * The absence check skips the student on absence and late days
+ */
+export const recordAbsenceAsStaff = webMethod(
+    Permissions.SiteMember,
+    async (studentId, notice = {}) => {
+        try {
+            await requireAccess("recordAbsenceAsStaff");
+
+            const member = await currentMember.getMember();
+            const saved = await createAbsenceNotice(studentId, notice || {}, `member:${member._id}`, "approved");
+
+            console.log(`✅ ${saved.type} notice recorded for ${studentId} (${saved.startDate} - ${saved.endDate}) by member ${member._id}`);
+
+            return {
+                success: true,
+                notice: toNoticeSummary(saved)
+            };
+
+        } catch (error) {
+            console.error("Error recording absence:", error);
+            throw new Error(`Failed to record absence: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Submit an absence, late or early-pickup notice from the parent portal
+ * notice: { type, startDate, endDate, reasonCategory, note }
+ * Only the student's own parents can submit; the notice excuses the days at once,
+ * so it may start at most parentNoticeBackdateDays before today (older days go through staff)
+ */
+export const submitAbsenceNotice = webMethod(
+    Permissions.SiteMember,
+    async (studentId, notice = {}) => {
+        try {
+            const parentData = await getParentOfStudent(studentId);
+            if (!parentData) {
+                throw new Error("Unauthorized: Student not assigned to this parent");
+            }
+
+            const settings = await getSchoolSettings();
+            const earliestStartDate = addDaysToDateKey(toDateKey(new Date(), settings.timeZone), -settings.parentNoticeBackdateDays);
+            if (notice && typeof notice.startDate === 'string' && notice.startDate < earliestStartDate) {
+                throw new Error(`Notices can start at most ${settings.parentNoticeBackdateDays} days ago; please contact the school office for earlier days`);
+            }
+
+            const saved = await createAbsenceNotice(studentId, notice || {}, `parent:${parentData._id}`, "reported");
+
+            console.log(`📝 ${saved.type} notice submitted for ${studentId} (${saved.startDate} - ${saved.endDate}) by parent ${parentData._id}`);
+
+            return {
+                success: true,
+                notice: toNoticeSummary(saved)
+            };
+
+        } catch (error) {
+            console.error("Error submitting absence notice:", error);
+            throw new Error(`Failed to submit notice: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * A student's notices from the last 90 days onwards, newest first
+ * Allowed for the student's parents and for staff
+ */
+export const getAbsenceNotices = webMethod(
+    Permissions.SiteMember,
+    async (studentId) => {
+        try {
+            if (!studentId) {
+                throw new Error("Student ID is required");
+            }
+
+            if (!await getParentOfStudent(studentId)) {
+                await requireAccess("getAbsenceNotices");
+            }
+
+            const settings = await getSchoolSettings();
+            const todayKey = toDateKey(new Date(), settings.timeZone);
+            const notices = await getStudentNotices(studentId, addDaysToDateKey(todayKey, -NOTICE_HISTORY_DAYS), "9999-12-31");
+
+            return {
+                success: true,
+                notices: notices.map(notice => toNoticeSummary(notice)),
+                types: NOTICE_TYPES,
+                reasonCategories: REASON_CATEGORIES
+            };
+
+        } catch (error) {
+            console.error("Error getting absence notices:", error);
+            throw new Error(`Failed to get notices: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,25 @@
+import { voidAttendanceEvent } from 'backend/attendanceStore';
+import { sendAttendanceCorrection } from 'backend/attendanceNotifications';
+
+/**
+ * Void a mistaken attendance event and follow up with parents
+ * voidedBy records who undid it ("kiosk:<kioskId>" or "member:<memberId>")
+ * Parents only hear about kiosk taps and staff overrides, so only those get a correction email
+ */
+export async function undoAttendanceEventWithFollowUp(event, { voidedBy, reason }) {
+    const voided = await voidAttendanceEvent(event, { voidedBy: voidedBy, reason: reason });
+    console.log(`↩️ Voided ${event.status} event ${event._id} for student ${event.studentId} (by ${voidedBy})`);
+
+    // Correction failure must not restore the voided event
+    let notification = null;
+    if (event.type === "user-input" || event.type === "staff-override") {
+        try {
+            notification = await sendAttendanceCorrection(event.studentId, event.status, event.timestamp);
+        } catch (emailError) {
+            console.error("❌ Correction notification failed:", emailError);
+            notification = { success: false, message: emailError.message };
+        }
+    }
+
+    return { event: voided, notification: notification };
+}
@@ -0,0 +1,89 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { getAttendanceEvent, getStudentAttendanceEvents } from 'backend/attendanceStore';
+import { undoAttendanceEventWithFollowUp } from 'backend/attendanceCorrections';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { toDate, formatZonedTimestamp } from 'public/dateUtils';
+
+/**
+ * List a student's recent attendance events with their IDs for correction
+ */
+export const getStudentEventsForCorrection = webMethod(
+    Permissions.SiteMember,
+    async (studentId, daysBack = 7) => {
+        try {
+            await requireAccess("getStudentEventsForCorrection");
+
+            const elevatedGet = elevate(wixData.get);
+            const student = await elevatedGet("Students", studentId);
+            if (!student) {
+                throw new Error(`Student not found: ${studentId}`);
+            }
+
+            const from = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
+            const events = await getStudentAttendanceEvents(student, { from: from });
+            const timeZone = await getSchoolTimeZone();
+
+            return {
+                success: true,
+                studentName: student.name || 'Unknown',
+                events: events
+                    .filter(event => event._id)
+                    .reverse()
+                    .map(event => ({
+                        eventItemId: event._id,
+                        status: event.status,
+                        type: event.type,
+                        sourceKiosk: event.sourceKiosk,
+                        actor: event.actor || null,
+                        reason: event.reason || null,
+                        localTimestamp: formatZonedTimestamp(toDate(event.timestamp), timeZone)
+                    })),
+                timeZone: timeZone
+            };
+
+        } catch (error) {
+            console.error("Error getting events for correction:", error);
+            throw new Error(`Failed to get attendance events: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Undo a mistaken attendance event on behalf of a student
+ * The event is voided with the staff member recorded as voidedBy
+ */
+export const undoAttendanceEventAsStaff = webMethod(
+    Permissions.SiteMember,
+    async (eventItemId, reason = "staff-correction") => {
+        try {
+            await requireAccess("undoAttendanceEventAsStaff");
+
+            const member = await currentMember.getMember();
+            const event = await getAttendanceEvent(eventItemId);
+            if (!event) {
+                throw new Error(`Attendance event not found: ${eventItemId}`);
+            }
+
+            const undo = await undoAttendanceEventWithFollowUp(event, {
+                voidedBy: `member:${member._id}`,
+                reason: reason
+            });
+
+            return {
+                success: true,
+                eventItemId: event._id,
+                undoneAction: event.status,
+                voidedBy: undo.event.voidedBy,
+                notification: undo.notification
+            };
+
+        } catch (error) {
+            console.error("Error undoing attendance event:", error);
+            throw new Error(`Failed to undo attendance event: ${error.message}`);
+        }
+    }
+);
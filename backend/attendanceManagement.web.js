@@ -2,6 +2,22 @@ import { Permissions, webMethod } from 'wix-web-module';
 import { currentMember } from 'wix-members-backend';
 import { elevate } from 'wix-auth';
 import wixData from 'wix-data';
+import { getStudentAttendanceEvents } from 'backend/attendanceStore';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { PUNCTUALITY, classifyAttendanceEvents } from 'backend/punctuality';
+import { loadSchoolCalendar } from 'backend/schoolCalendar';
+import { resolveStatisticsRange, summarizeStudentAttendance, getExpectedSchoolDays } from 'backend/attendanceStatistics';
+import { getStudentNotices, getNoticeTypesByDay, isPunctualityExcused } from 'backend/absenceNotices';
+import { loadHomeroomResolver } from 'backend/classes';
+import { toDate, toDateKey, formatTime, formatDisplayDate } from 'public/dateUtils';
+
+/**
+ * Expected school days in fromKey..toKey covered by an absence notice on which the student has no event
+ */
+function getExcusedAbsenceDays(getClassNameOn, typesByDay, attendedDays, calendar, fromKey, toKey, settings) {
+    return getExpectedSchoolDays(getClassNameOn, calendar, settings, fromKey, toKey)
+        .filter(dateKey => typesByDay.has(dateKey) && typesByDay.get(dateKey).has("absence") && !attendedDays.has(dateKey));
+}
 
 /**
  * Get current parent data based on authenticated member
@@ -35,10 +51,14 @@ export const getCurrentParentData = webMethod(
  * Get attendance history for a specific student
  * Verifies parent authorization before returning data
  * Language parameter determines date format (ja = Japanese, en = English)
+ * Optional location limits the listed taps to one kiosk location; late arrivals, early
+ * leaves and absent days are still worked out from the taps at every location
+ * Parent and staff notices (backend/absenceNotices.js) mark late arrivals, early
+ * leaves and absent school days as excused
  */
 export const getStudentAttendanceHistory = webMethod(
     Permissions.SiteMember,
-    async (studentId, language = 'en') => {
+    async (studentId, language = 'en', location = null) => {
         try {
             if (!studentId) {
                 throw new Error("Student ID is required");
@@ -66,14 +86,58 @@ export const getStudentAttendanceHistory = webMethod(
             }
 
             const student = studentResults.items[0];
-            const attendanceHistory = student.attendanceHistory || [];
+            const settings = await getSchoolSettings();
+            const timeZone = settings.timeZone;
+            const events = await getStudentAttendanceEvents(student);
+            const todayKey = toDateKey(new Date(), timeZone);
+            const notices = await getStudentNotices(studentId, "0000-01-01", todayKey);
+
+            // History runs from the first event or notice, whichever is earlier
+            const startKeys = [
+                ...(events.length > 0 ? [toDateKey(toDate(events[0].timestamp), timeZone)] : []),
+                ...notices.map(notice => notice.startDate)
+            ];
+            const fromKey = startKeys.length > 0 ? startKeys.reduce((min, key) => key < min ? key : min) : todayKey;
+            const calendar = startKeys.length > 0 ? await loadSchoolCalendar(fromKey, todayKey) : null;
+
+            // Each day is classified with the homeroom the student was in that day
+            const resolveClassName = await loadHomeroomResolver({ fromKey: fromKey, toKey: todayKey, studentId: studentId });
+            const getClassNameOn = dateKey => resolveClassName(student, dateKey);
+            const punctuality = classifyAttendanceEvents(events, getClassNameOn, settings, calendar);
+
+            const noticeTypesByDay = getNoticeTypesByDay(notices, fromKey, todayKey);
+            const eventDays = events.map(event => toDateKey(toDate(event.timestamp), timeZone));
+            const excusedAbsenceDays = calendar ?
+                getExcusedAbsenceDays(getClassNameOn, noticeTypesByDay, new Set(eventDays), calendar, fromKey, todayKey, settings) :
+                [];
 
             // Format data for frontend display with language support
-            const formattedData = formatAttendanceData(attendanceHistory, student.name, language);
+            const isShown = event => !location || event.location === location;
+            const formattedData = formatAttendanceData(events, student.name, language, timeZone, punctuality, noticeTypesByDay, isShown);
+            const shownIndexes = events.map((event, index) => index).filter(index => isShown(events[index]));
 
             return {
                 studentName: student.name,
-                attendanceData: formattedData
+                attendanceData: formattedData,
+                rawAttendanceData: shownIndexes.map(index => ({
+                    timestamp: toDate(events[index].timestamp).toISOString(),
+                    status: events[index].status,
+                    type: events[index].type,
+                    location: events[index].location || null,
+                    pickedUpBy: events[index].pickedUpByName || null,
+                    punctuality: punctuality[index],
+                    excused: isPunctualityExcused(punctuality[index], noticeTypesByDay.get(eventDays[index]))
+                })),
+                // Kiosk locations in the student's history, for the location filter
+                locations: [...new Set(events.map(event => event.location).filter(Boolean))].sort(),
+                location: location || null,
+                excusedAbsences: excusedAbsenceDays.map(dateKey => ({
+                    dateKey: dateKey,
+                    reasonCategory: notices.find(notice =>
+                        notice.type === "absence" && notice.startDate <= dateKey && notice.endDate >= dateKey
+                    ).reasonCategory || "other"
+                })),
+                timeZone: timeZone
             };
             
         } catch (error) {
@@ -85,123 +149,87 @@ export const getStudentAttendanceHistory = webMethod(
 
 /**
  * Format attendance data for table display
- * Groups multiple login/logout events per day and handles system-fix status
+ * Groups multiple login/logout events per school-timezone day and handles system-fix status
  * Supports multilingual date formatting (English/Japanese)
+ * punctuality holds the classification of each event (backend/punctuality.js)
+ * noticeTypesByDay marks days with a parent or staff notice as excused
+ * isShown picks the events listed (location filter); late and early-leave flags
+ * still come from every event of a listed day
  */
-function formatAttendanceData(attendanceHistory, studentName, language = 'en') {
-    // Map for Japanese day kanji characters
-    const dayKanjiMap = {
-        'Sunday': '日',
-        'Monday': '月',
-        'Tuesday': '火',
-        'Wednesday': '水',
-        'Thursday': '木',
-        'Friday': '金',
-        'Saturday': '土'
-    };
-
-    // Group records by date (YYYY/MM/DD)
+function formatAttendanceData(events, studentName, language = 'en', timeZone, punctuality = [], noticeTypesByDay = new Map(), isShown = () => true) {
+    // Group events by calendar day in the school timezone
     const grouped = {};
 
-    attendanceHistory.forEach(record => {
-        // Parse date from record (handles multiple timestamp formats)
-        let dateObj;
-        try {
-            if (record.date.includes('JST') || record.date.includes('T')) {
-                // Handle ISO format or JST format from legacy data
-                dateObj = new Date(record.date.replace(' JST', ''));
-            } else {
-                // Handle current format YYYY-MM-DD HH:MM:SS
-                dateObj = new Date(record.date);
-            }
-        } catch (error) {
-            console.error("Error parsing date:", record.date, error);
-            return; // Skip invalid date records
-        }
-
-        // Validate parsed date
-        if (isNaN(dateObj.getTime())) {
-            console.error("Invalid date object:", record.date);
-            return; // Skip invalid dates
+    events.forEach((event, index) => {
+        const dateObj = toDate(event.timestamp);
+        if (!dateObj) {
+            console.error("Invalid event timestamp:", event.timestamp);
+            return; // Skip invalid timestamps
         }
 
-        // Format date string for grouping (YYYY/MM/DD)
-        const year = dateObj.getFullYear();
-        const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-        const day = String(dateObj.getDate()).padStart(2, '0');
-        const dateKey = `${year}/${month}/${day}`;
-
-        // Get day name in English for formatting
-        const dayName = dateObj.toLocaleDateString('en-US', { weekday: 'long' });
-
-        // Format date display based on language parameter
-        let dateDisplay = '';
-        if (language === 'ja') {
-            // Japanese format: YYYY/MM/DD Kanji
-            const kanji = dayKanjiMap[dayName] || '';
-            dateDisplay = `${year}/${month}/${day} ${kanji}`;
-        } else {
-            // English format: YYYY/MM/DD, Day
-            dateDisplay = `${year}/${month}/${day}, ${dayName}`;
-        }
+        const dateKey = toDateKey(dateObj, timeZone);
 
         // Initialize date group if doesn't exist
         if (!grouped[dateKey]) {
             grouped[dateKey] = {
                 studentName: studentName,
-                date: dateDisplay,
+                date: formatDisplayDate(dateKey, language),
                 login: [],
                 logout: [],
-                sortDate: dateObj.getTime()
+                late: false,
+                earlyLeave: false,
+                excused: noticeTypesByDay.has(dateKey),
+                shown: false
             };
         }
 
-        // Format time as HH:MM (24h format)
-        const time = dateObj.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
+        if (punctuality[index] === PUNCTUALITY.LATE) {
+            grouped[dateKey].late = true;
+        } else if (punctuality[index] === PUNCTUALITY.EARLY_LEAVE) {
+            grouped[dateKey].earlyLeave = true;
+        }
+
+        if (!isShown(event)) {
+            return;
+        }
+        grouped[dateKey].shown = true;
+
+        // Format time as HH:MM (24h format) in the school timezone
+        const time = formatTime(dateObj, timeZone);
 
         // Add login/logout events to respective arrays
-        if (record.status === 'login') {
+        if (event.status === 'login') {
             grouped[dateKey].login.push(time);
-        } else if (record.status === 'logout') {
-            // Check for system-fix status (supports both old and new field names)
-            if (record.type === 'system-fix' || record.systemfix === true) {
-                grouped[dateKey].logout.push('#'); // Show # for system fixes
-            } else {
-                grouped[dateKey].logout.push(time);
-            }
+        } else if (event.status === 'logout') {
+            // Show # for system fixes
+            grouped[dateKey].logout.push(event.type === 'system-fix' ? '#' : time);
         }
     });
 
-    // Convert grouped data to array and format login/logout as multiline strings
-    const rows = Object.values(grouped).map(item => ({
-        studentName: item.studentName,
-        date: item.date,
-        login: item.login.join('\n'),    // Multiple logins on separate lines
-        logout: item.logout.join('\n'),  // Multiple logouts on separate lines
-        sortDate: item.sortDate
-    }));
-
-    // Sort rows by date descending (newest first)
-    rows.sort((a, b) => b.sortDate - a.sortDate);
-
-    // Remove sortDate from final result for table display
-    return rows.map(item => {
-        const { sortDate, ...result } = item;
-        return result;
-    });
+    // Sort days descending (newest first); "YYYY-MM-DD" keys sort chronologically
+    return Object.keys(grouped)
+        .filter(dateKey => grouped[dateKey].shown)
+        .sort((a, b) => b.localeCompare(a))
+        .map(dateKey => ({
+            studentName: grouped[dateKey].studentName,
+            date: grouped[dateKey].date,
+            login: grouped[dateKey].login.join('\n'),    // Multiple logins on separate lines
+            logout: grouped[dateKey].logout.join('\n'),  // Multiple logouts on separate lines
+            late: grouped[dateKey].late,
+            earlyLeave: grouped[dateKey].earlyLeave,
+            excused: grouped[dateKey].excused
+        }));
 }
 
 /**
- * Get attendance statistics for admin dashboard
- * Returns summary data about student attendance patterns
+ * Get attendance statistics for the parent portal
+ * range: days back from today (default 30) or { fromKey, toKey } ("YYYY-MM-DD")
+ * Taps at every kiosk location count, so absences are not inflated by another entrance
+ * Counts are computed by backend/attendanceStatistics.js, shared with the school-wide report
  */
 export const getAttendanceStatistics = webMethod(
     Permissions.SiteMember,
-    async (studentId, daysBack = 30) => {
+    async (studentId, range = 30) => {
         try {
             if (!studentId) {
                 throw new Error("Student ID is required");
@@ -229,65 +257,20 @@ export const getAttendanceStatistics = webMethod(
             }
 
             const student = studentResults.items[0];
-            const attendanceHistory = student.attendanceHistory || [];
-
-            // Calculate date range for statistics
-            const now = new Date();
-            const cutoffDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000));
-
-            // Filter recent records
-            const recentRecords = attendanceHistory.filter(record => {
-                let dateObj;
-                try {
-                    if (record.date.includes('JST') || record.date.includes('T')) {
-                        dateObj = new Date(record.date.replace(' JST', ''));
-                    } else {
-                        dateObj = new Date(record.date);
-                    }
-                    return dateObj >= cutoffDate;
-                } catch (error) {
-                    return false;
-                }
-            });
+            const settings = await getSchoolSettings();
+            const { fromKey, toKey, from, to } = resolveStatisticsRange(range, settings.timeZone);
 
-            // Calculate statistics
-            const totalLogins = recentRecords.filter(r => r.status === 'login').length;
-            const totalLogouts = recentRecords.filter(r => r.status === 'logout').length;
-            const systemFixes = recentRecords.filter(r => 
-                r.status === 'logout' && (r.type === 'system-fix' || r.systemfix === true)
-            ).length;
-
-            // Group by date to count attendance days
-            const dailyGroups = {};
-            recentRecords.forEach(record => {
-                let dateObj;
-                try {
-                    if (record.date.includes('JST') || record.date.includes('T')) {
-                        dateObj = new Date(record.date.replace(' JST', ''));
-                    } else {
-                        dateObj = new Date(record.date);
-                    }
-                    const dateKey = dateObj.toDateString();
-                    if (!dailyGroups[dateKey]) {
-                        dailyGroups[dateKey] = [];
-                    }
-                    dailyGroups[dateKey].push(record);
-                } catch (error) {
-                    // Skip invalid dates
-                }
-            });
-
-            const attendanceDays = Object.keys(dailyGroups).length;
+            // Load only events inside the statistics window
+            const events = await getStudentAttendanceEvents(student, { from: from, to: to });
+            const notices = await getStudentNotices(studentId, fromKey, toKey);
+            const calendar = await loadSchoolCalendar(fromKey, toKey);
+            const resolveClassName = await loadHomeroomResolver({ fromKey: fromKey, toKey: toKey, studentId: studentId });
 
             return {
                 success: true,
-                studentName: student.name,
-                periodDays: daysBack,
-                attendanceDays: attendanceDays,
-                totalLogins: totalLogins,
-                totalLogouts: totalLogouts,
-                systemFixes: systemFixes,
-                attendanceRate: daysBack > 0 ? ((attendanceDays / daysBack) * 100).toFixed(1) : 0
+                ...summarizeStudentAttendance(student, events, notices, calendar, settings, fromKey, toKey, {
+                    getClassNameOn: dateKey => resolveClassName(student, dateKey)
+                })
             };
 
         } catch (error) {
@@ -296,3 +279,56 @@ export const getAttendanceStatistics = webMethod(
         }
     }
 );
+
+/**
+ * Update a student's birthday from the parent portal
+ * Verifies parent authorization; the stored item is spread so other Students fields are kept
+ */
+export const updateStudentBirthday = webMethod(
+    Permissions.SiteMember,
+    async (studentId, birthday) => {
+        try {
+            if (!studentId) {
+                throw new Error("Student ID is required");
+            }
+
+            // Verify parent authorization
+            const parentData = await getCurrentParentData();
+            if (!parentData) {
+                throw new Error("No parent data found - access denied");
+            }
+
+            const assignedStudentIds = parentData.assignedStudents.map(student => student._id);
+            if (!assignedStudentIds.includes(studentId)) {
+                throw new Error("Unauthorized: Student not assigned to this parent");
+            }
+
+            const birthdayDate = birthday ? toDate(birthday) : null;
+            if (birthday && !birthdayDate) {
+                throw new Error("Invalid birthday");
+            }
+
+            const elevatedGet = elevate(wixData.get);
+            const student = await elevatedGet("Students", studentId);
+            if (!student) {
+                throw new Error("Student not found");
+            }
+
+            const elevatedUpdate = elevate(wixData.update);
+            await elevatedUpdate("Students", {
+                ...student,
+                birthday: birthdayDate
+            });
+
+            return {
+                success: true,
+                studentId: studentId,
+                birthday: birthdayDate ? birthdayDate.toISOString() : null
+            };
+
+        } catch (error) {
+            console.error("Error in updateStudentBirthday:", error);
+            throw new Error(`Failed to update birthday: ${error.message}`);
+        }
+    }
+);
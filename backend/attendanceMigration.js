@@ -0,0 +1,197 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import {
+    ATTENDANCE_EVENTS_COLLECTION,
+    legacyRecordToEvent,
+    findAllItems
+} from 'backend/attendanceStore';
+
+const DEFAULT_BATCH_SIZE = 25;
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Migrate one student's embedded attendanceHistory into AttendanceEvents
+ * Legacy records get deterministic eventIds, so a rerun after a partial
+ * migration only inserts the records that are still missing
+ * Unparseable records stay in attendanceHistory and are reported as skipped
+ */
+async function migrateStudent(student) {
+    const elevatedQuery = elevate(wixData.query);
+    const elevatedBulkInsert = elevate(wixData.bulkInsert);
+    const elevatedUpdate = elevate(wixData.update);
+
+    const history = student.attendanceHistory || [];
+
+    // Events already inserted by an interrupted earlier run
+    const existingEvents = await findAllItems(
+        elevatedQuery(ATTENDANCE_EVENTS_COLLECTION).startsWith("eventId", `legacy-${student._id}-`)
+    );
+    const existingEventIds = new Set(existingEvents.map(event => event.eventId));
+
+    const eventsToInsert = [];
+    const skippedRecords = [];
+
+    history.forEach((record, index) => {
+        const event = legacyRecordToEvent(student, record, index);
+        if (!event) {
+            skippedRecords.push({
+                studentId: student._id,
+                studentName: student.name || 'Unknown',
+                index: index,
+                record: record,
+                reason: record && record.date ? "unparseable_date_or_status" : "missing_date"
+            });
+            return;
+        }
+
+        // legacyDate keeps the original string for auditing
+        if (!existingEventIds.has(event.eventId)) {
+            eventsToInsert.push(event);
+        }
+    });
+
+    for (let i = 0; i < eventsToInsert.length; i += INSERT_CHUNK_SIZE) {
+        await elevatedBulkInsert(ATTENDANCE_EVENTS_COLLECTION, eventsToInsert.slice(i, i + INSERT_CHUNK_SIZE));
+    }
+
+    // Keep only skipped records embedded for manual review; revision is checked by the data hook
+    await elevatedUpdate("Students", {
+        ...student,
+        attendanceHistory: skippedRecords.map(skipped => skipped.record),
+        attendanceRevision: student.attendanceRevision || 0,
+        attendanceMigratedAt: new Date(),
+        attendanceMigrationSkipped: skippedRecords.length,
+        attendanceMigrationError: null
+    });
+
+    return {
+        insertedCount: eventsToInsert.length,
+        alreadyMigratedCount: existingEventIds.size,
+        skippedRecords: skippedRecords
+    };
+}
+
+/**
+ * Record a failed migration on the student so the next batch moves on to other students
+ * Clear attendanceMigrationError (e.g. with retryFailedAttendanceMigrations) to try again
+ */
+async function markMigrationFailed(student, error) {
+    const elevatedUpdate = elevate(wixData.update);
+
+    // Partial update: the data hook keeps the stored history and revision
+    await elevatedUpdate("Students", {
+        _id: student._id,
+        attendanceMigrationError: error.message || String(error),
+        attendanceMigrationFailedAt: new Date()
+    });
+}
+
+/**
+ * Query for students still waiting for migration, excluding those that failed before
+ */
+function pendingStudentsQuery() {
+    return elevate(wixData.query)("Students")
+        .isEmpty("attendanceMigratedAt")
+        .isEmpty("attendanceMigrationError");
+}
+
+/**
+ * Migrate the next batch of students that still have embedded attendance history
+ * Safe to run repeatedly: progress is tracked per student via attendanceMigratedAt
+ * Students that fail are marked with attendanceMigrationError and skipped by later batches
+ */
+export async function migrateAttendanceBatch(batchSize = DEFAULT_BATCH_SIZE) {
+    console.log("=== MIGRATING ATTENDANCE HISTORY TO ATTENDANCE EVENTS ===");
+
+    const elevatedQuery = elevate(wixData.query);
+    const pending = await pendingStudentsQuery()
+        .limit(batchSize)
+        .find();
+
+    let migratedStudents = 0;
+    let insertedRecords = 0;
+    const skippedRecords = [];
+    const errors = [];
+
+    for (const student of pending.items) {
+        try {
+            const result = await migrateStudent(student);
+            migratedStudents++;
+            insertedRecords += result.insertedCount;
+            skippedRecords.push(...result.skippedRecords);
+
+            console.log(`✅ Migrated ${student.name || student._id}: ${result.insertedCount} inserted, ${result.skippedRecords.length} skipped`);
+
+        } catch (studentError) {
+            console.error(`❌ Error migrating student ${student.name || student._id}:`, studentError);
+            errors.push({
+                student: student.name || student._id,
+                error: studentError.message
+            });
+
+            try {
+                await markMigrationFailed(student, studentError);
+            } catch (markError) {
+                console.error(`❌ Could not mark migration failure for ${student.name || student._id}:`, markError);
+            }
+        }
+    }
+
+    const remainingStudents = await pendingStudentsQuery().count();
+    const failedStudents = await elevatedQuery("Students")
+        .isEmpty("attendanceMigratedAt")
+        .isNotEmpty("attendanceMigrationError")
+        .count();
+
+    console.log(`Migration batch completed. Migrated: ${migratedStudents}, Records: ${insertedRecords}, Skipped: ${skippedRecords.length}, Errors: ${errors.length}, Remaining: ${remainingStudents}, Failed: ${failedStudents}`);
+
+    return {
+        success: errors.length === 0,
+        migratedStudents: migratedStudents,
+        insertedRecords: insertedRecords,
+        skippedRecords: skippedRecords,
+        errors: errors,
+        remainingStudents: remainingStudents,
+        failedStudents: failedStudents,
+        complete: remainingStudents === 0 && failedStudents === 0,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Clear attendanceMigrationError on failed students so the next batch retries them
+ */
+export async function retryFailedAttendanceMigrations() {
+    const elevatedQuery = elevate(wixData.query);
+    const elevatedUpdate = elevate(wixData.update);
+
+    const failed = await findAllItems(
+        elevatedQuery("Students")
+            .isEmpty("attendanceMigratedAt")
+            .isNotEmpty("attendanceMigrationError")
+    );
+
+    for (const student of failed) {
+        await elevatedUpdate("Students", {
+            _id: student._id,
+            attendanceMigrationError: null,
+            attendanceMigrationFailedAt: null
+        });
+    }
+
+    console.log(`🔁 Queued ${failed.length} failed students for another migration attempt`);
+    return failed.length;
+}
+
+/**
+ * Scheduled job entry point - migrates one batch per run until complete
+ */
+export async function runAttendanceMigrationJob() {
+    const result = await migrateAttendanceBatch();
+    if (result.complete) {
+        console.log("Attendance migration complete - this job can be removed from jobs.config");
+    } else if (result.remainingStudents === 0) {
+        console.warn(`⚠️ ${result.failedStudents} students failed to migrate - review attendanceMigrationError and retry`);
+    }
+    return result;
+}
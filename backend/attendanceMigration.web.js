@@ -0,0 +1,111 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { migrateAttendanceBatch, retryFailedAttendanceMigrations } from 'backend/attendanceMigration';
+import { ATTENDANCE_EVENTS_COLLECTION } from 'backend/attendanceStore';
+import { requireAccess } from 'backend/authorization';
+
+/**
+ * Manually run one migration batch (for testing or to finish migration quickly)
+ * Returns migrated counts, skipped records and remaining students
+ */
+export const runAttendanceMigration = webMethod(
+    Permissions.SiteMember,
+    async (batchSize = 25) => {
+        try {
+            await requireAccess("runAttendanceMigration");
+
+            console.log("=== MANUAL TRIGGER: ATTENDANCE MIGRATION ===");
+
+            const result = await migrateAttendanceBatch(batchSize);
+
+            return {
+                ...result,
+                triggerType: "manual"
+            };
+
+        } catch (error) {
+            console.error("Error in runAttendanceMigration:", error);
+            throw new Error(`Attendance migration failed: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Requeue students whose migration failed so the next batch tries them again
+ */
+export const retryFailedAttendanceMigration = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("retryFailedAttendanceMigration");
+
+            const requeuedStudents = await retryFailedAttendanceMigrations();
+
+            return {
+                success: true,
+                requeuedStudents: requeuedStudents
+            };
+
+        } catch (error) {
+            console.error("Error in retryFailedAttendanceMigration:", error);
+            throw new Error(`Failed to retry attendance migration: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Get migration progress for monitoring
+ * Lists students whose skipped records need manual review and students whose migration failed
+ */
+export const getAttendanceMigrationStatus = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("getAttendanceMigrationStatus");
+
+            const elevatedQuery = elevate(wixData.query);
+
+            const totalStudents = await elevatedQuery("Students").count();
+            const pendingStudents = await elevatedQuery("Students")
+                .isEmpty("attendanceMigratedAt")
+                .count();
+            const totalEvents = await elevatedQuery(ATTENDANCE_EVENTS_COLLECTION).count();
+
+            const failedStudents = await elevatedQuery("Students")
+                .isEmpty("attendanceMigratedAt")
+                .isNotEmpty("attendanceMigrationError")
+                .find();
+
+            const studentsWithSkipped = await elevatedQuery("Students")
+                .gt("attendanceMigrationSkipped", 0)
+                .find();
+
+            return {
+                success: true,
+                totalStudents: totalStudents,
+                migratedStudents: totalStudents - pendingStudents,
+                pendingStudents: pendingStudents,
+                totalEvents: totalEvents,
+                complete: pendingStudents === 0,
+                failedStudents: failedStudents.items.map(student => ({
+                    studentId: student._id,
+                    studentName: student.name || 'Unknown',
+                    error: student.attendanceMigrationError,
+                    failedAt: student.attendanceMigrationFailedAt
+                })),
+                studentsWithSkippedRecords: studentsWithSkipped.items.map(student => ({
+                    studentId: student._id,
+                    studentName: student.name || 'Unknown',
+                    skippedCount: student.attendanceMigrationSkipped,
+                    skippedRecords: student.attendanceHistory || []
+                })),
+                checkedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error("Error getting attendance migration status:", error);
+            throw new Error(`Failed to get migration status: ${error.message}`);
+        }
+    }
+);
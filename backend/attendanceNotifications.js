@@ -0,0 +1,234 @@
+import { customTrigger } from '@wix/automations';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { getSchoolSettings, getSchoolTimeZone } from 'backend/schoolSettings';
+
+// Automation Trigger ID from your Wix Dashboard
+export const EMAIL_AUTOMATION_TRIGGER_ID = "83665c94-58a9-43c0-b7ee-2ce00875f5cc";
+
+/**
+ * Send attendance notification using Wix Automation with payload
+ * Automatically filters out system-fix status changes
+ * Triggers individual automation for each parent using Member ID as Contact ID
+ * Backend-only: called after attendance events are recorded
+ * eventTime is the time shown to parents (the original tap time for offline replays)
+ * details: { pickedUpByName, punctuality } - the guardian recorded at logout and the
+ * on-time/late/early-leave classification (backend/punctuality.js)
+ * With the punctualityEmails setting, late arrivals and early departures are sent
+ * with status "late" / "early-leave" so the automation can send a distinct email
+ */
+export async function sendAttendanceNotification(studentId, status, isSystemFix = false, eventTime = new Date(), details = {}) {
+    try {
+        console.log("=== ATTENDANCE NOTIFICATION WITH PAYLOAD ===");
+        console.log(`Student: ${studentId}, Status: ${status}, SystemFix: ${isSystemFix}`);
+        
+        // Skip email for system fixes
+        if (isSystemFix) {
+            console.log("Skipping email for system fix");
+            return { success: true, message: "Email skipped for system fix" };
+        }
+        
+        const { pickedUpByName = null, punctuality = null } = details || {};
+        const settings = await getSchoolSettings();
+        if (settings.punctualityEmails && (punctuality === "late" || punctuality === "early-leave")) {
+            console.log(`Sending ${punctuality} notification`);
+            return await notifyParents(studentId, punctuality, eventTime, {
+                statusJapanese: punctuality === "late" ? "遅刻" : "早退",
+                attendanceStatus: status,
+                punctuality: punctuality,
+                pickedUpBy: pickedUpByName || ""
+            });
+        }
+        
+        return await notifyParents(studentId, status, eventTime, {
+            statusJapanese: status === "login" ? "ログイン" : "ログアウト",
+            punctuality: punctuality || "",
+            pickedUpBy: pickedUpByName || ""
+        });
+        
+    } catch (error) {
+        console.error("Error in sendAttendanceNotification:", error);
+        throw new Error(`Failed to trigger email automation: ${error.message}`);
+    }
+}
+
+/**
+ * Trigger the parent email automation for every parent of a student
+ * payloadFields are merged into each parent's payload (e.g. statusJapanese)
+ */
+async function notifyParents(studentId, status, eventTime, payloadFields) {
+    // Prepare notification data
+    const notificationData = await prepareNotificationData(studentId, status, eventTime);
+    
+    if (!notificationData || notificationData.parents.length === 0) {
+        return { success: true, message: "No parents to notify" };
+    }
+    
+    // Trigger automation for each parent with individual payload
+    const automationPromises = [];
+    
+    for (const parent of notificationData.parents) {
+        if (parent.memberReference) {
+            // Create payload for this specific parent
+            const emailPayload = {
+                contactId: parent.memberReference, // Member ID as Contact ID
+                studentName: notificationData.student.name,
+                studentId: notificationData.student._id,
+                parentName: parent.parentName,
+                parentRelationship: parent.relationship || "Parent",
+                status: notificationData.status,
+                timestamp: notificationData.timestamp,
+                schoolName: "ELife International School",
+                triggeredAt: new Date().toISOString(),
+                ...payloadFields
+            };
+            
+            // Trigger automation with payload for this parent
+            automationPromises.push(
+                triggerParentEmailAutomation(emailPayload, parent.parentName)
+            );
+        }
+    }
+    
+    // Execute all automation triggers
+    const results = await Promise.allSettled(automationPromises);
+    
+    const successCount = results.filter(r => r.status === 'fulfilled').length;
+    const failCount = results.filter(r => r.status === 'rejected').length;
+    
+    console.log(`Automation triggers completed: ${successCount} success, ${failCount} failed`);
+    
+    if (failCount > 0) {
+        console.error("Some email automations failed:", 
+            results.filter(r => r.status === 'rejected').map(r => r.reason)
+        );
+    }
+    
+    return {
+        success: true,
+        message: `Triggered ${successCount} email automations`,
+        studentName: notificationData.student.name,
+        parentCount: notificationData.parents.length,
+        successCount: successCount,
+        failCount: failCount
+    };
+}
+
+/**
+ * Follow up an undone kiosk tap with a correction email to parents
+ * Sent through the same automation with status "login-cancelled" / "logout-cancelled"
+ */
+export async function sendAttendanceCorrection(studentId, undoneStatus, eventTime) {
+    try {
+        console.log("=== ATTENDANCE CORRECTION NOTIFICATION ===");
+        console.log(`Student: ${studentId}, Undone status: ${undoneStatus}`);
+
+        return await notifyParents(studentId, `${undoneStatus}-cancelled`, eventTime, {
+            statusJapanese: undoneStatus === "login" ? "ログイン取消" : "ログアウト取消",
+            isCorrection: true
+        });
+
+    } catch (error) {
+        console.error("Error in sendAttendanceCorrection:", error);
+        throw new Error(`Failed to trigger correction email: ${error.message}`);
+    }
+}
+
+/**
+ * Tell parents their child has not arrived by the absence check time
+ * Sent through the same automation with status "not-arrived"
+ */
+export async function sendAbsenceNotification(studentId, sessionStart, checkedAt = new Date()) {
+    try {
+        console.log("=== ABSENCE NOTIFICATION ===");
+        console.log(`Student: ${studentId}, Session start: ${sessionStart}`);
+
+        return await notifyParents(studentId, "not-arrived", checkedAt, {
+            statusJapanese: "未到着",
+            sessionStart: sessionStart
+        });
+
+    } catch (error) {
+        console.error("Error in sendAbsenceNotification:", error);
+        throw new Error(`Failed to trigger absence email: ${error.message}`);
+    }
+}
+
+/**
+ * Prepare notification data by gathering student and parent information
+ */
+async function prepareNotificationData(studentId, status, eventTime = new Date()) {
+    try {
+        const elevatedQuery = elevate(wixData.query);
+        
+        // Get student data
+        const studentResult = await elevatedQuery("Students")
+            .eq("_id", studentId)
+            .find();
+        
+        if (studentResult.items.length === 0) {
+            throw new Error("Student not found");
+        }
+        
+        const student = studentResult.items[0];
+        
+        // Find parents for this student
+        const parentsResult = await elevatedQuery("Parents")
+            .contains("assignedStudents", studentId)
+            .find();
+        
+        if (parentsResult.items.length === 0) {
+            console.log("No parents found for student");
+            return { parents: [] };
+        }
+        
+        // Create school-timezone timestamp for email
+        const timeZone = await getSchoolTimeZone();
+        const localTimestamp = new Date(eventTime).toLocaleString('ja-JP', {
+            timeZone: timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'long'
+        });
+        
+        return {
+            student: student,
+            parents: parentsResult.items,
+            status: status,
+            timestamp: localTimestamp
+        };
+        
+    } catch (error) {
+        console.error("Error preparing notification data:", error);
+        throw error;
+    }
+}
+
+/**
+ * Trigger email automation for individual parent with payload
+ */
+async function triggerParentEmailAutomation(payload, parentName) {
+    try {
+        console.log(`Triggering email automation for parent: ${parentName}`);
+        console.log("Payload:", {
+            contactId: payload.contactId,
+            studentName: payload.studentName,
+            parentName: payload.parentName,
+            status: payload.status
+        });
+        
+        // Trigger automation with payload - payload is automatically passed to actions
+        await customTrigger.runTrigger(EMAIL_AUTOMATION_TRIGGER_ID, payload);
+        
+        console.log(`✓ Email automation triggered successfully for ${parentName}`);
+        
+        return { success: true, parentName: parentName };
+        
+    } catch (error) {
+        console.error(`✗ Error triggering automation for ${parentName}:`, error);
+        throw new Error(`Failed to trigger automation for ${parentName}: ${error.message}`);
+    }
+}
@@ -0,0 +1,128 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { findAllItems, getAttendanceEventsInRange } from 'backend/attendanceStore';
+import { getNoticesInRange } from 'backend/absenceNotices';
+import { loadSchoolCalendar } from 'backend/schoolCalendar';
+import { CLASSES_COLLECTION, getClassMemberships, isMemberOn, loadHomeroomResolver } from 'backend/classes';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { toDateKey } from 'public/dateUtils';
+import {
+    resolveStatisticsRange,
+    summarizeStudentAttendance,
+    totalAttendanceSummaries
+} from 'backend/attendanceStatistics';
+
+/**
+ * Group items by their studentId
+ */
+function groupByStudent(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        if (!groups.has(item.studentId)) {
+            groups.set(item.studentId, []);
+        }
+        groups.get(item.studentId).push(item);
+    });
+    return groups;
+}
+
+/**
+ * School-wide attendance report for a date range
+ * options: { fromKey, toKey ("YYYY-MM-DD", default today), classId }
+ * Returns one row per student (expected days, present days, excused and unexcused
+ * absences, late arrivals, early departures) and school totals
+ * Taps at every kiosk location count: a student is present wherever they tapped in
+ * With classId, each student only counts the days they belonged to the class (ClassMemberships)
+ * Without classId, enrollment follows runAbsenceCheck: students whose class memberships
+ * have all ended only count the days they were members; students without any membership
+ * predate classes and count every day
+ */
+export const getSchoolAttendanceReport = webMethod(
+    Permissions.SiteMember,
+    async ({ fromKey, toKey = null, classId = null } = {}) => {
+        try {
+            await requireAccess("getSchoolAttendanceReport");
+
+            console.log("=== BUILDING SCHOOL ATTENDANCE REPORT ===");
+
+            const settings = await getSchoolSettings();
+            const range = resolveStatisticsRange({ fromKey: fromKey, toKey: toKey }, settings.timeZone);
+
+            const elevatedQuery = elevate(wixData.query);
+            let students = await findAllItems(elevatedQuery("Students").ascending("name"));
+
+            let classItem = null;
+            let membershipsByStudent = null;
+            if (classId) {
+                const elevatedGet = elevate(wixData.get);
+                classItem = await elevatedGet(CLASSES_COLLECTION, classId);
+                if (!classItem) {
+                    throw new Error(`Class not found: ${classId}`);
+                }
+                membershipsByStudent = groupByStudent(await getClassMemberships({
+                    fromKey: range.fromKey,
+                    toKey: range.toKey,
+                    classId: classId
+                }));
+                students = students.filter(student => membershipsByStudent.has(student._id));
+            } else {
+                const todayKey = toDateKey(new Date(), settings.timeZone);
+                const allMemberships = groupByStudent(await getClassMemberships({ fromKey: "0000-01-01", toKey: todayKey }));
+                membershipsByStudent = new Map();
+                allMemberships.forEach((memberships, studentId) => {
+                    if (!memberships.some(membership => isMemberOn(membership, todayKey))) {
+                        membershipsByStudent.set(studentId, memberships);
+                    }
+                });
+                // Former students drop out of reports for ranges after they left
+                students = students.filter(student => !membershipsByStudent.has(student._id) ||
+                    membershipsByStudent.get(student._id).some(membership =>
+                        membership.startDate <= range.toKey && (!membership.endDate || membership.endDate >= range.fromKey)));
+            }
+
+            const eventsByStudent = groupByStudent(await getAttendanceEventsInRange({
+                from: range.from,
+                to: range.to
+            }));
+            const noticesByStudent = groupByStudent(await getNoticesInRange(range.fromKey, range.toKey));
+            const calendar = await loadSchoolCalendar(range.fromKey, range.toKey);
+
+            // Sessions follow the homeroom each student was in on each day, not their current class
+            const resolveClassName = await loadHomeroomResolver({ fromKey: range.fromKey, toKey: range.toKey });
+
+            const rows = students.map(student => {
+                const memberships = membershipsByStudent ? membershipsByStudent.get(student._id) : null;
+                return summarizeStudentAttendance(
+                    student,
+                    eventsByStudent.get(student._id) || [],
+                    noticesByStudent.get(student._id) || [],
+                    calendar,
+                    settings,
+                    range.fromKey,
+                    range.toKey,
+                    {
+                        isIncludedDay: memberships ? (dateKey => memberships.some(membership => isMemberOn(membership, dateKey))) : null,
+                        getClassNameOn: dateKey => resolveClassName(student, dateKey)
+                    }
+                );
+            });
+
+            console.log(`Attendance report completed. Students: ${rows.length}, Range: ${range.fromKey} - ${range.toKey}`);
+
+            return {
+                success: true,
+                fromKey: range.fromKey,
+                toKey: range.toKey,
+                className: classItem ? classItem.name : null,
+                students: rows,
+                totals: totalAttendanceSummaries(rows)
+            };
+
+        } catch (error) {
+            console.error("Error building school attendance report:", error);
+            throw new Error(`Failed to build attendance report: ${error.message}`);
+        }
+    }
+);
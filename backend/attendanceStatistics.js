@@ -0,0 +1,156 @@
+import { getSessionForDay, classifyAttendanceEvents, PUNCTUALITY } from 'backend/punctuality';
+import { getSchoolDayInfo } from 'backend/schoolCalendar';
+import { getNoticeTypesByDay, isPunctualityExcused } from 'backend/absenceNotices';
+import { toDate, toDateKey, addDaysToDateKey, getWeekdayOfDateKey, zonedTimeToUtc } from 'public/dateUtils';
+
+// Longest date range accepted for statistics and reports
+export const MAX_STATISTICS_DAYS = 366;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve a statistics range to "YYYY-MM-DD" keys, ending no later than today
+ * range: a number of days back from today, or { fromKey, toKey }
+ */
+export function resolveStatisticsRange(range, timeZone, now = new Date()) {
+    const todayKey = toDateKey(now, timeZone);
+
+    let fromKey;
+    let toKey;
+    if (typeof range === 'number') {
+        if (!Number.isInteger(range) || range < 1) {
+            throw new Error("Days back must be a positive whole number");
+        }
+        fromKey = addDaysToDateKey(todayKey, -range);
+        toKey = todayKey;
+    } else {
+        fromKey = range && range.fromKey;
+        toKey = range && range.toKey ? range.toKey : todayKey;
+        if (!DATE_KEY_PATTERN.test(fromKey || '') || !DATE_KEY_PATTERN.test(toKey)) {
+            throw new Error("Dates must be YYYY-MM-DD");
+        }
+    }
+
+    if (toKey > todayKey) {
+        toKey = todayKey;
+    }
+    if (toKey < fromKey) {
+        throw new Error("End date must be on or after start date");
+    }
+    if (fromKey < addDaysToDateKey(toKey, -(MAX_STATISTICS_DAYS - 1))) {
+        throw new Error(`A range can cover at most ${MAX_STATISTICS_DAYS} days`);
+    }
+
+    return {
+        fromKey: fromKey,
+        toKey: toKey,
+        from: zonedTimeToUtc(fromKey, "00:00", timeZone),
+        to: zonedTimeToUtc(addDaysToDateKey(toKey, 1), "00:00", timeZone)
+    };
+}
+
+/**
+ * Days of fromKey..toKey a student is expected at school
+ * School days of the calendar; when session schedules are configured, only days
+ * with a session for the class getClassNameOn(dateKey) gives for that day
+ * Today counts only once its session (or the school day) has started, so students
+ * are not shown absent before they could have arrived; later days never count
+ */
+export function getExpectedSchoolDays(getClassNameOn, calendar, settings, fromKey, toKey, now = new Date()) {
+    const timeZone = settings.timeZone;
+    const todayKey = toDateKey(now, timeZone);
+    const hasSchedules = (settings.sessionSchedules || []).length > 0;
+    const days = [];
+    for (let dateKey = fromKey; dateKey <= toKey && dateKey <= todayKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+        if (!getSchoolDayInfo(calendar, dateKey, settings).isSchoolDay) {
+            continue;
+        }
+        const session = hasSchedules ? getSessionForDay(settings, getClassNameOn(dateKey), getWeekdayOfDateKey(dateKey)) : null;
+        if (hasSchedules && !session) {
+            continue;
+        }
+        const startTime = session ? session.start : settings.schoolDayStart;
+        if (dateKey === todayKey && now < zonedTimeToUtc(dateKey, startTime, timeZone)) {
+            continue;
+        }
+        days.push(dateKey);
+    }
+    return days;
+}
+
+/**
+ * Attendance summary of one student over fromKey..toKey
+ * events: the student's events in the range, oldest first
+ * notices: the student's absence notices overlapping the range (backend/absenceNotices.js)
+ * Absent expected days are excused when an absence notice covers them, otherwise unexcused
+ * options.isIncludedDay optionally limits the summary to some days, e.g. a class membership period
+ * options.getClassNameOn(dateKey) gives the student's class per day (default Students.className)
+ */
+export function summarizeStudentAttendance(student, events, notices, calendar, settings, fromKey, toKey, options = {}) {
+    const { isIncludedDay = null } = options;
+    const getClassNameOn = options.getClassNameOn || (() => student.className || null);
+    const timeZone = settings.timeZone;
+    const includedEvents = isIncludedDay ?
+        events.filter(event => isIncludedDay(toDateKey(toDate(event.timestamp), timeZone))) :
+        events;
+    const punctuality = classifyAttendanceEvents(includedEvents, getClassNameOn, settings, calendar);
+    const noticeTypesByDay = getNoticeTypesByDay(notices, fromKey, toKey);
+    const eventDays = includedEvents.map(event => toDateKey(toDate(event.timestamp), timeZone));
+
+    const expectedDays = getExpectedSchoolDays(getClassNameOn, calendar, settings, fromKey, toKey)
+        .filter(dateKey => !isIncludedDay || isIncludedDay(dateKey));
+    const loginDays = new Set(eventDays.filter((dateKey, index) => includedEvents[index].status === 'login'));
+    const presentDays = expectedDays.filter(dateKey => loginDays.has(dateKey));
+    const excusedAbsences = expectedDays.filter(dateKey => !loginDays.has(dateKey) &&
+        noticeTypesByDay.has(dateKey) && noticeTypesByDay.get(dateKey).has("absence"));
+
+    const countPunctuality = (value, excusedOnly) => punctuality.filter((result, index) => result === value &&
+        (!excusedOnly || isPunctualityExcused(result, noticeTypesByDay.get(eventDays[index])))).length;
+    const lateArrivals = countPunctuality(PUNCTUALITY.LATE, false);
+
+    // Days with a session and a login; only the first login of a day can be late
+    const scheduledDays = new Set(eventDays
+        .filter((dateKey, index) => includedEvents[index].status === 'login' && punctuality[index] !== null)
+    ).size;
+
+    return {
+        studentId: student._id,
+        studentName: student.name || 'Unknown',
+        className: getClassNameOn(toKey),
+        fromKey: fromKey,
+        toKey: toKey,
+        expectedSchoolDays: expectedDays.length,
+        presentDays: presentDays.length,
+        excusedAbsences: excusedAbsences.length,
+        unexcusedAbsences: expectedDays.length - presentDays.length - excusedAbsences.length,
+        lateArrivals: lateArrivals,
+        excusedLateArrivals: countPunctuality(PUNCTUALITY.LATE, true),
+        earlyDepartures: countPunctuality(PUNCTUALITY.EARLY_LEAVE, false),
+        excusedEarlyDepartures: countPunctuality(PUNCTUALITY.EARLY_LEAVE, true),
+        attendanceDays: new Set(eventDays).size,
+        totalLogins: includedEvents.filter(event => event.status === 'login').length,
+        totalLogouts: includedEvents.filter(event => event.status === 'logout').length,
+        systemFixes: includedEvents.filter(event => event.status === 'logout' && event.type === 'system-fix').length,
+        attendanceRate: expectedDays.length > 0 ? ((presentDays.length / expectedDays.length) * 100).toFixed(1) : null,
+        onTimeRate: scheduledDays > 0 ? (((scheduledDays - lateArrivals) / scheduledDays) * 100).toFixed(1) : null
+    };
+}
+
+/**
+ * Totals of several student summaries for the school-wide report
+ */
+export function totalAttendanceSummaries(summaries) {
+    const fields = [
+        "expectedSchoolDays", "presentDays", "excusedAbsences", "unexcusedAbsences",
+        "lateArrivals", "excusedLateArrivals", "earlyDepartures", "excusedEarlyDepartures"
+    ];
+    const totals = {};
+    fields.forEach(field => {
+        totals[field] = summaries.reduce((sum, summary) => sum + summary[field], 0);
+    });
+    totals.studentCount = summaries.length;
+    totals.attendanceRate = totals.expectedSchoolDays > 0 ?
+        ((totals.presentDays / totals.expectedSchoolDays) * 100).toFixed(1) :
+        null;
+    return totals;
+}
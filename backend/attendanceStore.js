@@ -0,0 +1,270 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { parseTimestamp, toDate } from 'public/dateUtils';
+
+// Collection holding one item per attendance event
+// Mistaken events are voided (voidedAt, voidedBy, voidReason), never deleted
+export const ATTENDANCE_EVENTS_COLLECTION = "AttendanceEvents";
+
+// Error marker raised by the Students_beforeUpdate hook on stale writes
+export const ATTENDANCE_REVISION_CONFLICT = "ATTENDANCE_REVISION_CONFLICT";
+
+const QUERY_PAGE_SIZE = 1000;
+
+/**
+ * Apply the attendance revision check to an incoming Students update
+ * Called from the Students_beforeUpdate data hook with the stored item
+ * - Fields the writer omits keep their stored values (PIN, badge version, class, migration state);
+ *   send null to clear a field
+ * - Writers that omit attendanceHistory keep the stored history untouched
+ * - Writers must send the attendanceRevision they read, otherwise the update is rejected
+ * - The revision is bumped whenever the attendance history changes
+ */
+export function resolveAttendanceRevision(item, currentItem) {
+    if (!currentItem) {
+        return { ...item, attendanceRevision: item.attendanceHistory ? 1 : 0 };
+    }
+
+    const currentRevision = currentItem.attendanceRevision || 0;
+
+    // Partial updates (e.g. birthday edits) must not wipe attendance data
+    if (item.attendanceHistory === undefined) {
+        return {
+            ...currentItem,
+            ...item,
+            attendanceHistory: currentItem.attendanceHistory,
+            attendanceRevision: currentRevision
+        };
+    }
+
+    const incomingRevision = item.attendanceRevision || 0;
+    if (incomingRevision !== currentRevision) {
+        throw new Error(`${ATTENDANCE_REVISION_CONFLICT}: Student ${item._id} was modified by another writer (revision ${incomingRevision}, current ${currentRevision})`);
+    }
+
+    const historyChanged = JSON.stringify(item.attendanceHistory || []) !==
+        JSON.stringify(currentItem.attendanceHistory || []);
+
+    return {
+        ...currentItem,
+        ...item,
+        attendanceRevision: historyChanged ? currentRevision + 1 : currentRevision
+    };
+}
+
+/**
+ * Convert an embedded attendanceHistory record to the event shape
+ * Returns null for records whose date cannot be parsed
+ */
+export function legacyRecordToEvent(student, record, index) {
+    // Legacy strings were written as JST wall time
+    const timestamp = parseTimestamp(record && record.date);
+    if (!timestamp || !['login', 'logout'].includes(record.status)) {
+        return null;
+    }
+
+    return {
+        eventId: `legacy-${student._id}-${index}`,
+        studentId: student._id,
+        timestamp: timestamp,
+        status: record.status,
+        type: record.type || (record.systemfix === true ? "system-fix" : "user-input"),
+        sourceKiosk: null,
+        location: null,
+        actor: null,
+        legacyDate: record.date
+    };
+}
+
+/**
+ * Run a query and collect every page of results
+ */
+export async function findAllItems(query) {
+    let results = await query.limit(QUERY_PAGE_SIZE).find();
+    const items = [...results.items];
+
+    while (results.hasNext()) {
+        results = await results.next();
+        items.push(...results.items);
+    }
+
+    return items;
+}
+
+/**
+ * Legacy events for students whose embedded history has not been migrated yet
+ */
+function getUnmigratedLegacyEvents(student, from, to) {
+    if (student.attendanceMigratedAt) {
+        return [];
+    }
+
+    return (student.attendanceHistory || [])
+        .map((record, index) => legacyRecordToEvent(student, record, index))
+        .filter(event => event &&
+            (!from || event.timestamp >= from) &&
+            (!to || event.timestamp < to));
+}
+
+/**
+ * Sort events chronologically (oldest first)
+ */
+function sortEvents(events) {
+    return events.sort((a, b) => toDate(a.timestamp).getTime() - toDate(b.timestamp).getTime());
+}
+
+/**
+ * Insert a single attendance event
+ * Inserts never touch the Students item, so concurrent writers cannot overwrite each other
+ */
+export async function insertAttendanceEvent(event) {
+    if (!event.studentId || !['login', 'logout'].includes(event.status)) {
+        throw new Error("Attendance event requires studentId and a login/logout status");
+    }
+
+    const elevatedInsert = elevate(wixData.insert);
+    return elevatedInsert(ATTENDANCE_EVENTS_COLLECTION, {
+        eventId: event.eventId || null,
+        studentId: event.studentId,
+        timestamp: event.timestamp || new Date(),
+        status: event.status,
+        type: event.type || "user-input",
+        sourceKiosk: event.sourceKiosk || null,
+        location: event.location || null,
+        actor: event.actor || null,
+        reason: event.reason || null,
+        pickedUpBy: event.pickedUpBy || null,
+        pickedUpByName: event.pickedUpByName || null
+    });
+}
+
+/**
+ * Mark an event as voided instead of deleting it
+ * Voided events stay in the collection for auditing but are skipped by every read
+ */
+export async function voidAttendanceEvent(event, { voidedBy, reason = null }) {
+    if (event.voidedAt) {
+        throw new Error("Attendance event is already voided");
+    }
+
+    const elevatedUpdate = elevate(wixData.update);
+    return elevatedUpdate(ATTENDANCE_EVENTS_COLLECTION, {
+        ...event,
+        voidedAt: new Date(),
+        voidedBy: voidedBy,
+        voidReason: reason
+    });
+}
+
+/**
+ * Get an event item by its _id, or null
+ */
+export async function getAttendanceEvent(itemId) {
+    const elevatedGet = elevate(wixData.get);
+    return elevatedGet(ATTENDANCE_EVENTS_COLLECTION, itemId);
+}
+
+/**
+ * Find a student's event by its client-generated eventId, or null
+ * Voided events are included so a replayed tap is not recorded again
+ * Scoped to the student so a colliding eventId of another student is never taken as a replay
+ * Used to make kiosk retries and offline replays idempotent
+ */
+export async function findAttendanceEventByEventId(eventId, studentId) {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(ATTENDANCE_EVENTS_COLLECTION)
+        .eq("eventId", eventId)
+        .eq("studentId", studentId)
+        .limit(1)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : null;
+}
+
+/**
+ * Get attendance events for one student, optionally limited to [from, to) and a kiosk location
+ * Includes not-yet-migrated embedded history so reads stay complete during migration
+ * Legacy events have no location and are left out when filtering by location
+ */
+export async function getStudentAttendanceEvents(student, { from = null, to = null, location = null } = {}) {
+    const elevatedQuery = elevate(wixData.query);
+    let query = elevatedQuery(ATTENDANCE_EVENTS_COLLECTION)
+        .eq("studentId", student._id)
+        .isEmpty("voidedAt")
+        .ascending("timestamp");
+
+    if (from) {
+        query = query.ge("timestamp", from);
+    }
+    if (to) {
+        query = query.lt("timestamp", to);
+    }
+    if (location) {
+        query = query.eq("location", location);
+    }
+
+    const events = await findAllItems(query);
+    if (location) {
+        return sortEvents(events);
+    }
+    return sortEvents([...events, ...getUnmigratedLegacyEvents(student, from, to)]);
+}
+
+/**
+ * Get the most recent attendance event for a student, or null
+ * With before, only events earlier than that instant are considered (offline replays)
+ */
+export async function getLastAttendanceEvent(student, before = null) {
+    const elevatedQuery = elevate(wixData.query);
+    let query = elevatedQuery(ATTENDANCE_EVENTS_COLLECTION)
+        .eq("studentId", student._id)
+        .isEmpty("voidedAt")
+        .descending("timestamp");
+    if (before) {
+        query = query.lt("timestamp", before);
+    }
+    const results = await query.limit(1).find();
+
+    const candidates = [...results.items, ...getUnmigratedLegacyEvents(student, null, before)];
+    return candidates.length > 0 ? sortEvents(candidates)[candidates.length - 1] : null;
+}
+
+/**
+ * Get attendance events for all students within [from, to)
+ * Optionally filtered by event type and kiosk location; includes not-yet-migrated embedded history
+ */
+export async function getAttendanceEventsInRange({ from = null, to = null, type = null, location = null } = {}) {
+    const elevatedQuery = elevate(wixData.query);
+    let query = elevatedQuery(ATTENDANCE_EVENTS_COLLECTION)
+        .isEmpty("voidedAt")
+        .ascending("timestamp");
+
+    if (from) {
+        query = query.ge("timestamp", from);
+    }
+    if (to) {
+        query = query.lt("timestamp", to);
+    }
+    if (type) {
+        query = query.eq("type", type);
+    }
+    if (location) {
+        query = query.eq("location", location);
+    }
+
+    const events = await findAllItems(query);
+    if (location) {
+        return sortEvents(events);
+    }
+
+    const unmigratedStudents = await findAllItems(
+        elevatedQuery("Students").isEmpty("attendanceMigratedAt")
+    );
+    unmigratedStudents.forEach(student => {
+        getUnmigratedLegacyEvents(student, from, to)
+            .filter(event => !type || event.type === type)
+            .forEach(event => events.push(event));
+    });
+
+    return sortEvents(events);
+}
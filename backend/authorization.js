@@ -0,0 +1,145 @@
+import { currentMember } from 'wix-members-backend';
+
+// Member role IDs (Dashboard > Roles & Permissions)
+// Roles are matched by ID, since anyone who can edit roles can rename a title
+// Empty lists grant nobody the level (fail closed) - scripts/checkAuthorization.mjs reports them
+export const PARENT_ROLE_ID = "0a78d749-4ef6-46f2-8e6c-c5a3e5b273fb";
+export const ADMIN_ROLE_IDS = [];
+export const STAFF_ROLE_IDS = [];
+
+export const ACCESS_LEVELS = {
+    STAFF: "staff",
+    ADMIN: "admin"
+};
+
+// Required access level for every protected web method
+// Methods missing from this table are denied (fail closed)
+export const PROTECTED_WEB_METHODS = {
+    // parentAdminManagement.web.js
+    getAllMembers: ACCESS_LEVELS.ADMIN,
+    checkExistingParent: ACCESS_LEVELS.ADMIN,
+    getStudentNamesByIds: ACCESS_LEVELS.ADMIN,
+    createOrUpdateParent: ACCESS_LEVELS.ADMIN,
+    removeParent: ACCESS_LEVELS.ADMIN,
+    getAllParents: ACCESS_LEVELS.ADMIN,
+    validateParentMemberReferences: ACCESS_LEVELS.ADMIN, // also in emailNotifications.web.js
+    getParentStatistics: ACCESS_LEVELS.ADMIN,
+    // attendanceSystemCheck.web.js
+    manualCheckMissingLogouts: ACCESS_LEVELS.ADMIN,
+    getSystemCheckStats: ACCESS_LEVELS.STAFF,
+    // emailSync.web.js
+    manualSyncParentEmails: ACCESS_LEVELS.ADMIN,
+    getEmailSyncStats: ACCESS_LEVELS.ADMIN,
+    checkEmailMismatches: ACCESS_LEVELS.ADMIN,
+    // emailNotifications.web.js
+    testEmailAutomation: ACCESS_LEVELS.ADMIN,
+    getAutomationStatus: ACCESS_LEVELS.ADMIN,
+    // attendanceMigration.web.js
+    runAttendanceMigration: ACCESS_LEVELS.ADMIN,
+    retryFailedAttendanceMigration: ACCESS_LEVELS.ADMIN,
+    getAttendanceMigrationStatus: ACCESS_LEVELS.ADMIN,
+    // schoolSettings.web.js
+    getSchoolSettingsForAdmin: ACCESS_LEVELS.ADMIN,
+    updateSchoolSettings: ACCESS_LEVELS.ADMIN,
+    // studentBadges.web.js
+    getStudentBadge: ACCESS_LEVELS.ADMIN,
+    reissueStudentBadge: ACCESS_LEVELS.ADMIN,
+    getBadgeClassOptions: ACCESS_LEVELS.ADMIN,
+    generateBadgeSheet: ACCESS_LEVELS.ADMIN,
+    // studentPins.web.js
+    setStudentPin: ACCESS_LEVELS.ADMIN,
+    resetStudentPin: ACCESS_LEVELS.ADMIN,
+    // kioskSecurity.web.js
+    getKioskSecurityEvents: ACCESS_LEVELS.ADMIN,
+    unlockKiosk: ACCESS_LEVELS.ADMIN,
+    // attendanceCorrections.web.js
+    getStudentEventsForCorrection: ACCESS_LEVELS.STAFF,
+    undoAttendanceEventAsStaff: ACCESS_LEVELS.STAFF,
+    // kioskRegistry.web.js
+    registerKiosk: ACCESS_LEVELS.ADMIN,
+    listKiosks: ACCESS_LEVELS.ADMIN,
+    updateKiosk: ACCESS_LEVELS.ADMIN,
+    rotateKioskToken: ACCESS_LEVELS.ADMIN,
+    getKioskHealth: ACCESS_LEVELS.ADMIN,
+    resolveRejectedTap: ACCESS_LEVELS.ADMIN,
+    // staffOverride.web.js
+    searchStudentsForOverride: ACCESS_LEVELS.STAFF,
+    recordStaffOverride: ACCESS_LEVELS.STAFF,
+    // authorizedPickups.web.js (a student's own parents are also allowed)
+    getAuthorizedPickups: ACCESS_LEVELS.ADMIN,
+    saveAuthorizedPickup: ACCESS_LEVELS.ADMIN,
+    removeAuthorizedPickup: ACCESS_LEVELS.ADMIN,
+    // schoolCalendar.web.js
+    getSchoolCalendar: ACCESS_LEVELS.ADMIN,
+    saveSchoolCalendarEntry: ACCESS_LEVELS.ADMIN,
+    removeSchoolCalendarEntry: ACCESS_LEVELS.ADMIN,
+    importSchoolCalendarICal: ACCESS_LEVELS.ADMIN,
+    // absences.web.js (a student's own parents can also list and submit notices)
+    getAbsenceDashboard: ACCESS_LEVELS.STAFF,
+    recordAbsenceAsStaff: ACCESS_LEVELS.STAFF,
+    getAbsenceNotices: ACCESS_LEVELS.STAFF,
+    // attendanceReports.web.js
+    getSchoolAttendanceReport: ACCESS_LEVELS.ADMIN,
+    // classes.web.js
+    listClasses: ACCESS_LEVELS.STAFF,
+    getClassMembers: ACCESS_LEVELS.STAFF,
+    saveClass: ACCESS_LEVELS.ADMIN,
+    assignStudentToClass: ACCESS_LEVELS.ADMIN,
+    endClassMembership: ACCESS_LEVELS.ADMIN,
+    seedClassesFromStudents: ACCESS_LEVELS.ADMIN
+};
+
+function roleMatches(role, roleIds) {
+    return !!(role && role._id && roleIds.includes(role._id));
+}
+
+/**
+ * Decide whether a set of member roles grants an access level
+ * Admins have every staff permission; parents and members without roles have none
+ */
+export function hasAccessLevel(roles, level) {
+    const memberRoles = roles || [];
+    const isAdmin = memberRoles.some(role => roleMatches(role, ADMIN_ROLE_IDS));
+
+    if (level === ACCESS_LEVELS.ADMIN) {
+        return isAdmin;
+    }
+    if (level === ACCESS_LEVELS.STAFF) {
+        return isAdmin || memberRoles.some(role => roleMatches(role, STAFF_ROLE_IDS));
+    }
+    return false;
+}
+
+/**
+ * Get roles of the member calling the web method (empty for visitors)
+ */
+export async function getCurrentMemberRoles() {
+    try {
+        const member = await currentMember.getMember();
+        if (!member) {
+            return [];
+        }
+        return await currentMember.getRoles() || [];
+    } catch (error) {
+        console.error("Error getting current member roles:", error);
+        return [];
+    }
+}
+
+/**
+ * Throw a Forbidden error unless the caller may use the given web method
+ */
+export async function requireAccess(methodName) {
+    const level = PROTECTED_WEB_METHODS[methodName];
+    if (!level) {
+        throw new Error(`Forbidden: ${methodName} has no access policy`);
+    }
+
+    const roles = await getCurrentMemberRoles();
+    if (!hasAccessLevel(roles, level)) {
+        console.warn(`Forbidden call to ${methodName} by member with roles: ${roles.map(role => `${role.title} (${role._id})`).join(', ') || 'none'}`);
+        throw new Error(`Forbidden: ${methodName} requires ${level} role`);
+    }
+
+    return roles;
+}
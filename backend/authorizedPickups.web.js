@@ -0,0 +1,133 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { requireAccess } from 'backend/authorization';
+import { getCurrentParentData } from 'backend/attendanceManagement.web';
+import {
+    getAuthorizedPickups as findAuthorizedPickups,
+    getAuthorizedPickup,
+    saveAuthorizedPickup as storeAuthorizedPickup,
+    removeAuthorizedPickup as deleteAuthorizedPickup,
+    isPickupValidOn
+} from 'backend/pickupGuardians';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { toDate, toDateKey } from 'public/dateUtils';
+
+/**
+ * Allow a student's own parents, otherwise require the method's admin access
+ * Returns who is acting: "parent:<parentId>" or "member:<memberId>"
+ */
+async function authorizePickupManagement(studentId, methodName) {
+    if (!studentId) {
+        throw new Error("Student ID is required");
+    }
+
+    const parentData = await getCurrentParentData();
+    const assignedStudentIds = parentData && parentData.assignedStudents ?
+        parentData.assignedStudents.map(student => student._id) :
+        [];
+    if (assignedStudentIds.includes(studentId)) {
+        return `parent:${parentData._id}`;
+    }
+
+    await requireAccess(methodName);
+    const member = await currentMember.getMember();
+    return `member:${member._id}`;
+}
+
+/**
+ * Fields returned to the parent portal and admin page
+ */
+function toPickupSummary(pickup, todayKey, timeZone) {
+    return {
+        _id: pickup._id,
+        name: pickup.name,
+        relation: pickup.relation,
+        phone: pickup.phone || null,
+        photo: pickup.photo || null,
+        validFrom: pickup.validFrom ? toDateKey(toDate(pickup.validFrom), timeZone) : null,
+        validUntil: pickup.validUntil ? toDateKey(toDate(pickup.validUntil), timeZone) : null,
+        isValid: isPickupValidOn(pickup, todayKey, timeZone)
+    };
+}
+
+/**
+ * List a student's authorized pickups, including expired ones
+ * Allowed for the student's parents and for admins
+ */
+export const getAuthorizedPickups = webMethod(
+    Permissions.SiteMember,
+    async (studentId) => {
+        try {
+            await authorizePickupManagement(studentId, "getAuthorizedPickups");
+
+            const timeZone = await getSchoolTimeZone();
+            const todayKey = toDateKey(new Date(), timeZone);
+            const pickups = await findAuthorizedPickups(studentId);
+
+            return {
+                success: true,
+                pickups: pickups.map(pickup => toPickupSummary(pickup, todayKey, timeZone))
+            };
+
+        } catch (error) {
+            console.error("Error getting authorized pickups:", error);
+            throw new Error(`Failed to get authorized pickups: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Add or update an authorized pickup (grandparent, nanny...) for a student
+ * pickup: { _id?, name, relation, phone, photo, validFrom, validUntil }
+ * Allowed for the student's parents and for admins
+ */
+export const saveAuthorizedPickup = webMethod(
+    Permissions.SiteMember,
+    async (studentId, pickup = {}) => {
+        try {
+            const changedBy = await authorizePickupManagement(studentId, "saveAuthorizedPickup");
+
+            const saved = await storeAuthorizedPickup(studentId, pickup || {}, changedBy);
+            console.log(`Authorized pickup ${pickup && pickup._id ? 'updated' : 'added'} for student ${studentId}: ${saved.name} (by ${changedBy})`);
+
+            const timeZone = await getSchoolTimeZone();
+            return {
+                success: true,
+                pickup: toPickupSummary(saved, toDateKey(new Date(), timeZone), timeZone)
+            };
+
+        } catch (error) {
+            console.error("Error saving authorized pickup:", error);
+            throw new Error(`Failed to save authorized pickup: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Remove an authorized pickup
+ * Allowed for the student's parents and for admins
+ */
+export const removeAuthorizedPickup = webMethod(
+    Permissions.SiteMember,
+    async (pickupId) => {
+        try {
+            const pickup = pickupId ? await getAuthorizedPickup(pickupId) : null;
+            if (!pickup) {
+                throw new Error(`Authorized pickup not found: ${pickupId}`);
+            }
+
+            const changedBy = await authorizePickupManagement(pickup.studentId, "removeAuthorizedPickup");
+            await deleteAuthorizedPickup(pickupId);
+            console.log(`Authorized pickup removed for student ${pickup.studentId}: ${pickup.name} (by ${changedBy})`);
+
+            return {
+                success: true,
+                pickupId: pickupId
+            };
+
+        } catch (error) {
+            console.error("Error removing authorized pickup:", error);
+            throw new Error(`Failed to remove authorized pickup: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,73 @@
+// Badges per printed A4 page (2 columns x 4 rows, credit-card size)
+const BADGES_PER_PAGE = 8;
+
+const SCHOOL_NAME = "ELife International School";
+
+/**
+ * Escape text inserted into the generated HTML
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render one badge card
+ * badge: { studentName, childId, className, qrCode }
+ */
+function renderBadge(badge) {
+    return `
+        <div class="badge">
+            <div class="school">${escapeHtml(SCHOOL_NAME)}</div>
+            <div class="body">
+                <div class="photo">Photo</div>
+                <div class="details">
+                    <div class="name">${escapeHtml(badge.studentName)}</div>
+                    <div class="class">${escapeHtml(badge.className)}</div>
+                    <div class="child-id">ID ${escapeHtml(badge.childId)}</div>
+                </div>
+                <img class="qr" src="${escapeHtml(badge.qrCode)}" alt="QR">
+            </div>
+        </div>`;
+}
+
+/**
+ * Render badges as a printable multi-up HTML document
+ * Each A4 page holds BADGES_PER_PAGE cards; printing from the browser produces the PDF
+ */
+export function renderBadgeSheetHtml(badges, title = "Student Badges") {
+    const pages = [];
+    for (let i = 0; i < badges.length; i += BADGES_PER_PAGE) {
+        pages.push(`<section class="page">${badges.slice(i, i + BADGES_PER_PAGE).map(renderBadge).join('')}</section>`);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: A4; margin: 10mm; }
+    body { margin: 0; font-family: Arial, sans-serif; }
+    .page { display: grid; grid-template-columns: repeat(2, 86mm); grid-auto-rows: 54mm; gap: 6mm 8mm; justify-content: center; page-break-after: always; }
+    .page:last-child { page-break-after: auto; }
+    .badge { box-sizing: border-box; border: 1px dashed #999; border-radius: 3mm; padding: 3mm; display: flex; flex-direction: column; }
+    .school { font-size: 9pt; font-weight: bold; color: #2AAD56; margin-bottom: 2mm; }
+    .body { display: flex; align-items: center; gap: 3mm; flex: 1; }
+    .photo { width: 22mm; height: 28mm; border: 1px solid #ccc; border-radius: 2mm; color: #aaa; font-size: 8pt; display: flex; align-items: center; justify-content: center; }
+    .details { flex: 1; min-width: 0; }
+    .name { font-size: 12pt; font-weight: bold; overflow-wrap: break-word; }
+    .class { font-size: 9pt; color: #555; margin-top: 1mm; }
+    .child-id { font-size: 10pt; margin-top: 2mm; }
+    .qr { width: 30mm; height: 30mm; }
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>`;
+}
@@ -0,0 +1,347 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { findAllItems } from 'backend/attendanceStore';
+import { getSchoolSettings, getSchoolTimeZone, saveSchoolSettings } from 'backend/schoolSettings';
+import { addDaysToDateKey, toDateKey } from 'public/dateUtils';
+
+// One item per class, grade group or homeroom
+// Fields: name (also used as className in session schedules and PIN settings; renames
+// are carried over to them and to Students.className), grade,
+// kind ("homeroom" or "class"), teacherMemberIds (member IDs), active
+export const CLASSES_COLLECTION = "Classes";
+
+// One item per period a student belongs to a class
+// Fields: studentId, classId, startDate, endDate ("YYYY-MM-DD", inclusive; empty = open), createdBy
+export const CLASS_MEMBERSHIPS_COLLECTION = "ClassMemberships";
+
+export const CLASS_KINDS = ["homeroom", "class"];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CLASS_NAME_LENGTH = 60;
+
+/**
+ * All classes, sorted by grade and name
+ */
+export async function getClasses({ includeInactive = false } = {}) {
+    const elevatedQuery = elevate(wixData.query);
+    let query = elevatedQuery(CLASSES_COLLECTION)
+        .ascending("grade")
+        .ascending("name");
+    if (!includeInactive) {
+        query = query.ne("active", false);
+    }
+    return findAllItems(query);
+}
+
+/**
+ * Carry a class rename over to Students.className, session schedules and pinRequiredClasses,
+ * which refer to classes by name
+ */
+async function propagateClassRename(oldName, newName) {
+    const elevatedQuery = elevate(wixData.query);
+    const elevatedUpdate = elevate(wixData.update);
+    const students = await findAllItems(elevatedQuery("Students").eq("className", oldName));
+    for (const student of students) {
+        await elevatedUpdate("Students", { ...student, className: newName });
+    }
+
+    const settings = await getSchoolSettings();
+    const changes = {};
+    if (settings.sessionSchedules.some(schedule => schedule.className === oldName)) {
+        changes.sessionSchedules = settings.sessionSchedules.map(schedule =>
+            schedule.className === oldName ? { ...schedule, className: newName } : schedule);
+    }
+    if (settings.pinRequiredClasses.includes(oldName)) {
+        changes.pinRequiredClasses = [...new Set(settings.pinRequiredClasses.map(className =>
+            className === oldName ? newName : className))];
+    }
+    if (Object.keys(changes).length > 0) {
+        await saveSchoolSettings(changes);
+    }
+
+    console.log(`Class ${oldName} renamed to ${newName}: ${students.length} students, settings: ${Object.keys(changes).join(', ') || 'none'}`);
+}
+
+/**
+ * Validate and store a class; an existing class is updated when input._id is set
+ * input: { _id?, name, grade, kind, teacherMemberIds, active }
+ */
+export async function saveClass(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const kind = input.kind || "homeroom";
+    const teacherMemberIds = Array.isArray(input.teacherMemberIds) ? input.teacherMemberIds : [];
+
+    if (!name || name.length > MAX_CLASS_NAME_LENGTH) {
+        throw new Error(`Class name is required (at most ${MAX_CLASS_NAME_LENGTH} characters)`);
+    }
+    if (!CLASS_KINDS.includes(kind)) {
+        throw new Error(`Kind must be one of: ${CLASS_KINDS.join(', ')}`);
+    }
+    if (!teacherMemberIds.every(memberId => typeof memberId === 'string' && memberId.length > 0)) {
+        throw new Error("Teacher member IDs must be strings");
+    }
+
+    const elevatedQuery = elevate(wixData.query);
+    const sameName = await elevatedQuery(CLASSES_COLLECTION).eq("name", name).limit(1).find();
+    if (sameName.items.length > 0 && sameName.items[0]._id !== input._id) {
+        throw new Error(`A class named ${name} already exists`);
+    }
+
+    const fields = {
+        name: name,
+        grade: typeof input.grade === 'string' ? input.grade.trim() : '',
+        kind: kind,
+        teacherMemberIds: [...new Set(teacherMemberIds)],
+        active: input.active !== false
+    };
+
+    if (input._id) {
+        const elevatedGet = elevate(wixData.get);
+        const existing = await elevatedGet(CLASSES_COLLECTION, input._id);
+        if (!existing) {
+            throw new Error(`Class not found: ${input._id}`);
+        }
+        const elevatedUpdate = elevate(wixData.update);
+        const saved = await elevatedUpdate(CLASSES_COLLECTION, { ...existing, ...fields });
+        if (existing.name !== name) {
+            await propagateClassRename(existing.name, name);
+        }
+        return saved;
+    }
+
+    const elevatedInsert = elevate(wixData.insert);
+    return elevatedInsert(CLASSES_COLLECTION, fields);
+}
+
+/**
+ * Memberships overlapping fromKey..toKey, optionally of one class or student
+ */
+export async function getClassMemberships({ fromKey, toKey, classId = null, studentId = null }) {
+    const elevatedQuery = elevate(wixData.query);
+    let query = elevatedQuery(CLASS_MEMBERSHIPS_COLLECTION)
+        .le("startDate", toKey)
+        .ascending("startDate");
+    if (classId) {
+        query = query.eq("classId", classId);
+    }
+    if (studentId) {
+        query = query.eq("studentId", studentId);
+    }
+
+    // Open memberships have no end date
+    const memberships = await findAllItems(query);
+    return memberships.filter(membership => !membership.endDate || membership.endDate >= fromKey);
+}
+
+/**
+ * Whether a membership covers a day ("YYYY-MM-DD")
+ */
+export function isMemberOn(membership, dateKey) {
+    return membership.startDate <= dateKey && (!membership.endDate || membership.endDate >= dateKey);
+}
+
+/**
+ * IDs of the students in a class on a day
+ */
+export async function getClassStudentIdsOn(classId, dateKey) {
+    const memberships = await getClassMemberships({ fromKey: dateKey, toKey: dateKey, classId: classId });
+    return new Set(memberships.map(membership => membership.studentId));
+}
+
+/**
+ * Resolver of a student's homeroom name on a day in fromKey..toKey: (student, dateKey) => name or null
+ * Uses the homeroom membership in effect that day, so past days keep the class the student was in;
+ * days no homeroom membership covers fall back to Students.className (students who predate classes)
+ * Optional studentId loads the memberships of one student only
+ */
+export async function loadHomeroomResolver({ fromKey, toKey, studentId = null }) {
+    const classesById = new Map((await getClasses({ includeInactive: true })).map(item => [item._id, item]));
+    const memberships = (await getClassMemberships({ fromKey: fromKey, toKey: toKey, studentId: studentId }))
+        .filter(membership => classesById.has(membership.classId) && classesById.get(membership.classId).kind === "homeroom");
+
+    const membershipsByStudent = new Map();
+    memberships.forEach(membership => {
+        if (!membershipsByStudent.has(membership.studentId)) {
+            membershipsByStudent.set(membership.studentId, []);
+        }
+        membershipsByStudent.get(membership.studentId).push(membership);
+    });
+
+    return (student, dateKey) => {
+        const membership = (membershipsByStudent.get(student._id) || []).find(item => isMemberOn(item, dateKey));
+        return membership ? classesById.get(membership.classId).name : (student.className || null);
+    };
+}
+
+/**
+ * A student's homeroom name on one day ("YYYY-MM-DD"), see loadHomeroomResolver
+ */
+export async function getStudentClassNameOn(student, dateKey) {
+    const resolveClassName = await loadHomeroomResolver({ fromKey: dateKey, toKey: dateKey, studentId: student._id });
+    return resolveClassName(student, dateKey);
+}
+
+/**
+ * Move a student into a class from startDate
+ * The student's open membership in another class of the same kind ends the day before,
+ * so reports for earlier days keep the old class. For homerooms starting today or earlier,
+ * Students.className is updated to the new class name at once; later moves are applied
+ * on their start date by applyHomeroomMoves
+ */
+export async function assignStudentToClass(studentId, classId, startDate, createdBy) {
+    if (!DATE_KEY_PATTERN.test(startDate || '')) {
+        throw new Error("Start date must be YYYY-MM-DD");
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const student = await elevatedGet("Students", studentId);
+    if (!student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
+    const classItem = await elevatedGet(CLASSES_COLLECTION, classId);
+    if (!classItem) {
+        throw new Error(`Class not found: ${classId}`);
+    }
+
+    const elevatedUpdate = elevate(wixData.update);
+    const elevatedRemove = elevate(wixData.remove);
+    const classesById = new Map((await getClasses({ includeInactive: true })).map(item => [item._id, item]));
+    const current = await getClassMemberships({ fromKey: startDate, toKey: "9999-12-31", studentId: studentId });
+
+    for (const membership of current) {
+        const membershipClass = classesById.get(membership.classId);
+        if (!membershipClass || membershipClass.kind !== classItem.kind) {
+            continue;
+        }
+        if (membership.classId === classId && membership.startDate <= startDate) {
+            throw new Error(`${student.name} is already in ${classItem.name} on ${startDate}`);
+        }
+        if (membership.startDate >= startDate) {
+            // A move planned for later than this one is replaced
+            await elevatedRemove(CLASS_MEMBERSHIPS_COLLECTION, membership._id);
+        } else {
+            await elevatedUpdate(CLASS_MEMBERSHIPS_COLLECTION, { ...membership, endDate: addDaysToDateKey(startDate, -1) });
+        }
+    }
+
+    const elevatedInsert = elevate(wixData.insert);
+    const membership = await elevatedInsert(CLASS_MEMBERSHIPS_COLLECTION, {
+        studentId: studentId,
+        classId: classId,
+        startDate: startDate,
+        endDate: null,
+        createdBy: createdBy
+    });
+
+    const todayKey = toDateKey(new Date(), await getSchoolTimeZone());
+    if (classItem.kind === "homeroom" && startDate <= todayKey) {
+        await elevatedUpdate("Students", { ...student, className: classItem.name });
+    }
+
+    return membership;
+}
+
+/**
+ * End a membership on endDate (inclusive), e.g. when a student leaves the school
+ */
+export async function endClassMembership(membershipId, endDate) {
+    if (!DATE_KEY_PATTERN.test(endDate || '')) {
+        throw new Error("End date must be YYYY-MM-DD");
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const membership = await elevatedGet(CLASS_MEMBERSHIPS_COLLECTION, membershipId);
+    if (!membership) {
+        throw new Error(`Membership not found: ${membershipId}`);
+    }
+    if (endDate < membership.startDate) {
+        throw new Error("End date must be on or after the membership start date");
+    }
+
+    const elevatedUpdate = elevate(wixData.update);
+    return elevatedUpdate(CLASS_MEMBERSHIPS_COLLECTION, { ...membership, endDate: endDate });
+}
+
+/**
+ * Create homeroom classes and open memberships from the existing Students.className values
+ * Students that already have a membership are left alone, so this can be run again
+ */
+export async function seedClassesFromStudents(startDate, createdBy) {
+    if (!DATE_KEY_PATTERN.test(startDate || '')) {
+        throw new Error("Start date must be YYYY-MM-DD");
+    }
+
+    const elevatedQuery = elevate(wixData.query);
+    const elevatedInsert = elevate(wixData.insert);
+    const students = await findAllItems(elevatedQuery("Students").isNotEmpty("className"));
+    const classesByName = new Map((await getClasses({ includeInactive: true })).map(item => [item.name, item]));
+    const studentsWithMembership = new Set((await findAllItems(elevatedQuery(CLASS_MEMBERSHIPS_COLLECTION)))
+        .map(membership => membership.studentId));
+
+    let classesCreated = 0;
+    let membershipsCreated = 0;
+
+    for (const student of students) {
+        const className = student.className.trim();
+        if (!className || studentsWithMembership.has(student._id)) {
+            continue;
+        }
+
+        if (!classesByName.has(className)) {
+            classesByName.set(className, await saveClass({ name: className, kind: "homeroom" }));
+            classesCreated++;
+        }
+
+        await elevatedInsert(CLASS_MEMBERSHIPS_COLLECTION, {
+            studentId: student._id,
+            classId: classesByName.get(className)._id,
+            startDate: startDate,
+            endDate: null,
+            createdBy: createdBy
+        });
+        membershipsCreated++;
+    }
+
+    return { classesCreated: classesCreated, membershipsCreated: membershipsCreated };
+}
+
+/**
+ * Scheduled job: keep Students.className on the homeroom each student is in today
+ * Runs hourly via jobs.config, so a move planned for a later start date is applied on that date
+ * Students without a homeroom membership today keep their className
+ */
+export async function applyHomeroomMoves() {
+    try {
+        console.log("=== APPLYING HOMEROOM MOVES ===");
+
+        const todayKey = toDateKey(new Date(), await getSchoolTimeZone());
+        const classesById = new Map((await getClasses({ includeInactive: true })).map(item => [item._id, item]));
+        const homeroomNames = new Map((await getClassMemberships({ fromKey: todayKey, toKey: todayKey }))
+            .filter(membership => classesById.has(membership.classId) && classesById.get(membership.classId).kind === "homeroom")
+            .map(membership => [membership.studentId, classesById.get(membership.classId).name]));
+
+        const elevatedQuery = elevate(wixData.query);
+        const elevatedUpdate = elevate(wixData.update);
+        const students = homeroomNames.size > 0 ?
+            await findAllItems(elevatedQuery("Students").hasSome("_id", [...homeroomNames.keys()])) :
+            [];
+
+        let studentsUpdated = 0;
+        for (const student of students) {
+            const className = homeroomNames.get(student._id);
+            if (student.className !== className) {
+                await elevatedUpdate("Students", { ...student, className: className });
+                console.log(`🏫 ${student.name || student._id}: class ${student.className || '(none)'} -> ${className}`);
+                studentsUpdated++;
+            }
+        }
+
+        console.log(`Homeroom moves applied. Students updated: ${studentsUpdated}`);
+
+        return { success: true, dateKey: todayKey, studentsUpdated: studentsUpdated };
+
+    } catch (error) {
+        console.error("Error in applyHomeroomMoves:", error);
+        throw new Error(`Failed to apply homeroom moves: ${error.message}`);
+    }
+}
@@ -0,0 +1,195 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { findAllItems } from 'backend/attendanceStore';
+import {
+    CLASS_KINDS,
+    getClasses,
+    saveClass as storeClass,
+    getClassMemberships,
+    assignStudentToClass as storeClassAssignment,
+    endClassMembership as storeMembershipEnd,
+    seedClassesFromStudents as seedClasses
+} from 'backend/classes';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { toDateKey } from 'public/dateUtils';
+
+/**
+ * List active classes (all classes with includeInactive) for filters and admin pages
+ */
+export const listClasses = webMethod(
+    Permissions.SiteMember,
+    async (includeInactive = false) => {
+        try {
+            await requireAccess("listClasses");
+
+            const classes = await getClasses({ includeInactive: includeInactive });
+
+            return {
+                success: true,
+                classes: classes.map(item => ({
+                    _id: item._id,
+                    name: item.name,
+                    grade: item.grade || '',
+                    kind: item.kind,
+                    teacherMemberIds: item.teacherMemberIds || [],
+                    active: item.active !== false
+                })),
+                kinds: CLASS_KINDS
+            };
+
+        } catch (error) {
+            console.error("Error listing classes:", error);
+            throw new Error(`Failed to list classes: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Add or update a class with its teachers
+ * input: { _id?, name, grade, kind, teacherMemberIds, active }
+ */
+export const saveClass = webMethod(
+    Permissions.SiteMember,
+    async (input = {}) => {
+        try {
+            await requireAccess("saveClass");
+
+            const saved = await storeClass(input || {});
+            console.log(`Class saved: ${saved.name} (${saved.kind}, ${saved.teacherMemberIds.length} teachers)`);
+
+            return {
+                success: true,
+                classItem: saved
+            };
+
+        } catch (error) {
+            console.error("Error saving class:", error);
+            throw new Error(`Failed to save class: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Students in a class on a day (default today), with their membership periods
+ */
+export const getClassMembers = webMethod(
+    Permissions.SiteMember,
+    async (classId, dateKey = null) => {
+        try {
+            await requireAccess("getClassMembers");
+
+            if (!classId) {
+                throw new Error("Class ID is required");
+            }
+
+            const dayKey = dateKey || toDateKey(new Date(), await getSchoolTimeZone());
+            const memberships = await getClassMemberships({ fromKey: dayKey, toKey: dayKey, classId: classId });
+
+            const elevatedQuery = elevate(wixData.query);
+            const students = memberships.length > 0 ?
+                await findAllItems(elevatedQuery("Students").hasSome("_id", memberships.map(membership => membership.studentId))) :
+                [];
+            const studentsById = new Map(students.map(student => [student._id, student]));
+
+            return {
+                success: true,
+                dateKey: dayKey,
+                members: memberships
+                    .map(membership => ({
+                        membershipId: membership._id,
+                        studentId: membership.studentId,
+                        studentName: studentsById.has(membership.studentId) ? studentsById.get(membership.studentId).name : 'Unknown',
+                        startDate: membership.startDate,
+                        endDate: membership.endDate || null
+                    }))
+                    .sort((a, b) => a.studentName.localeCompare(b.studentName))
+            };
+
+        } catch (error) {
+            console.error("Error getting class members:", error);
+            throw new Error(`Failed to get class members: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Move a student into a class from startDate ("YYYY-MM-DD", default today)
+ * The previous class of the same kind keeps the student until the day before
+ */
+export const assignStudentToClass = webMethod(
+    Permissions.SiteMember,
+    async (studentId, classId, startDate = null) => {
+        try {
+            await requireAccess("assignStudentToClass");
+
+            const member = await currentMember.getMember();
+            const dayKey = startDate || toDateKey(new Date(), await getSchoolTimeZone());
+            const membership = await storeClassAssignment(studentId, classId, dayKey, `member:${member._id}`);
+
+            console.log(`✅ Student ${studentId} assigned to class ${classId} from ${dayKey} by member ${member._id}`);
+
+            return {
+                success: true,
+                membership: membership
+            };
+
+        } catch (error) {
+            console.error("Error assigning student to class:", error);
+            throw new Error(`Failed to assign class: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * End a student's class membership on endDate (inclusive)
+ */
+export const endClassMembership = webMethod(
+    Permissions.SiteMember,
+    async (membershipId, endDate) => {
+        try {
+            await requireAccess("endClassMembership");
+
+            const membership = await storeMembershipEnd(membershipId, endDate);
+            console.log(`Class membership ${membershipId} ended on ${endDate}`);
+
+            return {
+                success: true,
+                membership: membership
+            };
+
+        } catch (error) {
+            console.error("Error ending class membership:", error);
+            throw new Error(`Failed to end class membership: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * One-off setup: create homeroom classes and memberships from existing Students.className
+ */
+export const seedClassesFromStudents = webMethod(
+    Permissions.SiteMember,
+    async (startDate) => {
+        try {
+            await requireAccess("seedClassesFromStudents");
+
+            console.log("=== CREATING CLASSES FROM STUDENTS ===");
+
+            const member = await currentMember.getMember();
+            const result = await seedClasses(startDate, `member:${member._id}`);
+            console.log(`Class setup completed. Classes: ${result.classesCreated}, Memberships: ${result.membershipsCreated}`);
+
+            return {
+                success: true,
+                ...result
+            };
+
+        } catch (error) {
+            console.error("Error creating classes from students:", error);
+            throw new Error(`Failed to create classes: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,18 @@
+import wixData from 'wix-data';
+import { resolveAttendanceRevision } from 'backend/attendanceStore';
+
+/**
+ * Students update hook
+ * Rejects stale writes to attendanceHistory so concurrent kiosk taps,
+ * system fixes and admin edits never overwrite each other, and keeps
+ * stored fields that a partial update leaves out
+ */
+export async function Students_beforeUpdate(item, context) {
+    const currentItem = await wixData.get("Students", item._id, {
+        suppressAuth: true,
+        suppressHooks: true,
+        consistentRead: true
+    });
+
+    return resolveAttendanceRevision(item, currentItem);
+}
@@ -2,168 +2,9 @@ import { Permissions, webMethod } from 'wix-web-module';
 import { customTrigger } from '@wix/automations';
 import { elevate } from 'wix-auth';
 import wixData from 'wix-data';
-
-// Automation Trigger ID from your Wix Dashboard
-const EMAIL_AUTOMATION_TRIGGER_ID = "83665c94-58a9-43c0-b7ee-2ce00875f5cc";
-
-/**
- * Send attendance notification using Wix Automation with payload
- * Automatically filters out system-fix status changes
- * Triggers individual automation for each parent using Member ID as Contact ID
- */
-export const sendAttendanceNotification = webMethod(
-    Permissions.Anyone,
-    async (studentId, status, isSystemFix = false) => {
-        try {
-            console.log("=== ATTENDANCE NOTIFICATION WITH PAYLOAD ===");
-            console.log(`Student: ${studentId}, Status: ${status}, SystemFix: ${isSystemFix}`);
-            
-            // Skip email for system fixes
-            if (isSystemFix) {
-                console.log("Skipping email for system fix");
-                return { success: true, message: "Email skipped for system fix" };
-            }
-            
-            // Prepare notification data
-            const notificationData = await prepareNotificationData(studentId, status);
-            
-            if (!notificationData || notificationData.parents.length === 0) {
-                return { success: true, message: "No parents to notify" };
-            }
-            
-            // Trigger automation for each parent with individual payload
-            const automationPromises = [];
-            
-            for (const parent of notificationData.parents) {
-                if (parent.memberReference) {
-                    // Create payload for this specific parent
-                    const emailPayload = {
-                        contactId: parent.memberReference, // Member ID as Contact ID
-                        studentName: notificationData.student.name,
-                        studentId: notificationData.student._id,
-                        parentName: parent.parentName,
-                        parentRelationship: parent.relationship || "Parent",
-                        status: notificationData.status,
-                        statusJapanese: notificationData.status === "login" ? "ログイン" : "ログアウト",
-                        timestamp: notificationData.timestamp,
-                        schoolName: "ELife International School",
-                        triggeredAt: new Date().toISOString()
-                    };
-                    
-                    // Trigger automation with payload for this parent
-                    automationPromises.push(
-                        triggerParentEmailAutomation(emailPayload, parent.parentName)
-                    );
-                }
-            }
-            
-            // Execute all automation triggers
-            const results = await Promise.allSettled(automationPromises);
-            
-            const successCount = results.filter(r => r.status === 'fulfilled').length;
-            const failCount = results.filter(r => r.status === 'rejected').length;
-            
-            console.log(`Automation triggers completed: ${successCount} success, ${failCount} failed`);
-            
-            if (failCount > 0) {
-                console.error("Some email automations failed:", 
-                    results.filter(r => r.status === 'rejected').map(r => r.reason)
-                );
-            }
-            
-            return {
-                success: true,
-                message: `Triggered ${successCount} email automations`,
-                studentName: notificationData.student.name,
-                parentCount: notificationData.parents.length,
-                successCount: successCount,
-                failCount: failCount
-            };
-            
-        } catch (error) {
-            console.error("Error in sendAttendanceNotification:", error);
-            throw new Error(`Failed to trigger email automation: ${error.message}`);
-        }
-    }
-);
-
-/**
- * Prepare notification data by gathering student and parent information
- */
-async function prepareNotificationData(studentId, status) {
-    try {
-        const elevatedQuery = elevate(wixData.query);
-        
-        // Get student data
-        const studentResult = await elevatedQuery("Students")
-            .eq("_id", studentId)
-            .find();
-        
-        if (studentResult.items.length === 0) {
-            throw new Error("Student not found");
-        }
-        
-        const student = studentResult.items[0];
-        
-        // Find parents for this student
-        const parentsResult = await elevatedQuery("Parents")
-            .contains("assignedStudents", studentId)
-            .find();
-        
-        if (parentsResult.items.length === 0) {
-            console.log("No parents found for student");
-            return { parents: [] };
-        }
-        
-        // Create JST timestamp for email
-        const jstTimestamp = new Date().toLocaleString('ja-JP', {
-            timeZone: 'Asia/Tokyo',
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit',
-            weekday: 'long'
-        });
-        
-        return {
-            student: student,
-            parents: parentsResult.items,
-            status: status,
-            timestamp: jstTimestamp
-        };
-        
-    } catch (error) {
-        console.error("Error preparing notification data:", error);
-        throw error;
-    }
-}
-
-/**
- * Trigger email automation for individual parent with payload
- */
-async function triggerParentEmailAutomation(payload, parentName) {
-    try {
-        console.log(`Triggering email automation for parent: ${parentName}`);
-        console.log("Payload:", {
-            contactId: payload.contactId,
-            studentName: payload.studentName,
-            parentName: payload.parentName,
-            status: payload.status
-        });
-        
-        // Trigger automation with payload - payload is automatically passed to actions
-        await customTrigger.runTrigger(EMAIL_AUTOMATION_TRIGGER_ID, payload);
-        
-        console.log(`✓ Email automation triggered successfully for ${parentName}`);
-        
-        return { success: true, parentName: parentName };
-        
-    } catch (error) {
-        console.error(`✗ Error triggering automation for ${parentName}:`, error);
-        throw new Error(`Failed to trigger automation for ${parentName}: ${error.message}`);
-    }
-}
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { requireAccess } from 'backend/authorization';
+import { EMAIL_AUTOMATION_TRIGGER_ID } from 'backend/attendanceNotifications';
 
 /**
  * Test automation with sample payload
@@ -172,8 +13,12 @@ export const testEmailAutomation = webMethod(
     Permissions.SiteMember,
     async (testContactId = "00000000-0000-0000-0000-000000000001") => {
         try {
+            await requireAccess("testEmailAutomation");
+
             console.log(`Testing automation trigger: ${EMAIL_AUTOMATION_TRIGGER_ID}`);
             
+            const timeZone = await getSchoolTimeZone();
+            
             const testPayload = {
                 contactId: testContactId,
                 studentName: "Test Student テスト",
@@ -183,7 +28,7 @@ export const testEmailAutomation = webMethod(
                 status: "login",
                 statusJapanese: "ログイン",
                 timestamp: new Date().toLocaleString('ja-JP', { 
-                    timeZone: 'Asia/Tokyo',
+                    timeZone: timeZone,
                     year: 'numeric',
                     month: '2-digit',
                     day: '2-digit',
@@ -219,6 +64,8 @@ export const getAutomationStatus = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("getAutomationStatus");
+
             const elevatedQuery = elevate(wixData.query);
             
             // Count total parents with memberReference (potential email recipients)
@@ -256,6 +103,8 @@ export const validateParentMemberReferences = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("validateParentMemberReferences");
+
             const elevatedQuery = elevate(wixData.query);
             
             // Get all parents
@@ -1,84 +1,8 @@
 import { Permissions, webMethod } from 'wix-web-module';
 import { elevate } from 'wix-auth';
 import wixData from 'wix-data';
-
-/**
- * Synchronize parent emails with member emails weekly on Sunday at 22:30 JST
- * Updates the email field in Parents collection if different from Members/FullData
- * Scheduled to run weekly on Sunday at 13:30 UTC (22:30 JST)
- */
-export const syncParentEmailsWeekly = webMethod(
-    Permissions.Anyone,
-    async () => {
-        try {
-            console.log("=== SYNCING PARENT EMAILS WEEKLY ===");
-            
-            const elevatedQuery = elevate(wixData.query);
-            const elevatedUpdate = elevate(wixData.update);
-            
-            // Get all parents with memberReference
-            const parentsResult = await elevatedQuery("Parents")
-                .isNotEmpty("memberReference")
-                .find();
-            
-            let updatedCount = 0;
-            let processedCount = 0;
-            let errorCount = 0;
-            
-            for (const parent of parentsResult.items) {
-                processedCount++;
-                
-                try {
-                    // Get member email from Members/FullData
-                    const memberResult = await elevatedQuery("Members/FullData")
-                        .eq("_id", parent.memberReference)
-                        .find();
-                    
-                    if (memberResult.items.length === 0) {
-                        console.log(`Member not found for parent: ${parent.parentName || 'Unknown'}`);
-                        errorCount++;
-                        continue;
-                    }
-                    
-                    const memberEmail = memberResult.items[0].loginEmail;
-                    
-                    // Update parent email if different
-                    if (parent.email !== memberEmail && memberEmail) {
-                        await elevatedUpdate("Parents", {
-                            _id: parent._id,
-                            email: memberEmail,
-                            emailSyncedAt: new Date().toISOString(),
-                            previousEmail: parent.email,
-                            syncType: "weekly-auto"
-                        });
-                        
-                        updatedCount++;
-                        console.log(`Updated email for parent: ${parent.parentName || 'Unknown'} from ${parent.email} to ${memberEmail}`);
-                    }
-                    
-                } catch (innerError) {
-                    console.error(`Error updating parent ${parent.parentName || 'Unknown'}:`, innerError);
-                    errorCount++;
-                }
-            }
-            
-            console.log(`Weekly email synchronization completed. Processed: ${processedCount}, Updated: ${updatedCount}, Errors: ${errorCount}`);
-            
-            return { 
-                success: true, 
-                processedCount: processedCount,
-                updatedCount: updatedCount,
-                errorCount: errorCount,
-                syncDate: new Date().toISOString(),
-                syncType: "weekly"
-            };
-            
-        } catch (error) {
-            console.error("Error in syncParentEmailsWeekly:", error);
-            throw new Error(`Failed to sync parent emails: ${error.message}`);
-        }
-    }
-);
+import { requireAccess } from 'backend/authorization';
+import { runParentEmailSync } from 'backend/parentEmailSync';
 
 /**
  * Manual trigger for email synchronization (for testing or emergency sync)
@@ -87,29 +11,11 @@ export const manualSyncParentEmails = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("manualSyncParentEmails");
+
             console.log("=== MANUAL TRIGGER: SYNCING PARENT EMAILS ===");
             
-            // Call weekly sync function but mark as manual
-            const result = await syncParentEmailsWeekly();
-            
-            // Update sync type to manual for tracking
-            if (result.success && result.updatedCount > 0) {
-                const elevatedQuery = elevate(wixData.query);
-                const elevatedUpdate = elevate(wixData.update);
-                
-                // Mark recently synced parents as manual sync
-                const recentlySynced = await elevatedQuery("Parents")
-                    .isNotEmpty("emailSyncedAt")
-                    .gt("emailSyncedAt", new Date(Date.now() - 60000).toISOString()) // Last minute
-                    .find();
-                
-                for (const parent of recentlySynced.items) {
-                    await elevatedUpdate("Parents", {
-                        _id: parent._id,
-                        syncType: "manual"
-                    });
-                }
-            }
+            const result = await runParentEmailSync("manual");
             
             return {
                 ...result,
@@ -131,6 +37,8 @@ export const getEmailSyncStats = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("getEmailSyncStats");
+
             const elevatedQuery = elevate(wixData.query);
             
             // Count total parents with memberReference
@@ -193,6 +101,8 @@ export const checkEmailMismatches = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("checkEmailMismatches");
+
             console.log("=== CHECKING EMAIL MISMATCHES (READ-ONLY) ===");
             
             const elevatedQuery = elevate(wixData.query);
@@ -0,0 +1,487 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { sendAttendanceNotification } from 'backend/attendanceNotifications';
+import {
+    getLastAttendanceEvent,
+    insertAttendanceEvent,
+    findAttendanceEventByEventId,
+    getAttendanceEvent
+} from 'backend/attendanceStore';
+import { undoAttendanceEventWithFollowUp } from 'backend/attendanceCorrections';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { findStudentByBadgeToken } from 'backend/studentBadges';
+import { isPinRequired, isPinLocked, verifyKioskPin } from 'backend/studentPins';
+import { authenticateKiosk } from 'backend/kioskRegistry';
+import { recordKioskHeartbeat } from 'backend/kioskHealth';
+import { classifyNewAttendanceEvent } from 'backend/punctuality';
+import { loadSchoolCalendar } from 'backend/schoolCalendar';
+import { getStudentClassNameOn } from 'backend/classes';
+import { getPickupGuardians, resolvePickupGuardian, describePickupGuardian } from 'backend/pickupGuardians';
+import { assertKioskAllowed, recordKioskLookupResult, logKioskSecurityEvent } from 'backend/kioskSecurity';
+import { formatTime, toDate, toDateKey } from 'public/dateUtils';
+
+// Client event IDs generated by the kiosk page (public/offlineQueue.js)
+const CLIENT_EVENT_ID_PATTERN = /^kiosk-[A-Za-z0-9-]{8,64}$/;
+// Guardian IDs offered by lookupKioskStudent (backend/pickupGuardians.js)
+const PICKUP_GUARDIAN_ID_PATTERN = /^(parent|pickup):[A-Za-z0-9-]{1,64}$/;
+
+// Offline taps older than this are rejected instead of replayed
+const MAX_OFFLINE_AGE_MS = 24 * 60 * 60 * 1000;
+// Allowed kiosk clock drift into the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Rejected offline taps accepted per heartbeat (the ESystem page sends at most this many)
+const MAX_REJECTED_TAPS_PER_HEARTBEAT = 20;
+
+/**
+ * Find student by the numeric childId entered at the kiosk
+ * Returns null when no student matches
+ */
+async function findStudentByChildId(childId) {
+    if (!childId || typeof childId !== 'string') {
+        throw new Error("Invalid child ID provided");
+    }
+
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery("Students")
+        .eq("childId", childId)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : null;
+}
+
+/**
+ * Find student from what the kiosk sent
+ * Accepts a typed childId string or { badgeToken } from a scanned QR badge
+ */
+async function findKioskStudent(identifier) {
+    if (identifier && typeof identifier === 'object') {
+        return findStudentByBadgeToken(identifier.badgeToken);
+    }
+    return findStudentByChildId(identifier);
+}
+
+/**
+ * Describe a kiosk identifier for security logs (badge tokens are never logged)
+ */
+function describeIdentifier(identifier) {
+    return typeof identifier === 'string' ? `childId ${identifier}` : "badge";
+}
+
+/**
+ * Validate the eventId, client timestamp and pickup guardian sent with a tap
+ * Returns { eventId, timestamp, pickupGuardianId }; timestamp is null for live taps without one
+ */
+function normalizeTapOptions(options) {
+    const { eventId = null, clientTimestamp = null, pickupGuardianId = null } = options || {};
+
+    if (eventId !== null && !CLIENT_EVENT_ID_PATTERN.test(String(eventId))) {
+        throw new Error("Invalid event ID");
+    }
+    if (pickupGuardianId !== null && !PICKUP_GUARDIAN_ID_PATTERN.test(String(pickupGuardianId))) {
+        throw new Error("Invalid pickup guardian");
+    }
+
+    let timestamp = null;
+    if (clientTimestamp !== null) {
+        timestamp = toDate(clientTimestamp);
+        const now = Date.now();
+        if (!timestamp || timestamp.getTime() > now + MAX_CLOCK_SKEW_MS) {
+            throw new Error("Invalid client timestamp");
+        }
+        if (timestamp.getTime() < now - MAX_OFFLINE_AGE_MS) {
+            throw new Error("Offline tap is too old to be recorded");
+        }
+        // Never store an instant in the future because of kiosk clock drift
+        if (timestamp.getTime() > now) {
+            timestamp = new Date(now);
+        }
+    }
+
+    return { eventId: eventId, timestamp: timestamp, pickupGuardianId: pickupGuardianId };
+}
+
+/**
+ * Determine next action from the last attendance event
+ * Student is logged out unless the last event is a login
+ */
+function nextActionAfter(lastEvent) {
+    return lastEvent && lastEvent.status === "login" ? "logout" : "login";
+}
+
+/**
+ * Whether an event was tapped at a kiosk (not a staff override, system fix or migrated record)
+ */
+function isKioskTap(event) {
+    return !!event && event.actor === "kiosk" && event.type === "user-input";
+}
+
+/**
+ * Seconds since the last kiosk tap when it is inside the minimum interval, otherwise null
+ * Guards against double taps toggling a student straight back
+ * Events stamped after at (e.g. a future system fix) are not a recent change, and
+ * neither are staff or system events, which the kiosk cannot undo
+ */
+function getSecondsSinceRecentChange(lastEvent, at, minStateChangeSeconds) {
+    if (!isKioskTap(lastEvent) || !minStateChangeSeconds) {
+        return null;
+    }
+    const millisecondsAgo = at.getTime() - toDate(lastEvent.timestamp).getTime();
+    if (millisecondsAgo < 0) {
+        return null;
+    }
+    const secondsAgo = Math.floor(millisecondsAgo / 1000);
+    return secondsAgo < minStateChangeSeconds ? secondsAgo : null;
+}
+
+/**
+ * Seconds after a tap during which the kiosk may undo it
+ * Covers both the post-confirmation undo window and the double-tap interval
+ */
+function getKioskUndoWindowSeconds(settings) {
+    return Math.max(settings.undoWindowSeconds, settings.minStateChangeSeconds);
+}
+
+/**
+ * Kiosk wording for a state change, e.g. "logged in"
+ */
+function describeStatus(status) {
+    return status === "login" ? "logged in" : "logged out";
+}
+
+/**
+ * Get display name with fallback for safety
+ */
+function getStudentDisplayName(student) {
+    return (typeof student.name === "string" && student.name.trim().length > 0) ?
+        student.name.trim() :
+        "Student";
+}
+
+/**
+ * Build the kiosk response for a recorded event
+ * duplicate is true when the eventId had already been recorded
+ * undoWindowSeconds tells the kiosk how long to offer "Undo"
+ */
+function buildRecordResult(event, studentName, notification, settings, duplicate) {
+    const timestamp = toDate(event.timestamp);
+    return {
+        success: true,
+        action: event.status,
+        eventId: event.eventId || null,
+        eventItemId: event._id || null,
+        timestamp: timestamp.toISOString(),
+        localTime: formatTime(timestamp, settings.timeZone),
+        studentName: studentName,
+        location: event.location || null,
+        pickedUpBy: event.pickedUpByName || null,
+        notification: notification,
+        duplicate: duplicate,
+        undoWindowSeconds: duplicate ? 0 : settings.undoWindowSeconds
+    };
+}
+
+/**
+ * Look up student for the kiosk confirmation lightbox
+ * identifier is a typed childId or { badgeToken } from a scanned badge
+ * Returns only the data needed for display and the next action
+ */
+export const lookupKioskStudent = webMethod(
+    Permissions.Anyone,
+    async (identifier, kioskToken) => {
+        try {
+            const kiosk = await authenticateKiosk(kioskToken);
+            await assertKioskAllowed(kiosk.kioskId);
+
+            const student = await findKioskStudent(identifier);
+            await recordKioskLookupResult(kiosk.kioskId, !!student, describeIdentifier(identifier));
+            if (!student) {
+                return { found: false };
+            }
+
+            const pinRequired = await isPinRequired(student);
+            const settings = await getSchoolSettings();
+            const lastEvent = await getLastAttendanceEvent(student);
+            const secondsAgo = getSecondsSinceRecentChange(lastEvent, new Date(), settings.minStateChangeSeconds);
+            const nextAction = nextActionAfter(lastEvent);
+
+            // Logouts may record who collected the student
+            // Photos let staff verify the person; phone numbers stay off the kiosk
+            const pickupGuardians = nextAction === "logout" ?
+                (await getPickupGuardians(student._id)).map(guardian => ({
+                    guardianId: guardian.guardianId,
+                    name: guardian.name,
+                    relation: guardian.relation,
+                    photo: guardian.photo
+                })) :
+                [];
+
+            return {
+                found: true,
+                studentName: getStudentDisplayName(student),
+                nextAction: nextAction,
+                pickupGuardians: pickupGuardians,
+                // Inside the minimum interval after a kiosk tap the kiosk offers undo instead of a toggle
+                recentChange: secondsAgo === null || !lastEvent._id ? null : {
+                    eventId: lastEvent._id,
+                    status: lastEvent.status,
+                    secondsAgo: secondsAgo
+                },
+                pinRequired: pinRequired,
+                pinLocked: pinRequired && isPinLocked(student)
+            };
+
+        } catch (error) {
+            console.error("Error in lookupKioskStudent:", error);
+            throw new Error(`Failed to look up student: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Record a kiosk check-in or check-out for a student
+ * Decides login vs logout on the server, appends the record and notifies parents
+ * pin is checked for students that require one (see backend/studentPins)
+ * options: { eventId, clientTimestamp, pickupGuardianId } - an already recorded eventId is returned
+ * as-is, so retries and offline replays are idempotent
+ * pickupGuardianId optionally records who collected the student on logout
+ * This is the only path that writes kiosk attendance to AttendanceEvents
+ */
+export const recordAttendanceEvent = webMethod(
+    Permissions.Anyone,
+    async (identifier, kioskToken, pin = null, options = {}) => {
+        try {
+            console.log("=== RECORDING KIOSK ATTENDANCE EVENT ===");
+
+            const kiosk = await authenticateKiosk(kioskToken);
+            await assertKioskAllowed(kiosk.kioskId);
+
+            const tap = normalizeTapOptions(options);
+
+            const student = await findKioskStudent(identifier);
+            await recordKioskLookupResult(kiosk.kioskId, !!student, describeIdentifier(identifier));
+            if (!student) {
+                throw new Error(typeof identifier === 'string' ?
+                    `Student not found with childId: ${identifier}` :
+                    "Invalid or revoked badge");
+            }
+
+            if (tap.eventId) {
+                const existing = await findAttendanceEventByEventId(tap.eventId, student._id);
+                if (existing) {
+                    console.log(`Event ${tap.eventId} already recorded - returning stored result`);
+                    return buildRecordResult(existing, getStudentDisplayName(student), null, await getSchoolSettings(), true);
+                }
+            }
+
+            try {
+                await verifyKioskPin(student, pin);
+            } catch (pinError) {
+                await logKioskSecurityEvent(kiosk.kioskId, "pin-rejected", `${getStudentDisplayName(student)}: ${pinError.message}`);
+                throw pinError;
+            }
+
+            // Double kiosk taps inside the minimum interval are refused, not toggled
+            const tapTime = tap.timestamp || new Date();
+            const settings = await getSchoolSettings();
+            const lastEvent = await getLastAttendanceEvent(student, tap.timestamp);
+            const secondsAgo = getSecondsSinceRecentChange(lastEvent, tapTime, settings.minStateChangeSeconds);
+            if (secondsAgo !== null) {
+                throw new Error(`You just ${describeStatus(lastEvent.status)} ${secondsAgo} seconds ago`);
+            }
+
+            // Events are inserted, never merged into the Students item
+            // Offline replays are placed at the original tap time
+            const action = nextActionAfter(lastEvent);
+
+            // A guardian chosen for a login (state changed meanwhile) is ignored
+            const pickupGuardian = action === "logout" && tap.pickupGuardianId ?
+                await resolvePickupGuardian(student._id, tap.pickupGuardianId) :
+                null;
+
+            const event = await insertAttendanceEvent({
+                eventId: tap.eventId,
+                studentId: student._id,
+                timestamp: tapTime,
+                status: action,
+                type: "user-input",
+                sourceKiosk: kiosk.kioskId,
+                location: kiosk.locationName,
+                actor: "kiosk",
+                pickedUpBy: pickupGuardian ? pickupGuardian.guardianId : null,
+                pickedUpByName: pickupGuardian ? describePickupGuardian(pickupGuardian) : null
+            });
+
+            console.log(`Student: ${student.name} (${student._id}), Action: ${action}, Kiosk: ${kiosk.kioskId} (${kiosk.locationName || 'no location'})`);
+            console.log(`✅ Attendance ${action} recorded at ${event.timestamp.toISOString()}${pickupGuardian ? `, picked up by ${event.pickedUpByName}` : ''}`);
+
+            const eventDateKey = toDateKey(event.timestamp, settings.timeZone);
+            const calendar = await loadSchoolCalendar(eventDateKey, eventDateKey);
+            const className = await getStudentClassNameOn(student, eventDateKey);
+            const punctuality = classifyNewAttendanceEvent(event, lastEvent, className, settings, calendar);
+
+            // Notification failure must not undo the recorded attendance
+            let notification = null;
+            try {
+                notification = await sendAttendanceNotification(student._id, action, false, event.timestamp, {
+                    pickedUpByName: event.pickedUpByName,
+                    punctuality: punctuality
+                });
+            } catch (emailError) {
+                console.error("❌ Email notification failed:", emailError);
+                notification = { success: false, message: emailError.message };
+            }
+
+            return {
+                ...buildRecordResult(event, getStudentDisplayName(student), notification, settings, false),
+                punctuality: punctuality
+            };
+
+        } catch (error) {
+            console.error("Error in recordAttendanceEvent:", error);
+            throw new Error(`Failed to record attendance: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Undo a student's state change made at the kiosk moments ago
+ * Allowed only for the student's latest kiosk event inside the undo window
+ * The event is voided, not deleted, keeps who undid it, and parents get a correction
+ */
+export const undoAttendanceEvent = webMethod(
+    Permissions.Anyone,
+    async (identifier, kioskToken, eventItemId, pin = null) => {
+        try {
+            console.log("=== UNDOING KIOSK ATTENDANCE EVENT ===");
+
+            const kiosk = await authenticateKiosk(kioskToken);
+            await assertKioskAllowed(kiosk.kioskId);
+
+            const student = await findKioskStudent(identifier);
+            await recordKioskLookupResult(kiosk.kioskId, !!student, describeIdentifier(identifier));
+            if (!student) {
+                throw new Error("Student not found");
+            }
+
+            try {
+                await verifyKioskPin(student, pin);
+            } catch (pinError) {
+                await logKioskSecurityEvent(kiosk.kioskId, "pin-rejected", `${getStudentDisplayName(student)}: ${pinError.message}`);
+                throw pinError;
+            }
+
+            const event = await getAttendanceEvent(eventItemId);
+            const lastEvent = await getLastAttendanceEvent(student);
+            if (!event || event.studentId !== student._id || !lastEvent || lastEvent._id !== event._id) {
+                throw new Error("Only the latest attendance event can be undone");
+            }
+            if (!isKioskTap(event)) {
+                throw new Error("Only kiosk taps can be undone at the kiosk");
+            }
+
+            const settings = await getSchoolSettings();
+            if (getSecondsSinceRecentChange(event, new Date(), getKioskUndoWindowSeconds(settings)) === null) {
+                throw new Error("Undo time has passed - please ask staff");
+            }
+
+            const undo = await undoAttendanceEventWithFollowUp(event, {
+                voidedBy: `kiosk:${kiosk.kioskId}`,
+                reason: "kiosk-undo"
+            });
+
+            console.log(`↩️ Undid ${event.status} for ${student.name} (${student._id}) at kiosk ${kiosk.kioskId}`);
+
+            return {
+                success: true,
+                undoneAction: event.status,
+                studentName: getStudentDisplayName(student),
+                notification: undo.notification
+            };
+
+        } catch (error) {
+            console.error("Error in undoAttendanceEvent:", error);
+            throw new Error(`Failed to undo attendance: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Kiosk behaviour settings for the ESystem page and confirmation lightbox
+ */
+export const getKioskConfig = webMethod(
+    Permissions.Anyone,
+    async (kioskToken) => {
+        try {
+            const kiosk = await authenticateKiosk(kioskToken);
+            const settings = await getSchoolSettings();
+
+            return {
+                success: true,
+                kioskId: kiosk.kioskId,
+                locationName: kiosk.locationName,
+                idleSeconds: settings.kioskIdleSeconds,
+                confirmTimeoutSeconds: settings.confirmTimeoutSeconds
+            };
+
+        } catch (error) {
+            console.error("Error in getKioskConfig:", error);
+            throw new Error(`Failed to get kiosk configuration: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Resolve the students of rejected offline taps for the kiosk status page
+ * Badge tokens are looked up here and never stored
+ */
+async function describeRejectedTaps(rejectedTaps) {
+    const taps = Array.isArray(rejectedTaps) ? rejectedTaps.slice(0, MAX_REJECTED_TAPS_PER_HEARTBEAT) : [];
+    const described = [];
+
+    for (const tap of taps) {
+        if (!tap || !CLIENT_EVENT_ID_PATTERN.test(String(tap.eventId))) {
+            continue;
+        }
+        const student = await findKioskStudent(tap.identifier).catch(() => null);
+        const tappedAt = toDate(tap.clientTimestamp);
+        described.push({
+            eventId: String(tap.eventId),
+            studentId: student ? student._id : null,
+            studentName: student ? student.name : null,
+            identifier: describeIdentifier(tap.identifier),
+            tappedAt: tappedAt ? tappedAt.toISOString() : null,
+            reason: String(tap.reason || '').slice(0, 200)
+        });
+    }
+
+    return described;
+}
+
+/**
+ * Heartbeat sent periodically by the ESystem page
+ * status: { version, queuedTaps, recentErrors, rejectedTaps }; not counted against the kiosk rate limit
+ * Returns the rejected taps staff have resolved, so the kiosk can stop listing them
+ */
+export const sendKioskHeartbeat = webMethod(
+    Permissions.Anyone,
+    async (kioskToken, status = {}) => {
+        try {
+            const kiosk = await authenticateKiosk(kioskToken);
+            const rejectedTaps = await describeRejectedTaps((status || {}).rejectedTaps);
+            const updated = await recordKioskHeartbeat(kiosk.kioskId, { ...(status || {}), rejectedTaps: rejectedTaps });
+
+            return {
+                success: true,
+                kioskId: kiosk.kioskId,
+                registered: !!updated,
+                resolvedRejectedTapIds: updated ? updated.resolvedRejectedTapIds || [] : [],
+                serverTime: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error("Error in sendKioskHeartbeat:", error);
+            throw new Error(`Failed to record heartbeat: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,232 @@
+import { customTrigger } from '@wix/automations';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { KIOSKS_COLLECTION, getKiosk } from 'backend/kioskRegistry';
+import { findAllItems } from 'backend/attendanceStore';
+import { getSchoolSettings, isDuringSchoolHours } from 'backend/schoolSettings';
+import { loadSchoolCalendar, getSchoolDayInfo } from 'backend/schoolCalendar';
+import { formatZonedTimestamp, toDateKey } from 'public/dateUtils';
+
+// One item per registered kiosk holding its latest heartbeat, kept apart from Kiosks
+// so heartbeats never write over admin changes (deactivation, token rotation)
+// Fields: kioskId, lastSeenAt, appVersion, queuedTaps, recentErrors, lastErrorAt, lastAlertAt,
+// rejectedTaps (offline taps the backend refused on replay, until staff resolve them)
+// and resolvedRejectedTapIds (handed back to the kiosk so it stops listing them)
+export const KIOSK_HEARTBEATS_COLLECTION = "KioskHeartbeats";
+
+// A kiosk without a heartbeat for this long is reported as silent
+export const KIOSK_SILENT_MINUTES = 15;
+
+// Limits on what a kiosk may report per heartbeat
+const MAX_REPORTED_ERRORS = 10;
+const MAX_ERROR_LENGTH = 300;
+const MAX_REJECTED_TAPS = 100;
+
+/**
+ * Get the heartbeat item of a kiosk, or null when it has never sent one
+ */
+async function getKioskHeartbeat(kioskId) {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(KIOSK_HEARTBEATS_COLLECTION)
+        .eq("kioskId", kioskId)
+        .limit(1)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : null;
+}
+
+/**
+ * Heartbeat items of all kiosks by kioskId
+ */
+export async function getKioskHeartbeats() {
+    const elevatedQuery = elevate(wixData.query);
+    const heartbeats = await findAllItems(elevatedQuery(KIOSK_HEARTBEATS_COLLECTION));
+    return new Map(heartbeats.map(heartbeat => [heartbeat.kioskId, heartbeat]));
+}
+
+/**
+ * Store a heartbeat of a registered kiosk in KioskHeartbeats
+ * status: { version, queuedTaps, recentErrors } as reported by the ESystem page,
+ * plus rejectedTaps already described by sendKioskHeartbeat
+ */
+export async function recordKioskHeartbeat(kioskId, status = {}) {
+    const kiosk = await getKiosk(kioskId);
+    if (!kiosk || !kiosk.active) {
+        // Devices on the shared legacy token have no Kiosks item to report on
+        console.log(`Heartbeat from unregistered or inactive kiosk ${kioskId} ignored`);
+        return null;
+    }
+
+    const reportedErrors = Array.isArray(status.recentErrors) ? status.recentErrors : [];
+    const recentErrors = reportedErrors
+        .slice(-MAX_REPORTED_ERRORS)
+        .map(error => String(error).slice(0, MAX_ERROR_LENGTH));
+
+    const heartbeat = await getKioskHeartbeat(kioskId) || { kioskId: kioskId };
+    const fields = {
+        ...heartbeat,
+        lastSeenAt: new Date(),
+        appVersion: status.version ? String(status.version).slice(0, 40) : null,
+        queuedTaps: Number.isInteger(status.queuedTaps) ? status.queuedTaps : 0,
+        // Keep the last reported errors until a heartbeat brings new ones
+        recentErrors: recentErrors.length > 0 ? recentErrors : (heartbeat.recentErrors || []),
+        lastErrorAt: recentErrors.length > 0 ? new Date() : (heartbeat.lastErrorAt || null),
+        rejectedTaps: mergeRejectedTaps(heartbeat, status.rejectedTaps)
+    };
+
+    if (heartbeat._id) {
+        const elevatedUpdate = elevate(wixData.update);
+        return elevatedUpdate(KIOSK_HEARTBEATS_COLLECTION, fields);
+    }
+    const elevatedInsert = elevate(wixData.insert);
+    return elevatedInsert(KIOSK_HEARTBEATS_COLLECTION, fields);
+}
+
+/**
+ * Add newly reported rejected taps to the stored ones, skipping taps already listed or resolved
+ */
+function mergeRejectedTaps(heartbeat, reportedTaps) {
+    const stored = heartbeat.rejectedTaps || [];
+    const resolvedIds = new Set(heartbeat.resolvedRejectedTapIds || []);
+    const knownIds = new Set(stored.map(tap => tap.eventId));
+
+    const added = (Array.isArray(reportedTaps) ? reportedTaps : [])
+        .filter(tap => !knownIds.has(tap.eventId) && !resolvedIds.has(tap.eventId))
+        .map(tap => ({ ...tap, reportedAt: new Date() }));
+    if (added.length > 0) {
+        console.warn(`⚠️ Kiosk ${heartbeat.kioskId} reported ${added.length} rejected offline taps`);
+    }
+
+    return [...stored, ...added].slice(-MAX_REJECTED_TAPS);
+}
+
+/**
+ * Mark a rejected offline tap as handled by staff
+ * The kiosk learns about it with its next heartbeat and drops the tap from its own list
+ */
+export async function resolveRejectedKioskTap(kioskId, eventId) {
+    const heartbeat = await getKioskHeartbeat(kioskId);
+    if (!heartbeat || !(heartbeat.rejectedTaps || []).some(tap => tap.eventId === eventId)) {
+        throw new Error(`Rejected tap not found: ${eventId}`);
+    }
+
+    const elevatedUpdate = elevate(wixData.update);
+    return elevatedUpdate(KIOSK_HEARTBEATS_COLLECTION, {
+        ...heartbeat,
+        rejectedTaps: heartbeat.rejectedTaps.filter(tap => tap.eventId !== eventId),
+        resolvedRejectedTapIds: [...(heartbeat.resolvedRejectedTapIds || []), eventId].slice(-MAX_REJECTED_TAPS)
+    });
+}
+
+/**
+ * Health of a registered kiosk: "inactive", "never-seen", "silent" or "online"
+ * heartbeat is the kiosk's KioskHeartbeats item, or null
+ */
+export function getKioskHealthStatus(kiosk, heartbeat, now = new Date()) {
+    if (!kiosk.active) {
+        return "inactive";
+    }
+    if (!heartbeat || !heartbeat.lastSeenAt) {
+        return "never-seen";
+    }
+    const minutesSinceLastSeen = (now.getTime() - new Date(heartbeat.lastSeenAt).getTime()) / 60000;
+    return minutesSinceLastSeen >= KIOSK_SILENT_MINUTES ? "silent" : "online";
+}
+
+/**
+ * Email admins about a silent kiosk through the configured automation
+ */
+async function sendSilentKioskAlert(kiosk, heartbeat, settings) {
+    const payload = {
+        kioskId: kiosk.kioskId,
+        kioskName: kiosk.name,
+        locationName: kiosk.locationName || '',
+        lastSeenAt: heartbeat && heartbeat.lastSeenAt ? formatZonedTimestamp(new Date(heartbeat.lastSeenAt), settings.timeZone) : 'never',
+        queuedTaps: heartbeat ? heartbeat.queuedTaps || 0 : 0,
+        schoolName: "ELife International School",
+        triggeredAt: new Date().toISOString()
+    };
+
+    await customTrigger.runTrigger(settings.kioskAlertTriggerId, payload);
+    console.log(`📧 Silent kiosk alert sent for ${kiosk.kioskId}`);
+}
+
+/**
+ * Scheduled job: alert admins about kiosks that went silent during school hours
+ * Runs hourly via jobs.config; each silence is alerted once (KioskHeartbeats.lastAlertAt)
+ * Holidays, closures and days outside term (SchoolCalendar) are skipped
+ */
+export async function checkSilentKiosks() {
+    try {
+        console.log("=== CHECKING KIOSK HEARTBEATS ===");
+
+        const now = new Date();
+        const settings = await getSchoolSettings();
+        if (!isDuringSchoolHours(now, settings)) {
+            console.log("Outside school hours - skipping kiosk check");
+            return { success: true, skipped: true, alertsSent: 0 };
+        }
+        const todayKey = toDateKey(now, settings.timeZone);
+        const dayInfo = getSchoolDayInfo(await loadSchoolCalendar(todayKey, todayKey), todayKey, settings);
+        if (!dayInfo.isSchoolDay) {
+            console.log(`No school today (${dayInfo.reason}) - skipping kiosk check`);
+            return { success: true, skipped: true, alertsSent: 0 };
+        }
+        if (!settings.kioskAlertTriggerId) {
+            console.warn("⚠️ kioskAlertTriggerId is not configured in SchoolSettings - silent kiosks are only logged");
+        }
+
+        const elevatedQuery = elevate(wixData.query);
+        const elevatedUpdate = elevate(wixData.update);
+        const elevatedInsert = elevate(wixData.insert);
+        const kiosks = await elevatedQuery(KIOSKS_COLLECTION).eq("active", true).find();
+        const heartbeats = await getKioskHeartbeats();
+
+        let alertsSent = 0;
+        const silentKiosks = [];
+
+        for (const kiosk of kiosks.items) {
+            const heartbeat = heartbeats.get(kiosk.kioskId) || null;
+            const status = getKioskHealthStatus(kiosk, heartbeat, now);
+            if (status !== "silent" && status !== "never-seen") {
+                continue;
+            }
+
+            silentKiosks.push(kiosk.kioskId);
+            console.warn(`🔕 Kiosk ${kiosk.kioskId} (${kiosk.locationName || 'no location'}) is ${status}`);
+
+            // Alert once per silence: skip when already alerted since the last heartbeat
+            const alreadyAlerted = heartbeat && heartbeat.lastAlertAt &&
+                (!heartbeat.lastSeenAt || new Date(heartbeat.lastAlertAt) > new Date(heartbeat.lastSeenAt));
+            if (alreadyAlerted || !settings.kioskAlertTriggerId) {
+                continue;
+            }
+
+            try {
+                await sendSilentKioskAlert(kiosk, heartbeat, settings);
+                if (heartbeat) {
+                    await elevatedUpdate(KIOSK_HEARTBEATS_COLLECTION, { ...heartbeat, lastAlertAt: now });
+                } else {
+                    await elevatedInsert(KIOSK_HEARTBEATS_COLLECTION, { kioskId: kiosk.kioskId, lastSeenAt: null, lastAlertAt: now });
+                }
+                alertsSent++;
+            } catch (alertError) {
+                console.error(`❌ Failed to send alert for ${kiosk.kioskId}:`, alertError);
+            }
+        }
+
+        console.log(`Kiosk check completed. Silent: ${silentKiosks.length}, Alerts sent: ${alertsSent}`);
+
+        return {
+            success: true,
+            skipped: false,
+            silentKiosks: silentKiosks,
+            alertsSent: alertsSent,
+            timestamp: now.toISOString()
+        };
+
+    } catch (error) {
+        console.error("Error in checkSilentKiosks:", error);
+        throw new Error(`Failed to check kiosk heartbeats: ${error.message}`);
+    }
+}
@@ -0,0 +1,84 @@
+import { createHash, randomBytes } from 'crypto';
+import { getSecret } from 'wix-secrets-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+
+// One item per registered kiosk device
+// Fields: kioskId, name, locationName, tokenHash, active, registeredAt, registeredBy
+export const KIOSKS_COLLECTION = "Kiosks";
+
+// Secret Manager key of the shared token used before kiosks were registered
+const LEGACY_KIOSK_TOKEN_SECRET_NAME = "KIOSK_TOKEN";
+const LEGACY_KIOSK_ID = "default";
+
+const KIOSK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,40}$/;
+
+/**
+ * Hash a device token; only hashes are stored in the Kiosks collection
+ */
+export function hashKioskToken(kioskToken) {
+    return createHash('sha256').update(kioskToken).digest('hex');
+}
+
+/**
+ * Create a new random device token
+ */
+export function createKioskToken() {
+    return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Check a kiosk ID slug such as "main-entrance"
+ */
+export function isValidKioskId(kioskId) {
+    return typeof kioskId === 'string' && KIOSK_ID_PATTERN.test(kioskId);
+}
+
+/**
+ * Get a registered kiosk by its kioskId, or null
+ */
+export async function getKiosk(kioskId) {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(KIOSKS_COLLECTION)
+        .eq("kioskId", kioskId)
+        .limit(1)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : null;
+}
+
+/**
+ * Verify the device token sent by the kiosk page
+ * Returns { kioskId, name, locationName } of the registered device
+ * Devices still using the shared KIOSK_TOKEN secret are accepted as kiosk "default"
+ */
+export async function authenticateKiosk(kioskToken) {
+    if (!kioskToken || typeof kioskToken !== 'string') {
+        throw new Error("Unauthorized: Kiosk token is required");
+    }
+
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(KIOSKS_COLLECTION)
+        .eq("tokenHash", hashKioskToken(kioskToken))
+        .limit(1)
+        .find();
+
+    if (results.items.length > 0) {
+        const kiosk = results.items[0];
+        if (!kiosk.active) {
+            throw new Error("Unauthorized: Kiosk has been deactivated");
+        }
+        return {
+            kioskId: kiosk.kioskId,
+            name: kiosk.name,
+            locationName: kiosk.locationName || null
+        };
+    }
+
+    const legacyToken = await getSecret(LEGACY_KIOSK_TOKEN_SECRET_NAME);
+    if (legacyToken && kioskToken === legacyToken) {
+        return { kioskId: LEGACY_KIOSK_ID, name: "Default kiosk", locationName: null };
+    }
+
+    throw new Error("Unauthorized: Invalid kiosk token");
+}
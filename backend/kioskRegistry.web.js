@@ -0,0 +1,275 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import {
+    KIOSKS_COLLECTION,
+    createKioskToken,
+    getKiosk,
+    hashKioskToken,
+    isValidKioskId
+} from 'backend/kioskRegistry';
+import { getKioskHealthStatus, getKioskHeartbeats, resolveRejectedKioskTap } from 'backend/kioskHealth';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { formatZonedTimestamp } from 'public/dateUtils';
+
+/**
+ * Kiosk fields safe to return to the admin page (never the token hash)
+ */
+function toKioskSummary(kiosk) {
+    return {
+        kioskId: kiosk.kioskId,
+        name: kiosk.name,
+        locationName: kiosk.locationName || null,
+        active: !!kiosk.active,
+        registeredAt: kiosk.registeredAt || null
+    };
+}
+
+async function getKioskOrThrow(kioskId) {
+    const kiosk = await getKiosk(kioskId);
+    if (!kiosk) {
+        throw new Error(`Kiosk not found: ${kioskId}`);
+    }
+    return kiosk;
+}
+
+/**
+ * Register a kiosk device and issue its token
+ * The token is returned only once: open the ESystem page on the device with ?kioskToken=<token>
+ */
+export const registerKiosk = webMethod(
+    Permissions.SiteMember,
+    async (registration = {}) => {
+        try {
+            await requireAccess("registerKiosk");
+
+            const { kioskId, name, locationName } = registration || {};
+
+            if (!isValidKioskId(kioskId)) {
+                throw new Error("Kiosk ID must be 2-41 lowercase letters, digits or dashes (e.g. main-entrance)");
+            }
+            if (!locationName || typeof locationName !== 'string') {
+                throw new Error("Location name is required");
+            }
+            if (await getKiosk(kioskId)) {
+                throw new Error(`Kiosk ${kioskId} is already registered`);
+            }
+
+            const member = await currentMember.getMember();
+            const kioskToken = createKioskToken();
+
+            const elevatedInsert = elevate(wixData.insert);
+            const kiosk = await elevatedInsert(KIOSKS_COLLECTION, {
+                kioskId: kioskId,
+                name: name || kioskId,
+                locationName: locationName.trim(),
+                tokenHash: hashKioskToken(kioskToken),
+                active: true,
+                registeredAt: new Date(),
+                registeredBy: member ? member._id : null
+            });
+
+            console.log(`Kiosk registered: ${kioskId} at ${kiosk.locationName}`);
+
+            return {
+                success: true,
+                kiosk: toKioskSummary(kiosk),
+                kioskToken: kioskToken,
+                setupQuery: `?kioskToken=${encodeURIComponent(kioskToken)}`
+            };
+
+        } catch (error) {
+            console.error("Error registering kiosk:", error);
+            throw new Error(`Failed to register kiosk: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * List registered kiosks and their locations
+ */
+export const listKiosks = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("listKiosks");
+
+            const elevatedQuery = elevate(wixData.query);
+            const results = await elevatedQuery(KIOSKS_COLLECTION)
+                .ascending("kioskId")
+                .find();
+
+            return {
+                success: true,
+                kiosks: results.items.map(toKioskSummary),
+                locations: [...new Set(results.items.map(kiosk => kiosk.locationName).filter(Boolean))].sort()
+            };
+
+        } catch (error) {
+            console.error("Error listing kiosks:", error);
+            throw new Error(`Failed to list kiosks: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Update a kiosk's name, location or active flag
+ * Deactivated kiosks are rejected at their next request
+ */
+export const updateKiosk = webMethod(
+    Permissions.SiteMember,
+    async (kioskId, changes = {}) => {
+        try {
+            await requireAccess("updateKiosk");
+
+            const kiosk = await getKioskOrThrow(kioskId);
+            const updates = {};
+            if (changes.name !== undefined) {
+                updates.name = String(changes.name);
+            }
+            if (changes.locationName !== undefined) {
+                if (!changes.locationName || typeof changes.locationName !== 'string') {
+                    throw new Error("Location name is required");
+                }
+                updates.locationName = changes.locationName.trim();
+            }
+            if (changes.active !== undefined) {
+                updates.active = !!changes.active;
+            }
+
+            const elevatedUpdate = elevate(wixData.update);
+            const updated = await elevatedUpdate(KIOSKS_COLLECTION, { ...kiosk, ...updates });
+
+            console.log(`Kiosk updated: ${kioskId}`, updates);
+
+            return {
+                success: true,
+                kiosk: toKioskSummary(updated)
+            };
+
+        } catch (error) {
+            console.error("Error updating kiosk:", error);
+            throw new Error(`Failed to update kiosk: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Issue a new token for a kiosk (e.g. when a tablet is replaced or lost)
+ * The old token stops working immediately
+ */
+export const rotateKioskToken = webMethod(
+    Permissions.SiteMember,
+    async (kioskId) => {
+        try {
+            await requireAccess("rotateKioskToken");
+
+            const kiosk = await getKioskOrThrow(kioskId);
+            const kioskToken = createKioskToken();
+
+            const elevatedUpdate = elevate(wixData.update);
+            await elevatedUpdate(KIOSKS_COLLECTION, {
+                ...kiosk,
+                tokenHash: hashKioskToken(kioskToken)
+            });
+
+            console.log(`Kiosk token rotated: ${kioskId}`);
+
+            return {
+                success: true,
+                kiosk: toKioskSummary(kiosk),
+                kioskToken: kioskToken,
+                setupQuery: `?kioskToken=${encodeURIComponent(kioskToken)}`
+            };
+
+        } catch (error) {
+            console.error("Error rotating kiosk token:", error);
+            throw new Error(`Failed to rotate kiosk token: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Health of every registered kiosk for the admin status page
+ * Shows last-seen time, app version, queued offline taps, recently reported errors
+ * and offline taps the backend rejected on replay, which staff must record by hand
+ */
+export const getKioskHealth = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("getKioskHealth");
+
+            const elevatedQuery = elevate(wixData.query);
+            const results = await elevatedQuery(KIOSKS_COLLECTION)
+                .ascending("kioskId")
+                .find();
+
+            const now = new Date();
+            const timeZone = await getSchoolTimeZone();
+            const heartbeats = await getKioskHeartbeats();
+
+            return {
+                success: true,
+                kiosks: results.items.map(kiosk => {
+                    const heartbeat = heartbeats.get(kiosk.kioskId) || {};
+                    return {
+                        ...toKioskSummary(kiosk),
+                        status: getKioskHealthStatus(kiosk, heartbeat, now),
+                        lastSeenAt: heartbeat.lastSeenAt ? new Date(heartbeat.lastSeenAt).toISOString() : null,
+                        lastSeenLocal: heartbeat.lastSeenAt ? formatZonedTimestamp(new Date(heartbeat.lastSeenAt), timeZone) : null,
+                        minutesSinceLastSeen: heartbeat.lastSeenAt ?
+                            Math.floor((now.getTime() - new Date(heartbeat.lastSeenAt).getTime()) / 60000) :
+                            null,
+                        appVersion: heartbeat.appVersion || null,
+                        queuedTaps: heartbeat.queuedTaps || 0,
+                        recentErrors: heartbeat.recentErrors || [],
+                        lastErrorLocal: heartbeat.lastErrorAt ? formatZonedTimestamp(new Date(heartbeat.lastErrorAt), timeZone) : null,
+                        rejectedTaps: (heartbeat.rejectedTaps || []).map(tap => ({
+                            eventId: tap.eventId,
+                            studentId: tap.studentId,
+                            studentName: tap.studentName || null,
+                            identifier: tap.identifier,
+                            tappedAtLocal: tap.tappedAt ? formatZonedTimestamp(new Date(tap.tappedAt), timeZone) : null,
+                            reason: tap.reason
+                        }))
+                    };
+                }),
+                generatedAtLocal: formatZonedTimestamp(now, timeZone),
+                timeZone: timeZone
+            };
+
+        } catch (error) {
+            console.error("Error getting kiosk health:", error);
+            throw new Error(`Failed to get kiosk health: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Mark a rejected offline tap as handled once staff recorded the attendance by hand
+ */
+export const resolveRejectedTap = webMethod(
+    Permissions.SiteMember,
+    async (kioskId, eventId) => {
+        try {
+            await requireAccess("resolveRejectedTap");
+
+            if (!isValidKioskId(kioskId) || !eventId) {
+                throw new Error("Kiosk ID and event ID are required");
+            }
+
+            await resolveRejectedKioskTap(kioskId, eventId);
+            const member = await currentMember.getMember();
+            console.log(`✅ Rejected tap ${eventId} on kiosk ${kioskId} resolved by ${member ? member._id : 'unknown member'}`);
+
+            return { success: true, kioskId: kioskId, eventId: eventId };
+
+        } catch (error) {
+            console.error("Error resolving rejected tap:", error);
+            throw new Error(`Failed to resolve rejected tap: ${error.message}`);
+        }
+    }
+);
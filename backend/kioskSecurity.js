@@ -0,0 +1,130 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { getSchoolSettings } from 'backend/schoolSettings';
+
+// One item per kiosk holding its rate-limit window and cooldown
+export const KIOSK_SECURITY_STATE_COLLECTION = "KioskSecurityState";
+
+// Log of security events for admin review
+export const KIOSK_SECURITY_EVENTS_COLLECTION = "KioskSecurityEvents";
+
+// Rate-limit window; the requests allowed per window are the kioskRateLimitPerMinute setting
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Consecutive unknown IDs before the kiosk is put in cooldown
+const MAX_CONSECUTIVE_UNKNOWN = 5;
+const COOLDOWN_MS = 2 * 60 * 1000;
+
+/**
+ * Load the security state of a kiosk, or a fresh state when none is stored
+ */
+async function getKioskState(kioskId) {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(KIOSK_SECURITY_STATE_COLLECTION)
+        .eq("kioskId", kioskId)
+        .limit(1)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : {
+        kioskId: kioskId,
+        windowStart: new Date(),
+        requestCount: 0,
+        consecutiveUnknown: 0,
+        cooldownUntil: null
+    };
+}
+
+async function saveKioskState(state) {
+    const elevatedSave = elevate(wixData.save);
+    return elevatedSave(KIOSK_SECURITY_STATE_COLLECTION, state);
+}
+
+/**
+ * Append a security event for admin review
+ * Logging failures never block the kiosk
+ */
+export async function logKioskSecurityEvent(kioskId, eventType, detail = null) {
+    try {
+        const elevatedInsert = elevate(wixData.insert);
+        await elevatedInsert(KIOSK_SECURITY_EVENTS_COLLECTION, {
+            kioskId: kioskId,
+            eventType: eventType,
+            detail: detail,
+            timestamp: new Date()
+        });
+        console.warn(`🛡️ Kiosk security event: ${eventType} (kiosk: ${kioskId}${detail ? `, ${detail}` : ''})`);
+    } catch (error) {
+        console.error("Error logging kiosk security event:", error);
+    }
+}
+
+/**
+ * Count a kiosk request and refuse it during cooldown or above the rate limit
+ * Called by every kiosk web method after the kiosk is authenticated
+ */
+export async function assertKioskAllowed(kioskId) {
+    const { kioskRateLimitPerMinute: maxRequests } = await getSchoolSettings();
+    const state = await getKioskState(kioskId);
+    const now = Date.now();
+
+    if (state.cooldownUntil && new Date(state.cooldownUntil).getTime() > now) {
+        const secondsLeft = Math.ceil((new Date(state.cooldownUntil).getTime() - now) / 1000);
+        throw new Error(`Too many unknown IDs - kiosk paused for ${secondsLeft} seconds`);
+    }
+
+    if (now - new Date(state.windowStart).getTime() >= RATE_LIMIT_WINDOW_MS) {
+        state.windowStart = new Date(now);
+        state.requestCount = 0;
+    }
+    state.requestCount = (state.requestCount || 0) + 1;
+    await saveKioskState(state);
+
+    if (state.requestCount > maxRequests) {
+        // Log once per window, not for every refused request
+        if (state.requestCount === maxRequests + 1) {
+            await logKioskSecurityEvent(kioskId, "rate-limited", `More than ${maxRequests} requests per minute`);
+        }
+        throw new Error("Too many requests - please wait a moment");
+    }
+}
+
+/**
+ * Track the result of a student lookup
+ * Unknown IDs are logged; MAX_CONSECUTIVE_UNKNOWN in a row start a cooldown
+ */
+export async function recordKioskLookupResult(kioskId, found, attemptedId) {
+    const state = await getKioskState(kioskId);
+
+    if (found) {
+        if (state.consecutiveUnknown) {
+            state.consecutiveUnknown = 0;
+            await saveKioskState(state);
+        }
+        return;
+    }
+
+    state.consecutiveUnknown = (state.consecutiveUnknown || 0) + 1;
+    await logKioskSecurityEvent(kioskId, "unknown-id", attemptedId);
+
+    if (state.consecutiveUnknown >= MAX_CONSECUTIVE_UNKNOWN) {
+        state.consecutiveUnknown = 0;
+        state.cooldownUntil = new Date(Date.now() + COOLDOWN_MS);
+        await logKioskSecurityEvent(kioskId, "cooldown-started", `${MAX_CONSECUTIVE_UNKNOWN} unknown IDs in a row`);
+    }
+
+    await saveKioskState(state);
+}
+
+/**
+ * Lift the cooldown of a kiosk and reset its counters
+ */
+export async function clearKioskCooldown(kioskId) {
+    const state = await getKioskState(kioskId);
+    await saveKioskState({
+        ...state,
+        windowStart: new Date(),
+        requestCount: 0,
+        consecutiveUnknown: 0,
+        cooldownUntil: null
+    });
+}
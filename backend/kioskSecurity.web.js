@@ -0,0 +1,92 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { formatZonedTimestamp } from 'public/dateUtils';
+import {
+    KIOSK_SECURITY_EVENTS_COLLECTION,
+    KIOSK_SECURITY_STATE_COLLECTION,
+    clearKioskCooldown
+} from 'backend/kioskSecurity';
+
+/**
+ * Get recent kiosk security events (unknown IDs, cooldowns, rate limits, PIN rejections)
+ * Options: { kioskId, eventType, limit } - all optional, newest first
+ */
+export const getKioskSecurityEvents = webMethod(
+    Permissions.SiteMember,
+    async (options = {}) => {
+        try {
+            await requireAccess("getKioskSecurityEvents");
+
+            const { kioskId = null, eventType = null, limit = 100 } = options || {};
+
+            const elevatedQuery = elevate(wixData.query);
+            let query = elevatedQuery(KIOSK_SECURITY_EVENTS_COLLECTION).descending("timestamp");
+            if (kioskId) {
+                query = query.eq("kioskId", kioskId);
+            }
+            if (eventType) {
+                query = query.eq("eventType", eventType);
+            }
+
+            const results = await query.limit(Math.min(Math.max(limit, 1), 1000)).find();
+            const timeZone = await getSchoolTimeZone();
+
+            const stateResults = await elevatedQuery(KIOSK_SECURITY_STATE_COLLECTION).find();
+            const now = Date.now();
+
+            return {
+                success: true,
+                events: results.items.map(event => ({
+                    kioskId: event.kioskId,
+                    eventType: event.eventType,
+                    detail: event.detail,
+                    timestamp: new Date(event.timestamp).toISOString(),
+                    localTimestamp: formatZonedTimestamp(new Date(event.timestamp), timeZone)
+                })),
+                kiosksInCooldown: stateResults.items
+                    .filter(state => state.cooldownUntil && new Date(state.cooldownUntil).getTime() > now)
+                    .map(state => ({
+                        kioskId: state.kioskId,
+                        cooldownUntil: new Date(state.cooldownUntil).toISOString()
+                    })),
+                timeZone: timeZone
+            };
+
+        } catch (error) {
+            console.error("Error getting kiosk security events:", error);
+            throw new Error(`Failed to get kiosk security events: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Lift a kiosk cooldown early (e.g. after staff checked the device)
+ */
+export const unlockKiosk = webMethod(
+    Permissions.SiteMember,
+    async (kioskId) => {
+        try {
+            await requireAccess("unlockKiosk");
+
+            if (!kioskId || typeof kioskId !== 'string') {
+                throw new Error("Kiosk ID is required");
+            }
+
+            await clearKioskCooldown(kioskId);
+            console.log(`Kiosk ${kioskId} unlocked by administrator`);
+
+            return {
+                success: true,
+                kioskId: kioskId,
+                unlockedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error("Error unlocking kiosk:", error);
+            throw new Error(`Failed to unlock kiosk: ${error.message}`);
+        }
+    }
+);
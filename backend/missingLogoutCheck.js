@@ -0,0 +1,295 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import {
+    findAllItems,
+    getAttendanceEventsInRange,
+    getStudentAttendanceEvents,
+    insertAttendanceEvent
+} from 'backend/attendanceStore';
+import { getSchoolSettings, getSchoolTimeZone } from 'backend/schoolSettings';
+import { loadSchoolCalendar, getSchoolDayInfo } from 'backend/schoolCalendar';
+import {
+    toDate,
+    toDateKey,
+    zonedTimeToUtc,
+    formatZonedTimestamp
+} from 'public/dateUtils';
+
+// Local school time at which missing logouts are closed
+const SYSTEM_LOGOUT_TIME = "22:00";
+
+/**
+ * Enhanced function to determine if a student needs automatic logout
+ * Uses robust last-record analysis with comprehensive validation
+ * Focuses on the ACTUAL LAST attendance record for accurate state determination
+ */
+function studentNeedsAutomaticLogout(student, history, todayKey, timeZone) {
+    try {
+        const studentName = student.name || 'Unknown';
+        
+        console.log(`\n=== ANALYZING STUDENT: ${studentName} ===`);
+        console.log(`Total records: ${history.length}`);
+        
+        if (history.length === 0) {
+            console.log(`❌ No attendance history for ${studentName}`);
+            return { needsLogout: false, reason: 'no_history' };
+        }
+        
+        // Filter today's records (school timezone) and sort by instant
+        const todayRecords = history
+            .filter(record => {
+                const timestamp = toDate(record.timestamp);
+                return timestamp && toDateKey(timestamp, timeZone) === todayKey;
+            })
+            .sort((a, b) => toDate(a.timestamp).getTime() - toDate(b.timestamp).getTime());
+        
+        console.log(`Today's records (${todayKey}): ${todayRecords.length}`);
+        
+        if (todayRecords.length === 0) {
+            console.log(`❌ No attendance records today for ${studentName}`);
+            return { needsLogout: false, reason: 'no_records_today' };
+        }
+        
+        // Log all today's records for debugging
+        todayRecords.forEach((record, index) => {
+            console.log(`  ${index + 1}. ${formatZonedTimestamp(toDate(record.timestamp), timeZone)} - ${record.status} (${record.type || 'user-input'})`);
+        });
+        
+        // Get the LAST record chronologically
+        const lastRecord = todayRecords[todayRecords.length - 1];
+        console.log(`🔍 LAST RECORD: ${formatZonedTimestamp(toDate(lastRecord.timestamp), timeZone)} - ${lastRecord.status}`);
+        
+        // Check if last record is a login (student still logged in)
+        const isLastRecordLogin = lastRecord.status === 'login';
+        console.log(`Last record is login: ${isLastRecordLogin}`);
+        
+        // Check if there's already a system-fix logout after the last login
+        // (an earlier system fix must not block closing a later login)
+        const lastLoginIndex = todayRecords.findLastIndex(record => record.status === 'login');
+        const hasSystemLogout = todayRecords.slice(lastLoginIndex + 1).some(record => 
+            record.status === 'logout' && record.type === 'system-fix'
+        );
+        console.log(`Already has system logout: ${hasSystemLogout}`);
+        
+        // Additional validation: check for any logout after the last login
+        const hasLogoutAfterLastLogin = todayRecords.slice(lastLoginIndex + 1).some(record => record.status === 'logout');
+        console.log(`Has logout after last login: ${hasLogoutAfterLastLogin}`);
+        
+        // Decision logic
+        const needsLogout = isLastRecordLogin && !hasSystemLogout && !hasLogoutAfterLastLogin;
+        
+        console.log(`🎯 DECISION FOR ${studentName}: ${needsLogout ? 'NEEDS LOGOUT' : 'NO ACTION NEEDED'}`);
+        
+        return {
+            needsLogout: needsLogout,
+            reason: needsLogout ? 'last_record_is_login' : 'already_logged_out_or_has_system_fix',
+            lastRecord: lastRecord,
+            todayRecordsCount: todayRecords.length,
+            hasSystemLogout: hasSystemLogout
+        };
+        
+    } catch (error) {
+        console.error(`❌ Error analyzing student ${student.name || 'Unknown'}:`, error);
+        return { needsLogout: false, reason: 'analysis_error', error: error.message };
+    }
+}
+
+/**
+ * Main function: Checks for students who have logged in but not logged out today
+ * Adds system-fix logout at 22:00 school time for missing logouts
+ * ENHANCED: Event-based storage and accurate last-record analysis
+ * Run by runScheduledMissingLogoutCheck after 22:00 school time, or by hand - not exposed as a web method
+ * On non-school days (SchoolCalendar) the check is skipped unless someone tapped in that day
+ */
+export async function runMissingLogoutCheck() {
+    try {
+        console.log("\n" + "=".repeat(60));
+        console.log("=== ENHANCED MISSING LOGOUT CHECK SYSTEM ===");
+        console.log("=".repeat(60));
+        
+        // Get current school-timezone date information
+        const now = new Date();
+        const settings = await getSchoolSettings();
+        const timeZone = settings.timeZone;
+        const todayKey = toDateKey(now, timeZone);
+        const todayStart = zonedTimeToUtc(todayKey, "00:00", timeZone);
+        const dayInfo = getSchoolDayInfo(await loadSchoolCalendar(todayKey, todayKey), todayKey, settings);
+        
+        console.log(`📅 Check date: ${todayKey} (${timeZone})`);
+        console.log(`🕐 Current school time: ${formatZonedTimestamp(now, timeZone)}`);
+        console.log(`🕐 Current UTC time: ${now.toISOString()}`);
+        console.log(`🏫 School day: ${dayInfo.isSchoolDay ? 'yes' : `no (${dayInfo.reason})`}`);
+        
+        // Load today's events for all students in a single query
+        const todayEvents = await getAttendanceEventsInRange({ from: todayStart });
+        
+        // No school and nobody tapped in - nothing to close
+        if (!dayInfo.isSchoolDay && todayEvents.length === 0) {
+            console.log(`✅ No school today and no attendance events - check skipped`);
+            return {
+                success: true,
+                skipped: true,
+                reason: dayInfo.reason,
+                processedStudents: 0,
+                systemLogoutsAdded: 0,
+                checkDate: todayKey,
+                studentsAnalyzed: [],
+                errors: [],
+                timestamp: new Date().toISOString(),
+                timeZone: timeZone
+            };
+        }
+        
+        // Get all students with elevated permissions
+        console.log(`\n📊 Fetching all students from database...`);
+        const elevatedQuery = elevate(wixData.query);
+        const students = await findAllItems(elevatedQuery("Students"));
+        
+        console.log(`✅ Found ${students.length} students in database`);
+        
+        const todayRecordsByStudent = {};
+        todayEvents.forEach(event => {
+            if (!todayRecordsByStudent[event.studentId]) {
+                todayRecordsByStudent[event.studentId] = [];
+            }
+            todayRecordsByStudent[event.studentId].push(event);
+        });
+        
+        let processedCount = 0;
+        let systemLogoutsAdded = 0;
+        let studentsAnalyzed = [];
+        let errors = [];
+        
+        // Process each student
+        for (const student of students) {
+            try {
+                processedCount++;
+                const studentName = student.name || `Student_${student._id}`;
+                
+                // Analyze if student needs automatic logout
+                const analysis = studentNeedsAutomaticLogout(student, todayRecordsByStudent[student._id] || [], todayKey, timeZone);
+                
+                if (analysis.needsLogout) {
+                    console.log(`\n🔧 PROCESSING AUTOMATIC LOGOUT FOR: ${studentName}`);
+                    
+                    // Re-check on fresh events so a kiosk logout landing while this job runs wins
+                    const freshRecords = await getStudentAttendanceEvents(student, { from: todayStart });
+                    const freshAnalysis = studentNeedsAutomaticLogout(student, freshRecords, todayKey, timeZone);
+                    
+                    if (!freshAnalysis.needsLogout) {
+                        console.log(`✅ ${studentName}: Logged out while check was running, no action needed`);
+                        studentsAnalyzed.push({
+                            name: studentName,
+                            childId: student.childId,
+                            action: "no_action_needed",
+                            reason: "logged_out_during_check"
+                        });
+                        continue;
+                    }
+                    
+                    // System logout instant (22:00 school time, or now when run by hand earlier)
+                    // A future logout would look like the latest event and block kiosk taps
+                    // A login after the cutoff is closed just after it, so the logout never precedes its login
+                    const lastLoginAt = toDate(freshAnalysis.lastRecord.timestamp);
+                    const systemLogoutAt = new Date(Math.max(
+                        lastLoginAt.getTime() + 1000,
+                        Math.min(
+                            now.getTime(),
+                            zonedTimeToUtc(todayKey, SYSTEM_LOGOUT_TIME, timeZone).getTime()
+                        )
+                    ));
+                    
+                    // Inserted as a separate event, so concurrent kiosk taps are never overwritten
+                    await insertAttendanceEvent({
+                        studentId: student._id,
+                        timestamp: systemLogoutAt,
+                        status: "logout",
+                        type: "system-fix", // Identifies this as automated correction
+                        actor: "system"
+                    });
+                    
+                    systemLogoutsAdded++;
+                    console.log(`✅ Successfully added system logout for ${studentName}`);
+                    
+                    studentsAnalyzed.push({
+                        name: studentName,
+                        childId: student.childId,
+                        action: "system_logout_added",
+                        timestamp: formatZonedTimestamp(systemLogoutAt, timeZone),
+                        recordsBefore: freshRecords.length,
+                        recordsAfter: freshRecords.length + 1
+                    });
+                    
+                } else {
+                    console.log(`✅ ${studentName}: No action needed (${analysis.reason})`);
+                    studentsAnalyzed.push({
+                        name: studentName,
+                        childId: student.childId,
+                        action: "no_action_needed",
+                        reason: analysis.reason
+                    });
+                }
+                
+            } catch (studentError) {
+                console.error(`❌ Error processing student ${student.name || student._id}:`, studentError);
+                errors.push({
+                    student: student.name || student._id,
+                    error: studentError.message
+                });
+            }
+        }
+        
+        // Final summary
+        console.log("\n" + "=".repeat(60));
+        console.log("=== MISSING LOGOUT CHECK COMPLETED ===");
+        console.log("=".repeat(60));
+        console.log(`📊 Total students processed: ${processedCount}`);
+        console.log(`🔧 System logouts added: ${systemLogoutsAdded}`);
+        console.log(`❌ Errors encountered: ${errors.length}`);
+        console.log(`📅 Check date: ${todayKey}`);
+        console.log(`⏰ Completed at: ${new Date().toISOString()}`);
+        
+        if (errors.length > 0) {
+            console.log(`\n❌ ERRORS SUMMARY:`);
+            errors.forEach((error, index) => {
+                console.log(`  ${index + 1}. ${error.student}: ${error.error}`);
+            });
+        }
+        
+        return {
+            success: true,
+            processedStudents: processedCount,
+            systemLogoutsAdded: systemLogoutsAdded,
+            checkDate: todayKey,
+            studentsAnalyzed: studentsAnalyzed,
+            errors: errors,
+            timestamp: new Date().toISOString(),
+            localTimestamp: formatZonedTimestamp(new Date(), timeZone),
+            timeZone: timeZone
+        };
+        
+    } catch (error) {
+        console.error("❌ CRITICAL ERROR in runMissingLogoutCheck:", error);
+        console.error("Error stack:", error.stack);
+        throw new Error(`Failed to check missing logouts: ${error.message}`);
+    }
+}
+
+
+/**
+ * Scheduled job: runs hourly via jobs.config and checks missing logouts once
+ * school-local time has passed 22:00, so the cutoff follows the school timezone setting
+ * Later runs the same evening find the system fixes already in place
+ */
+export async function runScheduledMissingLogoutCheck() {
+    const now = new Date();
+    const timeZone = await getSchoolTimeZone();
+    const cutoff = zonedTimeToUtc(toDateKey(now, timeZone), SYSTEM_LOGOUT_TIME, timeZone);
+
+    if (now.getTime() < cutoff.getTime()) {
+        console.log(`⏭️ Before ${SYSTEM_LOGOUT_TIME} school time (${formatZonedTimestamp(now, timeZone)}) - missing logout check skipped`);
+        return { success: true, skipped: true, reason: "before_cutoff", timeZone: timeZone };
+    }
+
+    return runMissingLogoutCheck();
+}
@@ -2,9 +2,9 @@ import { Permissions, webMethod } from 'wix-web-module';
 import { authorization, badges } from 'wix-members-backend';
 import { elevate } from 'wix-auth';
 import wixData from 'wix-data';
+import { PARENT_ROLE_ID, requireAccess } from 'backend/authorization';
 
 // Constants
-const PARENT_ROLE_ID = "0a78d749-4ef6-46f2-8e6c-c5a3e5b273fb";
 const PARENT_BADGE_ID = "7a421222-4467-43c9-82b9-9d4d2dd58929";
 
 /**
@@ -14,6 +14,8 @@ export const getAllMembers = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("getAllMembers");
+
             console.log("=== GETTING ALL MEMBERS ===");
             
             const elevatedQuery = elevate(wixData.query);
@@ -50,6 +52,8 @@ export const checkExistingParent = webMethod(
     Permissions.SiteMember,
     async (email) => {
         try {
+            await requireAccess("checkExistingParent");
+
             if (!email) {
                 throw new Error("Email is required");
             }
@@ -83,6 +87,8 @@ export const getStudentNamesByIds = webMethod(
     Permissions.SiteMember,
     async (studentIds) => {
         try {
+            await requireAccess("getStudentNamesByIds");
+
             if (!studentIds || studentIds.length === 0) {
                 return { success: true, students: [] };
             }
@@ -116,6 +122,8 @@ export const createOrUpdateParent = webMethod(
     Permissions.SiteMember,
     async (parentData) => {
         try {
+            await requireAccess("createOrUpdateParent");
+
             console.log("=== CREATE/UPDATE PARENT ===");
             console.log("Parent data:", parentData);
 
@@ -231,6 +239,8 @@ export const removeParent = webMethod(
     Permissions.SiteMember,
     async (parentId, memberId) => {
         try {
+            await requireAccess("removeParent");
+
             console.log("=== REMOVING PARENT ===");
             console.log(`Parent ID: ${parentId}, Member ID: ${memberId}`);
 
@@ -286,6 +296,8 @@ export const getAllParents = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("getAllParents");
+
             console.log("=== GETTING ALL PARENTS ===");
 
             const result = await wixData.query("Parents")
@@ -327,6 +339,8 @@ export const validateParentMemberReferences = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("validateParentMemberReferences");
+
             console.log("=== VALIDATING PARENT-MEMBER REFERENCES ===");
 
             const elevatedQuery = elevate(wixData.query);
@@ -420,6 +434,8 @@ export const getParentStatistics = webMethod(
     Permissions.SiteMember,
     async () => {
         try {
+            await requireAccess("getParentStatistics");
+
             const elevatedQuery = elevate(wixData.query);
             
             // Get all parents
@@ -0,0 +1,85 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+
+/**
+ * Synchronize parent emails with member emails
+ * Updates the email field in Parents collection if different from Members/FullData
+ * syncType is stored on updated parents ("weekly-auto" or "manual")
+ */
+export async function runParentEmailSync(syncType = "weekly-auto") {
+    try {
+        console.log(`=== SYNCING PARENT EMAILS (${syncType}) ===`);
+    
+        const elevatedQuery = elevate(wixData.query);
+        const elevatedUpdate = elevate(wixData.update);
+    
+        // Get all parents with memberReference
+        const parentsResult = await elevatedQuery("Parents")
+            .isNotEmpty("memberReference")
+            .find();
+    
+        let updatedCount = 0;
+        let processedCount = 0;
+        let errorCount = 0;
+    
+        for (const parent of parentsResult.items) {
+            processedCount++;
+        
+            try {
+                // Get member email from Members/FullData
+                const memberResult = await elevatedQuery("Members/FullData")
+                    .eq("_id", parent.memberReference)
+                    .find();
+            
+                if (memberResult.items.length === 0) {
+                    console.log(`Member not found for parent: ${parent.parentName || 'Unknown'}`);
+                    errorCount++;
+                    continue;
+                }
+            
+                const memberEmail = memberResult.items[0].loginEmail;
+            
+                // Update parent email if different
+                if (parent.email !== memberEmail && memberEmail) {
+                    await elevatedUpdate("Parents", {
+                        _id: parent._id,
+                        email: memberEmail,
+                        emailSyncedAt: new Date().toISOString(),
+                        previousEmail: parent.email,
+                        syncType: syncType
+                    });
+                
+                    updatedCount++;
+                    console.log(`Updated email for parent: ${parent.parentName || 'Unknown'} from ${parent.email} to ${memberEmail}`);
+                }
+            
+            } catch (innerError) {
+                console.error(`Error updating parent ${parent.parentName || 'Unknown'}:`, innerError);
+                errorCount++;
+            }
+        }
+    
+        console.log(`Email synchronization completed. Processed: ${processedCount}, Updated: ${updatedCount}, Errors: ${errorCount}`);
+    
+        return { 
+            success: true, 
+            processedCount: processedCount,
+            updatedCount: updatedCount,
+            errorCount: errorCount,
+            syncDate: new Date().toISOString(),
+            syncType: syncType === "weekly-auto" ? "weekly" : syncType
+        };
+    
+    } catch (error) {
+        console.error("Error in runParentEmailSync:", error);
+        throw new Error(`Failed to sync parent emails: ${error.message}`);
+    }
+}
+
+/**
+ * Scheduled job entry point, weekly on Sunday at 13:30 UTC (22:30 JST)
+ * Registered in backend/jobs.config; not callable from the browser
+ */
+export async function runWeeklyParentEmailSync() {
+    return runParentEmailSync("weekly-auto");
+}
@@ -0,0 +1,176 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { toDate, toDateKey } from 'public/dateUtils';
+
+// People other than registered Parents who may collect a student
+// Fields: studentId, name, relation, phone, photo, validFrom, validUntil, createdBy, updatedBy
+export const AUTHORIZED_PICKUPS_COLLECTION = "AuthorizedPickups";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_RELATION_LENGTH = 50;
+const PHONE_PATTERN = /^[0-9+\-() ]{6,20}$/;
+
+/**
+ * Whether an authorized pickup is valid on a school-timezone day
+ * validFrom and validUntil are inclusive; either may be empty
+ */
+export function isPickupValidOn(pickup, dateKey, timeZone) {
+    const from = toDate(pickup.validFrom);
+    const until = toDate(pickup.validUntil);
+    return (!from || toDateKey(from, timeZone) <= dateKey) &&
+        (!until || toDateKey(until, timeZone) >= dateKey);
+}
+
+/**
+ * All authorized pickups of a student, including expired ones
+ */
+export async function getAuthorizedPickups(studentId) {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(AUTHORIZED_PICKUPS_COLLECTION)
+        .eq("studentId", studentId)
+        .ascending("name")
+        .find();
+    return results.items;
+}
+
+/**
+ * Everyone who may collect a student now: assigned Parents plus currently valid authorized pickups
+ * guardianId is "parent:<parentId>" or "pickup:<authorizedPickupId>"
+ */
+export async function getPickupGuardians(studentId, at = new Date()) {
+    const elevatedQuery = elevate(wixData.query);
+    const parentsResult = await elevatedQuery("Parents")
+        .contains("assignedStudents", studentId)
+        .find();
+
+    const timeZone = await getSchoolTimeZone();
+    const todayKey = toDateKey(at, timeZone);
+    const pickups = (await getAuthorizedPickups(studentId))
+        .filter(pickup => isPickupValidOn(pickup, todayKey, timeZone));
+
+    return [
+        ...parentsResult.items.map(parent => ({
+            guardianId: `parent:${parent._id}`,
+            name: parent.parentName || 'Parent',
+            relation: parent.relationship || "Parent",
+            phone: parent.phone || null,
+            photo: null,
+            source: "parent"
+        })),
+        ...pickups.map(pickup => ({
+            guardianId: `pickup:${pickup._id}`,
+            name: pickup.name || 'Authorized pickup',
+            relation: pickup.relation || "Authorized pickup",
+            phone: pickup.phone || null,
+            photo: pickup.photo || null,
+            source: "authorized-pickup"
+        }))
+    ];
+}
+
+/**
+ * Find the guardian chosen at logout among the student's pickup guardians
+ * Throws when the guardian is not (or no longer) authorized for this student
+ */
+export async function resolvePickupGuardian(studentId, guardianId) {
+    const guardians = await getPickupGuardians(studentId);
+    const guardian = guardians.find(candidate => candidate.guardianId === guardianId);
+    if (!guardian) {
+        throw new Error("Guardian is not authorized to pick up this student");
+    }
+    return guardian;
+}
+
+/**
+ * Text stored on the event and shown to parents, e.g. "Yuki Tanaka (Grandmother)"
+ */
+export function describePickupGuardian(guardian) {
+    return `${guardian.name} (${guardian.relation})`;
+}
+
+/**
+ * Validate and normalize authorized pickup fields sent by a parent or admin
+ */
+function normalizePickupInput(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const relation = typeof input.relation === 'string' ? input.relation.trim() : '';
+    const phone = typeof input.phone === 'string' ? input.phone.trim() : '';
+    const photo = typeof input.photo === 'string' ? input.photo.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Name is required (max ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (!relation || relation.length > MAX_RELATION_LENGTH) {
+        throw new Error(`Relation is required (max ${MAX_RELATION_LENGTH} characters)`);
+    }
+    if (phone && !PHONE_PATTERN.test(phone)) {
+        throw new Error("Invalid phone number");
+    }
+    if (photo && !/^(wix:image:\/\/|https:\/\/)/.test(photo)) {
+        throw new Error("Photo must be an uploaded image");
+    }
+
+    const validFrom = input.validFrom ? toDate(input.validFrom) : null;
+    const validUntil = input.validUntil ? toDate(input.validUntil) : null;
+    if ((input.validFrom && !validFrom) || (input.validUntil && !validUntil)) {
+        throw new Error("Invalid validity date");
+    }
+    if (validFrom && validUntil && validUntil < validFrom) {
+        throw new Error("Valid until must be on or after valid from");
+    }
+
+    return {
+        name: name,
+        relation: relation,
+        phone: phone || null,
+        photo: photo || null,
+        validFrom: validFrom,
+        validUntil: validUntil
+    };
+}
+
+/**
+ * Create or update an authorized pickup for a student
+ * changedBy records who made the change ("parent:<parentId>" or "member:<memberId>")
+ */
+export async function saveAuthorizedPickup(studentId, input, changedBy) {
+    const fields = normalizePickupInput(input || {});
+
+    if (input._id) {
+        const existing = await getAuthorizedPickup(input._id);
+        if (!existing || existing.studentId !== studentId) {
+            throw new Error("Authorized pickup not found for this student");
+        }
+        const elevatedUpdate = elevate(wixData.update);
+        return elevatedUpdate(AUTHORIZED_PICKUPS_COLLECTION, {
+            ...existing,
+            ...fields,
+            updatedBy: changedBy
+        });
+    }
+
+    const elevatedInsert = elevate(wixData.insert);
+    return elevatedInsert(AUTHORIZED_PICKUPS_COLLECTION, {
+        studentId: studentId,
+        ...fields,
+        createdBy: changedBy,
+        updatedBy: changedBy
+    });
+}
+
+/**
+ * Get an authorized pickup by its item ID, or null
+ */
+export async function getAuthorizedPickup(pickupId) {
+    const elevatedGet = elevate(wixData.get);
+    return elevatedGet(AUTHORIZED_PICKUPS_COLLECTION, pickupId);
+}
+
+/**
+ * Delete an authorized pickup; past events keep the name stored at logout
+ */
+export async function removeAuthorizedPickup(pickupId) {
+    const elevatedRemove = elevate(wixData.remove);
+    return elevatedRemove(AUTHORIZED_PICKUPS_COLLECTION, pickupId);
+}
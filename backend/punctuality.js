@@ -0,0 +1,103 @@
+import { getSchoolDayInfo } from 'backend/schoolCalendar';
+import { toDate, toDateKey, getZonedParts, zonedTimeToUtc } from 'public/dateUtils';
+
+// Classification of an attendance event against the student's session times
+export const PUNCTUALITY = {
+    ON_TIME: "on-time",
+    LATE: "late",
+    EARLY_LEAVE: "early-leave"
+};
+
+/**
+ * Session times of a student on a weekday, or null when no session is scheduled
+ * A schedule for the student's class wins over a school-wide one (className empty)
+ */
+export function getSessionForDay(settings, className, weekday) {
+    const schedules = (settings.sessionSchedules || [])
+        .filter(schedule => schedule.weekdays.includes(weekday));
+
+    const classSchedule = className ?
+        schedules.find(schedule => schedule.className === className) :
+        null;
+    const schoolSchedule = schedules.find(schedule => !schedule.className);
+    const schedule = classSchedule || schoolSchedule;
+
+    return schedule ? { start: schedule.start, end: schedule.end } : null;
+}
+
+/**
+ * Classify one event; null for system fixes, days without a session and mid-day logouts
+ * Only the first login of a day can be late; only the last logout of a day is checked
+ * against the session end, a logout followed by another login that day is left unclassified
+ * With a school calendar (backend/schoolCalendar.js), non-school days have no session
+ * and half-days end at their end time
+ */
+export function classifyAttendanceEvent(event, className, settings, isFirstLoginOfDay, calendar = null, isLastLogoutOfDay = true) {
+    if (event.type === "system-fix") {
+        return null;
+    }
+    if (event.status === "logout" && !isLastLogoutOfDay) {
+        return null;
+    }
+
+    const timestamp = toDate(event.timestamp);
+    const timeZone = settings.timeZone;
+    const session = getSessionForDay(settings, className, getZonedParts(timestamp, timeZone).weekday);
+    if (!session) {
+        return null;
+    }
+
+    const dateKey = toDateKey(timestamp, timeZone);
+    const dayInfo = calendar ? getSchoolDayInfo(calendar, dateKey, settings) : null;
+    if (dayInfo && !dayInfo.isSchoolDay) {
+        return null;
+    }
+
+    if (event.status === "login") {
+        const lateAfter = zonedTimeToUtc(dateKey, session.start, timeZone).getTime() + settings.lateGraceMinutes * 60000;
+        return isFirstLoginOfDay && timestamp.getTime() > lateAfter ? PUNCTUALITY.LATE : PUNCTUALITY.ON_TIME;
+    }
+
+    const sessionEnd = zonedTimeToUtc(dateKey, dayInfo && dayInfo.halfDayEnd ? dayInfo.halfDayEnd : session.end, timeZone);
+    return timestamp < sessionEnd ? PUNCTUALITY.EARLY_LEAVE : PUNCTUALITY.ON_TIME;
+}
+
+/**
+ * Classify a student's events (oldest first); returns classifications in the same order
+ * getClassNameOn(dateKey) gives the student's class on each day (backend/classes.js loadHomeroomResolver)
+ */
+export function classifyAttendanceEvents(events, getClassNameOn, settings, calendar = null) {
+    const dateKeys = events.map(event => toDateKey(toDate(event.timestamp), settings.timeZone));
+    const daysWithLogin = new Set();
+
+    // Events are oldest first, so the last index seen per day is the day's last logout
+    const lastLogoutIndexByDay = new Map();
+    events.forEach((event, index) => {
+        if (event.status === "logout") {
+            lastLogoutIndexByDay.set(dateKeys[index], index);
+        }
+    });
+
+    return events.map((event, index) => {
+        const dateKey = dateKeys[index];
+        const isFirstLoginOfDay = event.status === "login" && !daysWithLogin.has(dateKey);
+        if (event.status === "login") {
+            daysWithLogin.add(dateKey);
+        }
+        const isLastLogoutOfDay = lastLogoutIndexByDay.get(dateKey) === index;
+        return classifyAttendanceEvent(event, getClassNameOn(dateKey), settings, isFirstLoginOfDay, calendar, isLastLogoutOfDay);
+    });
+}
+
+/**
+ * Classify an event being recorded, given the student's previous event
+ * The login is the first of the day unless the previous event is on the same day
+ * A new logout is the day's last so far; if the student logs in again later that day,
+ * the history (classifyAttendanceEvents) no longer counts it as an early leave
+ */
+export function classifyNewAttendanceEvent(event, previousEvent, className, settings, calendar = null) {
+    const timeZone = settings.timeZone;
+    const isFirstLoginOfDay = event.status === "login" && (!previousEvent ||
+        toDateKey(toDate(previousEvent.timestamp), timeZone) !== toDateKey(toDate(event.timestamp), timeZone));
+    return classifyAttendanceEvent(event, className, settings, isFirstLoginOfDay, calendar, true);
+}
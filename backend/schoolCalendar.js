@@ -0,0 +1,221 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { findAllItems } from 'backend/attendanceStore';
+import { addDaysToDateKey, getWeekdayOfDateKey } from 'public/dateUtils';
+
+// One item per term, holiday, closure or half-day
+// Fields: type, title, startDate, endDate ("YYYY-MM-DD", inclusive), endTime (half-days),
+// source ("manual" or "ical"), uid (iCal UID, used to update re-imported events)
+export const SCHOOL_CALENDAR_COLLECTION = "SchoolCalendar";
+
+export const CALENDAR_ENTRY_TYPES = ["term", "holiday", "closure", "half-day"];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Load calendar entries overlapping the days fromKey..toKey (inclusive)
+ * The result is passed to getSchoolDayInfo and countSchoolDays
+ */
+export async function loadSchoolCalendar(fromKey, toKey) {
+    const elevatedQuery = elevate(wixData.query);
+    const entries = await findAllItems(elevatedQuery(SCHOOL_CALENDAR_COLLECTION)
+        .le("startDate", toKey)
+        .ge("endDate", fromKey)
+        .ascending("startDate"));
+
+    // Terms are loaded separately: without any term every weekday is in term
+    const termResult = await elevatedQuery(SCHOOL_CALENDAR_COLLECTION)
+        .eq("type", "term")
+        .limit(1)
+        .find();
+
+    return {
+        entries: entries,
+        hasTerms: termResult.items.length > 0
+    };
+}
+
+/**
+ * Whether a day is a school day, and why not
+ * Returns { isSchoolDay, reason, title, halfDayEnd }
+ * reason: "school-day", "half-day", "weekend", "holiday", "closure" or "outside-term"
+ */
+export function getSchoolDayInfo(calendar, dateKey, settings) {
+    const covering = calendar.entries.filter(entry => entry.startDate <= dateKey && entry.endDate >= dateKey);
+
+    const closed = covering.find(entry => entry.type === "holiday" || entry.type === "closure");
+    if (closed) {
+        return { isSchoolDay: false, reason: closed.type, title: closed.title || null, halfDayEnd: null };
+    }
+    if (!settings.schoolDays.includes(getWeekdayOfDateKey(dateKey))) {
+        return { isSchoolDay: false, reason: "weekend", title: null, halfDayEnd: null };
+    }
+    if (calendar.hasTerms && !covering.some(entry => entry.type === "term")) {
+        return { isSchoolDay: false, reason: "outside-term", title: null, halfDayEnd: null };
+    }
+
+    const halfDay = covering.find(entry => entry.type === "half-day");
+    if (halfDay) {
+        return { isSchoolDay: true, reason: "half-day", title: halfDay.title || null, halfDayEnd: halfDay.endTime || null };
+    }
+    return { isSchoolDay: true, reason: "school-day", title: null, halfDayEnd: null };
+}
+
+/**
+ * Number of school days in fromKey..toKey (inclusive)
+ */
+export function countSchoolDays(calendar, fromKey, toKey, settings) {
+    let count = 0;
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+        if (getSchoolDayInfo(calendar, dateKey, settings).isSchoolDay) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Validate and normalize a calendar entry sent by an admin
+ */
+export function normalizeCalendarEntry(entry) {
+    const type = entry.type;
+    const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+    const startDate = entry.startDate;
+    const endDate = entry.endDate || entry.startDate;
+
+    if (!CALENDAR_ENTRY_TYPES.includes(type)) {
+        throw new Error(`Type must be one of: ${CALENDAR_ENTRY_TYPES.join(', ')}`);
+    }
+    if (!DATE_KEY_PATTERN.test(startDate || '') || !DATE_KEY_PATTERN.test(endDate || '')) {
+        throw new Error("Dates must be YYYY-MM-DD");
+    }
+    if (endDate < startDate) {
+        throw new Error("End date must be on or after start date");
+    }
+    if (type === "half-day" && !TIME_OF_DAY_PATTERN.test(entry.endTime || '')) {
+        throw new Error("Half-days need an end time (HH:MM)");
+    }
+
+    return {
+        type: type,
+        title: title || type,
+        startDate: startDate,
+        endDate: endDate,
+        endTime: type === "half-day" ? entry.endTime : null
+    };
+}
+
+/**
+ * Unescape an iCal text value (RFC 5545 section 3.3.11)
+ */
+function unescapeICalText(value) {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+/**
+ * "YYYY-MM-DD" from an iCal DATE or DATE-TIME value (e.g. 20260101 or 20260101T000000Z)
+ */
+function iCalValueToDateKey(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parse the all-day events of an iCal file (e.g. a Japanese public holiday calendar)
+ * Returns [{ uid, title, startDate, endDate }] with inclusive end dates
+ */
+export function parseICalEvents(icsText) {
+    // Unfold continuation lines, which start with a space or tab
+    const lines = String(icsText || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n');
+
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (current && current.startDate) {
+                // DTEND of an all-day event is exclusive
+                const endDate = current.endDate && current.endDate > current.startDate ?
+                    addDaysToDateKey(current.endDate, -1) :
+                    current.startDate;
+                events.push({
+                    uid: current.uid || `${current.startDate}-${current.title || ''}`,
+                    title: current.title || 'Holiday',
+                    startDate: current.startDate,
+                    endDate: endDate
+                });
+            }
+            current = null;
+            continue;
+        }
+        if (!current) {
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator < 0) {
+            continue;
+        }
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (name === 'UID') {
+            current.uid = value.trim();
+        } else if (name === 'SUMMARY') {
+            current.title = unescapeICalText(value);
+        } else if (name === 'DTSTART') {
+            current.startDate = iCalValueToDateKey(value);
+        } else if (name === 'DTEND') {
+            current.endDate = iCalValueToDateKey(value);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Store parsed iCal events as calendar entries of the given type
+ * Events imported before (same UID) are updated, so a file can be imported again
+ */
+export async function importICalEvents(events, type = "holiday") {
+    const elevatedQuery = elevate(wixData.query);
+    const elevatedInsert = elevate(wixData.insert);
+    const elevatedUpdate = elevate(wixData.update);
+
+    let inserted = 0;
+    let updated = 0;
+
+    for (const event of events) {
+        const entry = {
+            ...normalizeCalendarEntry({ type: type, title: event.title, startDate: event.startDate, endDate: event.endDate }),
+            source: "ical",
+            uid: event.uid
+        };
+
+        const existing = await elevatedQuery(SCHOOL_CALENDAR_COLLECTION)
+            .eq("uid", event.uid)
+            .limit(1)
+            .find();
+
+        if (existing.items.length > 0) {
+            await elevatedUpdate(SCHOOL_CALENDAR_COLLECTION, { ...existing.items[0], ...entry });
+            updated++;
+        } else {
+            await elevatedInsert(SCHOOL_CALENDAR_COLLECTION, entry);
+            inserted++;
+        }
+    }
+
+    return { inserted: inserted, updated: updated };
+}
@@ -0,0 +1,178 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { fetch } from 'wix-fetch';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import {
+    SCHOOL_CALENDAR_COLLECTION,
+    CALENDAR_ENTRY_TYPES,
+    loadSchoolCalendar,
+    countSchoolDays,
+    normalizeCalendarEntry,
+    parseICalEvents,
+    importICalEvents
+} from 'backend/schoolCalendar';
+import { getSchoolSettings } from 'backend/schoolSettings';
+
+// Largest iCal file accepted for import
+const MAX_ICAL_LENGTH = 1000000;
+
+/**
+ * List calendar entries overlapping a date range ("YYYY-MM-DD" keys)
+ * Also returns the number of school days in the range
+ */
+export const getSchoolCalendar = webMethod(
+    Permissions.SiteMember,
+    async (fromKey, toKey) => {
+        try {
+            await requireAccess("getSchoolCalendar");
+
+            if (!fromKey || !toKey || toKey < fromKey) {
+                throw new Error("A valid date range is required");
+            }
+
+            const settings = await getSchoolSettings();
+            const calendar = await loadSchoolCalendar(fromKey, toKey);
+
+            return {
+                success: true,
+                entries: calendar.entries.map(entry => ({
+                    _id: entry._id,
+                    type: entry.type,
+                    title: entry.title,
+                    startDate: entry.startDate,
+                    endDate: entry.endDate,
+                    endTime: entry.endTime || null,
+                    source: entry.source || "manual"
+                })),
+                schoolDays: countSchoolDays(calendar, fromKey, toKey, settings),
+                types: CALENDAR_ENTRY_TYPES
+            };
+
+        } catch (error) {
+            console.error("Error getting school calendar:", error);
+            throw new Error(`Failed to get school calendar: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Add or update a term, holiday, closure or half-day
+ * entry: { _id?, type, title, startDate, endDate, endTime (half-days) }
+ */
+export const saveSchoolCalendarEntry = webMethod(
+    Permissions.SiteMember,
+    async (entry = {}) => {
+        try {
+            await requireAccess("saveSchoolCalendarEntry");
+
+            const fields = normalizeCalendarEntry(entry || {});
+            let saved;
+
+            if (entry._id) {
+                const elevatedGet = elevate(wixData.get);
+                const existing = await elevatedGet(SCHOOL_CALENDAR_COLLECTION, entry._id);
+                if (!existing) {
+                    throw new Error(`Calendar entry not found: ${entry._id}`);
+                }
+                const elevatedUpdate = elevate(wixData.update);
+                saved = await elevatedUpdate(SCHOOL_CALENDAR_COLLECTION, { ...existing, ...fields });
+            } else {
+                const elevatedInsert = elevate(wixData.insert);
+                saved = await elevatedInsert(SCHOOL_CALENDAR_COLLECTION, { ...fields, source: "manual" });
+            }
+
+            console.log(`School calendar ${fields.type} saved: ${fields.title} (${fields.startDate} - ${fields.endDate})`);
+
+            return {
+                success: true,
+                entry: saved
+            };
+
+        } catch (error) {
+            console.error("Error saving school calendar entry:", error);
+            throw new Error(`Failed to save calendar entry: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Remove a calendar entry
+ */
+export const removeSchoolCalendarEntry = webMethod(
+    Permissions.SiteMember,
+    async (entryId) => {
+        try {
+            await requireAccess("removeSchoolCalendarEntry");
+
+            const elevatedRemove = elevate(wixData.remove);
+            await elevatedRemove(SCHOOL_CALENDAR_COLLECTION, entryId);
+
+            console.log(`School calendar entry removed: ${entryId}`);
+
+            return {
+                success: true,
+                entryId: entryId
+            };
+
+        } catch (error) {
+            console.error("Error removing school calendar entry:", error);
+            throw new Error(`Failed to remove calendar entry: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Import all-day events from an iCal file, e.g. Japanese public holidays
+ * source: { icsText } with the file content, or { url } of a public https calendar
+ * Re-importing the same calendar updates the existing entries
+ */
+export const importSchoolCalendarICal = webMethod(
+    Permissions.SiteMember,
+    async (source = {}, type = "holiday") => {
+        try {
+            await requireAccess("importSchoolCalendarICal");
+
+            console.log("=== IMPORTING ICAL CALENDAR ===");
+
+            let icsText = source && source.icsText;
+            if (!icsText && source && source.url) {
+                if (!/^https:\/\//.test(source.url)) {
+                    throw new Error("Calendar URL must start with https://");
+                }
+                const response = await fetch(source.url, { method: "get" });
+                if (!response.ok) {
+                    throw new Error(`Calendar download failed with status ${response.status}`);
+                }
+                icsText = await response.text();
+            }
+            if (!icsText) {
+                throw new Error("iCal text or URL is required");
+            }
+            if (icsText.length > MAX_ICAL_LENGTH) {
+                throw new Error("iCal file is too large");
+            }
+
+            const events = parseICalEvents(icsText);
+            if (events.length === 0) {
+                throw new Error("No events found in the iCal file");
+            }
+
+            const result = await importICalEvents(events, type);
+            console.log(`iCal import completed. Events: ${events.length}, Inserted: ${result.inserted}, Updated: ${result.updated}`);
+
+            return {
+                success: true,
+                eventCount: events.length,
+                inserted: result.inserted,
+                updated: result.updated,
+                firstDate: events.reduce((min, event) => event.startDate < min ? event.startDate : min, events[0].startDate),
+                lastDate: events.reduce((max, event) => event.endDate > max ? event.endDate : max, events[0].endDate)
+            };
+
+        } catch (error) {
+            console.error("Error importing iCal calendar:", error);
+            throw new Error(`Failed to import calendar: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,159 @@
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, getZonedParts, formatTime } from 'public/dateUtils';
+
+// Single-item collection holding school-wide configuration
+export const SCHOOL_SETTINGS_COLLECTION = "SchoolSettings";
+
+// Defaults used for any setting missing from the collection
+const DEFAULT_SETTINGS = {
+    timeZone: DEFAULT_TIME_ZONE,
+    // Classes whose students must enter a PIN at the kiosk
+    pinRequiredClasses: [],
+    // Minimum seconds between a student's login and logout at the kiosk
+    minStateChangeSeconds: 60,
+    // Seconds the kiosk offers "Undo" after a confirmed tap
+    undoWindowSeconds: 30,
+    // Idle seconds before the kiosk clears input and returns to the welcome screen
+    kioskIdleSeconds: 30,
+    // Requests a kiosk may make per minute before it is refused; raise for busy entrances
+    kioskRateLimitPerMinute: 30,
+    // Idle seconds before an unanswered confirmation lightbox is cancelled
+    confirmTimeoutSeconds: 20,
+    // School hours in the school timezone (days: 0 = Sunday)
+    schoolDayStart: "08:00",
+    schoolDayEnd: "18:00",
+    schoolDays: [1, 2, 3, 4, 5],
+    // Session times used for late arrival and early departure
+    // [{ className (empty = whole school), weekdays: [1-5], start: "09:00", end: "15:00" }]
+    sessionSchedules: [],
+    // Minutes after the session start before a first login counts as late
+    lateGraceMinutes: 5,
+    // Send parents a distinct email for late arrivals and early departures
+    punctualityEmails: false,
+    // Minutes after the session start before students without a login are reported absent
+    absenceCheckMinutes: 30,
+    // Email parents when their child has not arrived by the absence check
+    absenceNotifications: true,
+    // Days before today a parent notice may start; older days are recorded by staff
+    parentNoticeBackdateDays: 7,
+    // Automation trigger emailing admins about silent kiosks (Dashboard > Automations)
+    kioskAlertTriggerId: null
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidSessionSchedule(schedule) {
+    return !!schedule && typeof schedule === 'object' &&
+        (schedule.className === undefined || schedule.className === null || typeof schedule.className === 'string') &&
+        Array.isArray(schedule.weekdays) && schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+        typeof schedule.start === 'string' && TIME_OF_DAY_PATTERN.test(schedule.start) &&
+        typeof schedule.end === 'string' && TIME_OF_DAY_PATTERN.test(schedule.end) &&
+        schedule.start < schedule.end;
+}
+
+// Validators for settings that can be changed through updateSchoolSettings
+const SETTING_VALIDATORS = {
+    timeZone: (value) => isValidTimeZone(value),
+    pinRequiredClasses: (value) => Array.isArray(value) && value.every(className => typeof className === 'string'),
+    minStateChangeSeconds: (value) => Number.isInteger(value) && value >= 0 && value <= 3600,
+    undoWindowSeconds: (value) => Number.isInteger(value) && value >= 0 && value <= 300,
+    kioskIdleSeconds: (value) => Number.isInteger(value) && value >= 5 && value <= 600,
+    kioskRateLimitPerMinute: (value) => Number.isInteger(value) && value >= 10 && value <= 600,
+    confirmTimeoutSeconds: (value) => Number.isInteger(value) && value >= 5 && value <= 300,
+    schoolDayStart: (value) => typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value),
+    schoolDayEnd: (value) => typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value),
+    schoolDays: (value) => Array.isArray(value) && value.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+    sessionSchedules: (value) => Array.isArray(value) && value.every(isValidSessionSchedule),
+    lateGraceMinutes: (value) => Number.isInteger(value) && value >= 0 && value <= 120,
+    punctualityEmails: (value) => typeof value === 'boolean',
+    absenceCheckMinutes: (value) => Number.isInteger(value) && value >= 0 && value <= 240,
+    absenceNotifications: (value) => typeof value === 'boolean',
+    parentNoticeBackdateDays: (value) => Number.isInteger(value) && value >= 0 && value <= 31,
+    // null clears the trigger (silent kiosks are then only logged)
+    kioskAlertTriggerId: (value) => value === null || (typeof value === 'string' && value.trim().length > 0)
+};
+
+/**
+ * Load the stored settings item, or null when none has been created
+ */
+async function getSettingsItem() {
+    const elevatedQuery = elevate(wixData.query);
+    const results = await elevatedQuery(SCHOOL_SETTINGS_COLLECTION)
+        .limit(1)
+        .find();
+
+    return results.items.length > 0 ? results.items[0] : null;
+}
+
+/**
+ * Get school settings merged over defaults
+ * Invalid stored values fall back to the default with a warning
+ */
+export async function getSchoolSettings() {
+    const stored = await getSettingsItem() || {};
+    const settings = { ...DEFAULT_SETTINGS };
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        const value = stored[key];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (SETTING_VALIDATORS[key] && !SETTING_VALIDATORS[key](value)) {
+            console.warn(`Invalid school setting ${key}: ${JSON.stringify(value)}, using default`);
+            continue;
+        }
+        settings[key] = value;
+    }
+
+    return settings;
+}
+
+/**
+ * Get the configured school timezone (IANA name)
+ */
+export async function getSchoolTimeZone() {
+    const settings = await getSchoolSettings();
+    return settings.timeZone;
+}
+
+/**
+ * Whether an instant falls inside school hours on a school day (school timezone)
+ */
+export function isDuringSchoolHours(date, settings) {
+    const parts = getZonedParts(date, settings.timeZone);
+    if (!settings.schoolDays.includes(parts.weekday)) {
+        return false;
+    }
+    const time = formatTime(date, settings.timeZone);
+    return time >= settings.schoolDayStart && time < settings.schoolDayEnd;
+}
+
+/**
+ * Validate and store changed settings, creating the settings item if needed
+ */
+export async function saveSchoolSettings(changes) {
+    if (!changes || typeof changes !== 'object') {
+        throw new Error("Settings changes are required");
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (!SETTING_VALIDATORS[key]) {
+            throw new Error(`Unknown school setting: ${key}`);
+        }
+        if (!SETTING_VALIDATORS[key](value)) {
+            throw new Error(`Invalid value for school setting ${key}`);
+        }
+    }
+
+    const existing = await getSettingsItem();
+    if (existing) {
+        const elevatedUpdate = elevate(wixData.update);
+        await elevatedUpdate(SCHOOL_SETTINGS_COLLECTION, { ...existing, ...changes });
+    } else {
+        const elevatedInsert = elevate(wixData.insert);
+        await elevatedInsert(SCHOOL_SETTINGS_COLLECTION, changes);
+    }
+
+    return getSchoolSettings();
+}
@@ -0,0 +1,53 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { getSchoolSettings, saveSchoolSettings } from 'backend/schoolSettings';
+import { requireAccess } from 'backend/authorization';
+
+/**
+ * Get current school settings for the admin dashboard
+ */
+export const getSchoolSettingsForAdmin = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("getSchoolSettingsForAdmin");
+
+            const settings = await getSchoolSettings();
+            return {
+                success: true,
+                settings: settings
+            };
+
+        } catch (error) {
+            console.error("Error getting school settings:", error);
+            throw new Error(`Failed to get school settings: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Update school settings (e.g. { timeZone: "Asia/Tokyo" })
+ * Unknown keys and invalid values are rejected
+ */
+export const updateSchoolSettings = webMethod(
+    Permissions.SiteMember,
+    async (changes) => {
+        try {
+            await requireAccess("updateSchoolSettings");
+
+            console.log("=== UPDATING SCHOOL SETTINGS ===");
+            console.log("Changes:", changes);
+
+            const settings = await saveSchoolSettings(changes);
+
+            return {
+                success: true,
+                settings: settings,
+                updatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error("Error updating school settings:", error);
+            throw new Error(`Failed to update school settings: ${error.message}`);
+        }
+    }
+);
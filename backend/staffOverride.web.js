@@ -0,0 +1,187 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { currentMember } from 'wix-members-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { getLastAttendanceEvent, insertAttendanceEvent } from 'backend/attendanceStore';
+import { sendAttendanceNotification } from 'backend/attendanceNotifications';
+import { authenticateKiosk } from 'backend/kioskRegistry';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { classifyNewAttendanceEvent } from 'backend/punctuality';
+import { loadSchoolCalendar } from 'backend/schoolCalendar';
+import { loadHomeroomResolver } from 'backend/classes';
+import { formatTime, toDateKey } from 'public/dateUtils';
+
+// Limits for the kiosk staff mode
+const MAX_SEARCH_RESULTS = 30;
+const MAX_OVERRIDE_STUDENTS = 100;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Current state of a student from the last event: "login" or "logout"
+ */
+function currentStatusAfter(lastEvent) {
+    return lastEvent && lastEvent.status === "login" ? "login" : "logout";
+}
+
+/**
+ * Search students by name for check-in without an ID
+ * Returns each match with its current state so staff can select a group
+ */
+export const searchStudentsForOverride = webMethod(
+    Permissions.SiteMember,
+    async (nameQuery) => {
+        try {
+            await requireAccess("searchStudentsForOverride");
+
+            const searchText = typeof nameQuery === 'string' ? nameQuery.trim() : '';
+            if (searchText.length < 2) {
+                throw new Error("Enter at least 2 characters of the student's name");
+            }
+
+            const elevatedQuery = elevate(wixData.query);
+            const results = await elevatedQuery("Students")
+                .contains("name", searchText)
+                .ascending("name")
+                .limit(MAX_SEARCH_RESULTS)
+                .find();
+
+            const students = [];
+            for (const student of results.items) {
+                const lastEvent = await getLastAttendanceEvent(student);
+                students.push({
+                    studentId: student._id,
+                    name: student.name || 'Unknown',
+                    className: student.className || null,
+                    status: currentStatusAfter(lastEvent)
+                });
+            }
+
+            return {
+                success: true,
+                students: students,
+                hasMore: results.totalCount > results.items.length
+            };
+
+        } catch (error) {
+            console.error("Error searching students for override:", error);
+            throw new Error(`Failed to search students: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Log in or log out selected students on behalf of staff (forgotten ID, field trips)
+ * Events are tagged type "staff-override" with the staff member and reason
+ * Students already in the requested state are skipped
+ * kioskToken is optional and tags the events with the kiosk's location
+ */
+export const recordStaffOverride = webMethod(
+    Permissions.SiteMember,
+    async ({ studentIds, action, reason, kioskToken = null } = {}) => {
+        try {
+            await requireAccess("recordStaffOverride");
+
+            console.log("=== RECORDING STAFF OVERRIDE ===");
+
+            if (!['login', 'logout'].includes(action)) {
+                throw new Error("Action must be login or logout");
+            }
+            if (!Array.isArray(studentIds) || studentIds.length === 0) {
+                throw new Error("Select at least one student");
+            }
+            if (studentIds.length > MAX_OVERRIDE_STUDENTS) {
+                throw new Error(`At most ${MAX_OVERRIDE_STUDENTS} students can be updated at once`);
+            }
+            const overrideReason = typeof reason === 'string' ? reason.trim() : '';
+            if (!overrideReason) {
+                throw new Error("A reason is required");
+            }
+
+            const member = await currentMember.getMember();
+            const kiosk = kioskToken ? await authenticateKiosk(kioskToken) : null;
+            const settings = await getSchoolSettings();
+            const todayKey = toDateKey(new Date(), settings.timeZone);
+            const calendar = await loadSchoolCalendar(todayKey, todayKey);
+            const resolveClassName = await loadHomeroomResolver({ fromKey: todayKey, toKey: todayKey });
+            const elevatedGet = elevate(wixData.get);
+
+            const results = [];
+            for (const studentId of [...new Set(studentIds)]) {
+                try {
+                    const student = await elevatedGet("Students", studentId);
+                    if (!student) {
+                        results.push({ studentId: studentId, recorded: false, message: "Student not found" });
+                        continue;
+                    }
+
+                    const lastEvent = await getLastAttendanceEvent(student);
+                    if (currentStatusAfter(lastEvent) === action) {
+                        results.push({
+                            studentId: studentId,
+                            studentName: student.name || 'Unknown',
+                            recorded: false,
+                            message: `Already ${action === "login" ? "logged in" : "logged out"}`
+                        });
+                        continue;
+                    }
+
+                    const event = await insertAttendanceEvent({
+                        studentId: student._id,
+                        timestamp: new Date(),
+                        status: action,
+                        type: "staff-override",
+                        sourceKiosk: kiosk ? kiosk.kioskId : null,
+                        location: kiosk ? kiosk.locationName : null,
+                        actor: `member:${member._id}`,
+                        reason: overrideReason.slice(0, MAX_REASON_LENGTH)
+                    });
+
+                    console.log(`✅ Staff ${action} for ${student.name} (${student._id}) by member ${member._id}`);
+
+                    const punctuality = classifyNewAttendanceEvent(event, lastEvent, resolveClassName(student, todayKey), settings, calendar);
+
+                    // Notification failure must not undo the recorded attendance
+                    let notification = null;
+                    try {
+                        notification = await sendAttendanceNotification(student._id, action, false, event.timestamp, {
+                            punctuality: punctuality
+                        });
+                    } catch (emailError) {
+                        console.error("❌ Email notification failed:", emailError);
+                        notification = { success: false, message: emailError.message };
+                    }
+
+                    results.push({
+                        studentId: studentId,
+                        studentName: student.name || 'Unknown',
+                        recorded: true,
+                        eventItemId: event._id,
+                        localTime: formatTime(event.timestamp, settings.timeZone),
+                        punctuality: punctuality,
+                        notification: notification
+                    });
+
+                } catch (studentError) {
+                    console.error(`❌ Staff override failed for ${studentId}:`, studentError);
+                    results.push({ studentId: studentId, recorded: false, message: studentError.message });
+                }
+            }
+
+            const recordedCount = results.filter(result => result.recorded).length;
+            console.log(`Staff override completed. Action: ${action}, Recorded: ${recordedCount}/${results.length}, Reason: ${overrideReason}`);
+
+            return {
+                success: true,
+                action: action,
+                recordedCount: recordedCount,
+                skippedCount: results.length - recordedCount,
+                results: results
+            };
+
+        } catch (error) {
+            console.error("Error recording staff override:", error);
+            throw new Error(`Failed to record staff override: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,76 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getSecret } from 'wix-secrets-backend';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import QRCode from 'qrcode';
+
+// Secret Manager key holding the HMAC key used to sign badge tokens
+const BADGE_SIGNING_SECRET_NAME = "BADGE_SIGNING_KEY";
+
+// Prefix identifying badge tokens (format version 1)
+const BADGE_TOKEN_PREFIX = "EB1";
+
+/**
+ * Sign the badge payload with the configured key
+ */
+async function signBadgePayload(payload) {
+    const signingKey = await getSecret(BADGE_SIGNING_SECRET_NAME);
+    if (!signingKey) {
+        throw new Error(`Secret ${BADGE_SIGNING_SECRET_NAME} is not configured`);
+    }
+    return createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+/**
+ * Create the signed token encoded in a student's QR badge
+ * Format: EB1.<studentId>.<badgeVersion>.<signature>
+ * Bumping badgeVersion on the Students item invalidates previously printed badges
+ */
+export async function createBadgeToken(student) {
+    const payload = `${BADGE_TOKEN_PREFIX}.${student._id}.${student.badgeVersion || 1}`;
+    const signature = await signBadgePayload(payload);
+    return `${payload}.${signature}`;
+}
+
+/**
+ * Verify a scanned badge token and load its student
+ * Returns null for forged, malformed or revoked tokens
+ */
+export async function findStudentByBadgeToken(badgeToken) {
+    if (!badgeToken || typeof badgeToken !== 'string') {
+        return null;
+    }
+
+    const parts = badgeToken.trim().split('.');
+    if (parts.length !== 4 || parts[0] !== BADGE_TOKEN_PREFIX) {
+        return null;
+    }
+
+    const [prefix, studentId, badgeVersion, signature] = parts;
+    const expected = Buffer.from(await signBadgePayload(`${prefix}.${studentId}.${badgeVersion}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        console.warn("Rejected badge token with invalid signature");
+        return null;
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const student = await elevatedGet("Students", studentId);
+    if (!student || String(student.badgeVersion || 1) !== badgeVersion) {
+        console.warn(`Rejected revoked or unknown badge for student ${studentId}`);
+        return null;
+    }
+
+    return student;
+}
+
+/**
+ * Render a badge token as a QR code PNG data URL
+ */
+export async function createBadgeQrCode(badgeToken) {
+    return QRCode.toDataURL(badgeToken, {
+        errorCorrectionLevel: 'M',
+        margin: 1,
+        width: 256
+    });
+}
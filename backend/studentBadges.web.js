@@ -0,0 +1,190 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { findAllItems } from 'backend/attendanceStore';
+import { createBadgeToken, createBadgeQrCode } from 'backend/studentBadges';
+import { renderBadgeSheetHtml } from 'backend/badgeSheet';
+import { getClasses, getClassStudentIdsOn, loadHomeroomResolver } from 'backend/classes';
+import { getSchoolTimeZone } from 'backend/schoolSettings';
+import { toDateKey } from 'public/dateUtils';
+
+/**
+ * Load a student by ID or fail with a clear message
+ */
+async function getStudentOrThrow(studentId) {
+    if (!studentId || typeof studentId !== 'string') {
+        throw new Error("Student ID is required");
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const student = await elevatedGet("Students", studentId);
+    if (!student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
+    return student;
+}
+
+/**
+ * Get the QR badge of a student
+ * The QR encodes a signed token, never the bare childId
+ */
+export const getStudentBadge = webMethod(
+    Permissions.SiteMember,
+    async (studentId) => {
+        try {
+            await requireAccess("getStudentBadge");
+
+            const student = await getStudentOrThrow(studentId);
+            const badgeToken = await createBadgeToken(student);
+
+            return {
+                success: true,
+                studentId: student._id,
+                studentName: student.name || 'Unknown',
+                childId: student.childId || '',
+                badgeVersion: student.badgeVersion || 1,
+                qrCode: await createBadgeQrCode(badgeToken)
+            };
+
+        } catch (error) {
+            console.error("Error getting student badge:", error);
+            throw new Error(`Failed to get student badge: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Issue a new badge for a student (e.g. when a badge is lost)
+ * Previously printed badges of the student stop working at the kiosk
+ */
+export const reissueStudentBadge = webMethod(
+    Permissions.SiteMember,
+    async (studentId) => {
+        try {
+            await requireAccess("reissueStudentBadge");
+
+            const student = await getStudentOrThrow(studentId);
+            const badgeVersion = (student.badgeVersion || 1) + 1;
+
+            const elevatedUpdate = elevate(wixData.update);
+            const updated = await elevatedUpdate("Students", {
+                ...student,
+                badgeVersion: badgeVersion
+            });
+
+            console.log(`Reissued badge for ${student.name || 'Unknown'} (version ${badgeVersion})`);
+
+            const badgeToken = await createBadgeToken(updated);
+            return {
+                success: true,
+                studentId: updated._id,
+                studentName: updated.name || 'Unknown',
+                childId: updated.childId || '',
+                badgeVersion: badgeVersion,
+                qrCode: await createBadgeQrCode(badgeToken)
+            };
+
+        } catch (error) {
+            console.error("Error reissuing student badge:", error);
+            throw new Error(`Failed to reissue student badge: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Get the active classes (Classes collection), for the badge sheet filter
+ * Class membership is managed on the class management page
+ */
+export const getBadgeClassOptions = webMethod(
+    Permissions.SiteMember,
+    async () => {
+        try {
+            await requireAccess("getBadgeClassOptions");
+
+            const classes = await getClasses();
+
+            return {
+                success: true,
+                classes: classes.map(classItem => ({
+                    classId: classItem._id,
+                    name: classItem.name,
+                    grade: classItem.grade || ''
+                }))
+            };
+
+        } catch (error) {
+            console.error("Error getting badge class options:", error);
+            throw new Error(`Failed to get class options: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Generate a printable badge sheet (HTML, print to PDF from the browser)
+ * Options: { classId, createdSince } - both optional
+ * classId limits the sheet to the students in that class today (ClassMemberships)
+ * createdSince limits the sheet to students added after that date (new enrollments)
+ * Badges show each student's homeroom today
+ */
+export const generateBadgeSheet = webMethod(
+    Permissions.SiteMember,
+    async (options = {}) => {
+        try {
+            await requireAccess("generateBadgeSheet");
+
+            const { classId = null, createdSince = null } = options || {};
+            console.log(`Generating badge sheet - class: ${classId || 'all'}, created since: ${createdSince || 'any'}`);
+
+            const todayKey = toDateKey(new Date(), await getSchoolTimeZone());
+            let classItem = null;
+
+            const elevatedQuery = elevate(wixData.query);
+            let query = elevatedQuery("Students").ascending("name");
+            if (classId) {
+                classItem = (await getClasses({ includeInactive: true })).find(item => item._id === classId);
+                if (!classItem) {
+                    throw new Error(`Class not found: ${classId}`);
+                }
+                const studentIds = [...await getClassStudentIdsOn(classId, todayKey)];
+                if (studentIds.length === 0) {
+                    return { success: true, badgeCount: 0, html: renderBadgeSheetHtml([], `Student Badges - ${classItem.name}`) };
+                }
+                query = query.hasSome("_id", studentIds);
+            }
+            if (createdSince) {
+                const since = new Date(createdSince);
+                if (isNaN(since.getTime())) {
+                    throw new Error("Invalid createdSince date");
+                }
+                query = query.ge("_createdDate", since);
+            }
+
+            const students = await findAllItems(query);
+            const resolveClassName = await loadHomeroomResolver({ fromKey: todayKey, toKey: todayKey });
+
+            const badges = [];
+            for (const student of students) {
+                const badgeToken = await createBadgeToken(student);
+                badges.push({
+                    studentName: student.name || 'Unknown',
+                    childId: student.childId || '',
+                    className: resolveClassName(student, todayKey) || '',
+                    qrCode: await createBadgeQrCode(badgeToken)
+                });
+            }
+
+            console.log(`Badge sheet generated with ${badges.length} badges`);
+
+            return {
+                success: true,
+                badgeCount: badges.length,
+                html: renderBadgeSheetHtml(badges, classItem ? `Student Badges - ${classItem.name}` : "Student Badges")
+            };
+
+        } catch (error) {
+            console.error("Error generating badge sheet:", error);
+            throw new Error(`Failed to generate badge sheet: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,113 @@
+import { pbkdf2Sync, randomBytes, timingSafeEqual } from 'crypto';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { getSchoolSettings } from 'backend/schoolSettings';
+import { getStudentClassNameOn } from 'backend/classes';
+import { toDateKey } from 'public/dateUtils';
+
+// Failed PIN entries allowed before the student's PIN is locked
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+const PIN_HASH_ITERATIONS = 100000;
+const PIN_PATTERN = /^\d{4,6}$/;
+
+/**
+ * Check that a PIN is 4 to 6 digits
+ */
+export function isValidPin(pin) {
+    return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+/**
+ * Hash a PIN for storage in Students.pinHash
+ * Format: pbkdf2$<iterations>$<salt>$<hash>
+ */
+export function hashPin(pin) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = pbkdf2Sync(pin, salt, PIN_HASH_ITERATIONS, 32, 'sha256').toString('hex');
+    return `pbkdf2$${PIN_HASH_ITERATIONS}$${salt}$${hash}`;
+}
+
+/**
+ * Compare a PIN with a stored hash in constant time
+ */
+function pinMatchesHash(pin, pinHash) {
+    const [scheme, iterations, salt, hash] = (pinHash || '').split('$');
+    if (scheme !== 'pbkdf2' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = pbkdf2Sync(pin, salt, Number(iterations), expected.length, 'sha256');
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether the kiosk must ask this student for a PIN
+ * Required when the student has a PIN or today's class (homeroom membership) is listed in pinRequiredClasses
+ */
+export async function isPinRequired(student) {
+    if (student.pinHash) {
+        return true;
+    }
+    const settings = await getSchoolSettings();
+    const className = await getStudentClassNameOn(student, toDateKey(new Date(), settings.timeZone));
+    return !!className && settings.pinRequiredClasses.includes(className);
+}
+
+/**
+ * Whether repeated failures have locked the student's PIN
+ */
+export function isPinLocked(student) {
+    return !!student.pinLockedUntil && new Date(student.pinLockedUntil).getTime() > Date.now();
+}
+
+/**
+ * Save PIN attempt state on the Students item
+ * attendanceHistory is preserved by the Students_beforeUpdate hook
+ */
+async function updatePinState(student, changes) {
+    const elevatedUpdate = elevate(wixData.update);
+    return elevatedUpdate("Students", { ...student, ...changes });
+}
+
+/**
+ * Verify the PIN entered at the kiosk, throwing when the check-in must be refused
+ * Locks the PIN for PIN_LOCKOUT_MINUTES after MAX_PIN_ATTEMPTS consecutive failures
+ */
+export async function verifyKioskPin(student, pin) {
+    if (!await isPinRequired(student)) {
+        return;
+    }
+
+    if (!student.pinHash) {
+        throw new Error("PIN required but not set - please ask staff");
+    }
+    if (isPinLocked(student)) {
+        throw new Error("PIN locked after too many attempts - please ask staff");
+    }
+    if (!isValidPin(pin)) {
+        throw new Error("PIN required");
+    }
+
+    if (pinMatchesHash(pin, student.pinHash)) {
+        if (student.pinFailedAttempts) {
+            await updatePinState(student, { pinFailedAttempts: 0, pinLockedUntil: null });
+        }
+        return;
+    }
+
+    const failedAttempts = (student.pinFailedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+        await updatePinState(student, {
+            pinFailedAttempts: 0,
+            pinLockedUntil: new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000)
+        });
+        console.warn(`🔒 PIN locked for ${student.name || student._id} after ${failedAttempts} failed attempts`);
+        throw new Error("PIN locked after too many attempts - please ask staff");
+    }
+
+    await updatePinState(student, { pinFailedAttempts: failedAttempts });
+    throw new Error(`Incorrect PIN (${MAX_PIN_ATTEMPTS - failedAttempts} attempts left)`);
+}
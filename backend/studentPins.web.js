@@ -0,0 +1,97 @@
+import { Permissions, webMethod } from 'wix-web-module';
+import { elevate } from 'wix-auth';
+import wixData from 'wix-data';
+import { requireAccess } from 'backend/authorization';
+import { hashPin, isValidPin, isPinLocked } from 'backend/studentPins';
+
+/**
+ * Load a student by ID or fail with a clear message
+ */
+async function getStudentOrThrow(studentId) {
+    if (!studentId || typeof studentId !== 'string') {
+        throw new Error("Student ID is required");
+    }
+
+    const elevatedGet = elevate(wixData.get);
+    const student = await elevatedGet("Students", studentId);
+    if (!student) {
+        throw new Error(`Student not found: ${studentId}`);
+    }
+    return student;
+}
+
+/**
+ * Set or change a student's kiosk PIN (4-6 digits)
+ * Only the hash is stored; any lockout is cleared
+ */
+export const setStudentPin = webMethod(
+    Permissions.SiteMember,
+    async (studentId, pin) => {
+        try {
+            await requireAccess("setStudentPin");
+
+            if (!isValidPin(pin)) {
+                throw new Error("PIN must be 4 to 6 digits");
+            }
+
+            const student = await getStudentOrThrow(studentId);
+            const elevatedUpdate = elevate(wixData.update);
+            await elevatedUpdate("Students", {
+                ...student,
+                pinHash: hashPin(pin),
+                pinFailedAttempts: 0,
+                pinLockedUntil: null
+            });
+
+            console.log(`Kiosk PIN set for ${student.name || 'Unknown'}`);
+
+            return {
+                success: true,
+                studentId: student._id,
+                studentName: student.name || 'Unknown'
+            };
+
+        } catch (error) {
+            console.error("Error setting student PIN:", error);
+            throw new Error(`Failed to set student PIN: ${error.message}`);
+        }
+    }
+);
+
+/**
+ * Reset a student's kiosk PIN after a lockout or a forgotten PIN
+ * Clears failed attempts and lockout; removes the PIN unless removePin is false
+ */
+export const resetStudentPin = webMethod(
+    Permissions.SiteMember,
+    async (studentId, removePin = true) => {
+        try {
+            await requireAccess("resetStudentPin");
+
+            const student = await getStudentOrThrow(studentId);
+            const wasLocked = isPinLocked(student);
+
+            const elevatedUpdate = elevate(wixData.update);
+            await elevatedUpdate("Students", {
+                ...student,
+                pinHash: removePin ? null : student.pinHash,
+                pinFailedAttempts: 0,
+                pinLockedUntil: null
+            });
+
+            console.log(`Kiosk PIN reset for ${student.name || 'Unknown'} (was locked: ${wasLocked}, PIN removed: ${removePin})`);
+
+            return {
+                success: true,
+                studentId: student._id,
+                studentName: student.name || 'Unknown',
+                wasLocked: wasLocked,
+                pinRemoved: removePin
+            };
+
+        } catch (error) {
+            console.error("Error resetting student PIN:", error);
+            throw new Error(`Failed to reset student PIN: ${error.message}`);
+        }
+    }
+);
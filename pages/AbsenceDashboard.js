@@ -0,0 +1,172 @@
+import { getAbsenceDashboard, recordAbsenceAsStaff } from 'backend/absences.web';
+import { searchStudentsForOverride } from 'backend/staffOverride.web';
+import { listClasses } from 'backend/classes.web';
+
+// Auto-refresh while the dashboard is open
+const REFRESH_INTERVAL_MS = 60000;
+
+const NOTICE_TYPE_LABELS = {
+    "absence": "Absence",
+    "late": "Late arrival",
+    "early-pickup": "Early pickup"
+};
+
+const REASON_LABELS = {
+    "illness": "Illness",
+    "appointment": "Appointment",
+    "family": "Family",
+    "other": "Other"
+};
+
+$w.onReady(async function() {
+    $w("#notArrivedTable").columns = [
+        { id: "student", dataPath: "student", label: "Student", type: "string" },
+        { id: "className", dataPath: "className", label: "Class", type: "string" },
+        { id: "sessionStart", dataPath: "sessionStart", label: "Session start", type: "string" },
+        { id: "detected", dataPath: "detected", label: "Reported", type: "string" },
+        { id: "status", dataPath: "status", label: "Status", type: "string" }
+    ];
+    $w("#absenceTable").columns = [
+        { id: "student", dataPath: "student", label: "Student", type: "string" },
+        { id: "className", dataPath: "className", label: "Class", type: "string" },
+        { id: "type", dataPath: "type", label: "Notice", type: "string" },
+        { id: "dates", dataPath: "dates", label: "Dates", type: "string" },
+        { id: "reason", dataPath: "reason", label: "Reason", type: "string" },
+        { id: "note", dataPath: "note", label: "Note", type: "string" },
+        { id: "reportedBy", dataPath: "reportedBy", label: "Reported by", type: "string" }
+    ];
+    $w("#studentDropdown").options = [];
+    $w("#noticeTypeDropdown").options = Object.keys(NOTICE_TYPE_LABELS).map(type => ({ label: NOTICE_TYPE_LABELS[type], value: type }));
+    $w("#noticeTypeDropdown").value = "absence";
+    $w("#reasonDropdown").options = Object.keys(REASON_LABELS).map(reason => ({ label: REASON_LABELS[reason], value: reason }));
+    $w("#reasonDropdown").value = "illness";
+    $w("#btnRecordAbsence").disable();
+
+    $w("#btnRefresh").onClick(() => loadDashboard());
+    $w("#classFilterDropdown").onChange(() => loadDashboard());
+    $w("#btnSearchStudent").onClick(() => handleStudentSearch());
+    $w("#studentDropdown").onChange(() => $w("#btnRecordAbsence").enable());
+    $w("#btnRecordAbsence").onClick(() => handleRecordAbsence());
+
+    await loadClassFilter();
+    await loadDashboard();
+    setInterval(loadDashboard, REFRESH_INTERVAL_MS);
+});
+
+/**
+ * Fill the class filter; "all" shows the whole school
+ */
+async function loadClassFilter() {
+    try {
+        const result = await listClasses();
+        $w("#classFilterDropdown").options = [
+            { label: "All classes", value: "all" },
+            ...result.classes.map(item => ({ label: item.grade ? `${item.name} (${item.grade})` : item.name, value: item._id }))
+        ];
+    } catch (error) {
+        console.error("Error loading classes:", error);
+        $w("#classFilterDropdown").options = [{ label: "All classes", value: "all" }];
+    }
+    $w("#classFilterDropdown").value = "all";
+}
+
+/**
+ * "YYYY-MM-DD" of a date picker value (the picker returns local midnight)
+ */
+function toPickerDateKey(date) {
+    if (!date) {
+        return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load today's not-arrived students and notices
+ */
+async function loadDashboard() {
+    try {
+        $w("#btnRefresh").disable();
+
+        const classId = $w("#classFilterDropdown").value;
+        const result = await getAbsenceDashboard(null, classId && classId !== "all" ? classId : null);
+        $w("#notArrivedTable").rows = result.notArrived.map(row => ({
+            student: row.studentName,
+            className: row.className || '-',
+            sessionStart: row.sessionStart,
+            detected: row.notificationSent ? `${row.detectedLocal} (parents emailed)` : row.detectedLocal,
+            status: row.arrived ? `✅ Arrived ${row.arrivedLocal}` : "🚸 Not arrived"
+        }));
+        $w("#absenceTable").rows = result.notices.map(notice => ({
+            student: notice.studentName,
+            className: notice.className || '-',
+            type: NOTICE_TYPE_LABELS[notice.type] || notice.type,
+            dates: notice.startDate === notice.endDate ? notice.startDate : `${notice.startDate} - ${notice.endDate}`,
+            reason: REASON_LABELS[notice.reasonCategory] || notice.reasonCategory,
+            note: notice.note || '-',
+            reportedBy: notice.reportedByParent ? "Parent" : "Staff"
+        }));
+
+        $w("#txtUpdated").text = `${result.dateKey}: ${result.stillMissingCount} not arrived, ` +
+            `${result.notices.length} notices (checked ${result.absenceCheckMinutes} min after session start)`;
+
+    } catch (error) {
+        console.error("Error loading absence dashboard:", error);
+        $w("#txtUpdated").text = "Failed to load the absence dashboard. Staff access is required.";
+    } finally {
+        $w("#btnRefresh").enable();
+    }
+}
+
+async function handleStudentSearch() {
+    try {
+        const result = await searchStudentsForOverride($w("#studentSearchInput").value);
+        $w("#studentDropdown").options = result.students.map(student => ({
+            label: student.className ? `${student.name} (${student.className})` : student.name,
+            value: student.studentId
+        }));
+        $w("#btnRecordAbsence").disable();
+        setAbsenceMessage(result.students.length > 0 ? "Select a student" : "No students found", result.students.length === 0);
+
+    } catch (error) {
+        console.error("Error searching students:", error);
+        setAbsenceMessage(error.message.replace(/^Failed to search students: /, ''), true);
+    }
+}
+
+async function handleRecordAbsence() {
+    const studentId = $w("#studentDropdown").value;
+    if (!studentId) {
+        return;
+    }
+
+    try {
+        $w("#btnRecordAbsence").disable();
+
+        const startDate = toPickerDateKey($w("#startDatePicker").value);
+        await recordAbsenceAsStaff(studentId, {
+            type: $w("#noticeTypeDropdown").value,
+            reasonCategory: $w("#reasonDropdown").value,
+            startDate: startDate,
+            endDate: toPickerDateKey($w("#endDatePicker").value) || startDate,
+            note: $w("#noteInput").value
+        });
+
+        setAbsenceMessage("Notice recorded");
+        $w("#noteInput").value = "";
+        await loadDashboard();
+
+    } catch (error) {
+        console.error("Error recording absence:", error);
+        setAbsenceMessage(error.message.replace(/^Failed to record absence: /, ''), true);
+    } finally {
+        $w("#btnRecordAbsence").enable();
+    }
+}
+
+function setAbsenceMessage(text, isError = false) {
+    $w("#txtAbsenceMessage").text = text;
+    $w("#txtAbsenceMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtAbsenceMessage").show();
+}
@@ -1,12 +1,55 @@
 import wixWindow from 'wix-window';
 import wixData from 'wix-data';
-import { getCurrentParentData, getStudentAttendanceHistory } from 'backend/attendanceManagement.web';
+import {
+    getCurrentParentData,
+    getStudentAttendanceHistory,
+    getAttendanceStatistics,
+    updateStudentBirthday
+} from 'backend/attendanceManagement.web';
+import { submitAbsenceNotice, getAbsenceNotices } from 'backend/absences.web';
+import { DEFAULT_TIME_ZONE, toDate, toDateKey, formatTime } from 'public/dateUtils';
 
 let currentParentData = null;
 let selectedStudentId = null;
 let fullAttendanceData = []; // Store complete attendance data for filtering
 let selectedMonth = null; // Store selected month for filtering
 let selectedDay = null; // Store selected day for highlighting
+let selectedLocation = null; // Kiosk location the listed taps are limited to (null = all)
+let schoolTimeZone = DEFAULT_TIME_ZONE; // Timezone used for day grouping, returned by the backend
+
+// Labels for parent notices (absence / late / early pickup) and the attendance summary
+const PORTAL_LABELS = {
+    'en': {
+        'absence': 'Absence',
+        'late': 'Late arrival',
+        'early-pickup': 'Early pickup',
+        'illness': 'Illness',
+        'appointment': 'Appointment',
+        'family': 'Family',
+        'other': 'Other',
+        'notice_column': 'Notice',
+        'dates_column': 'Dates',
+        'reason_column': 'Reason',
+        'notice_sent': 'Notice sent to the school',
+        'all_locations': 'All locations',
+        'statistics': 'Present {present}/{expected} school days ({rate}) · Absences: {excused} excused, {unexcused} unexcused · Late: {late} · Early: {early}'
+    },
+    'ja': {
+        'absence': '欠席',
+        'late': '遅刻',
+        'early-pickup': '早退',
+        'illness': '病気',
+        'appointment': '通院・予約',
+        'family': '家庭の事情',
+        'other': 'その他',
+        'notice_column': '種別',
+        'dates_column': '日付',
+        'reason_column': '理由',
+        'notice_sent': '連絡を送信しました',
+        'all_locations': 'すべての場所',
+        'statistics': '出席 {present}/{expected}日 ({rate}) · 欠席: 連絡あり {excused}、連絡なし {unexcused} · 遅刻: {late} · 早退: {early}'
+    }
+};
 
 $w.onReady(async function() {
     // Initialize the page for all site members
@@ -26,6 +69,17 @@ $w.onReady(async function() {
     $w("#attendanceMonth").onChange(() => {
         handleAttendanceMonthChange();
     });
+    
+    // Setup kiosk location filter
+    $w("#locationFilter").onChange(() => {
+        handleLocationChange();
+    });
+    
+    // Setup absence notice form
+    setupNoticeForm();
+    $w("#btnSubmitNotice").onClick(() => {
+        handleSubmitNotice();
+    });
 });
 
 /**
@@ -39,6 +93,7 @@ async function initializePage() {
         $w("#attendanceTable").hide();
         $w("#birthday").disable();
         $w("#attendanceMonth").disable();
+        $w("#locationFilter").hide();
         
         // Get current parent data (will be null for non-parents)
         currentParentData = await getCurrentParentData();
@@ -122,13 +177,16 @@ async function handleStudentSelection() {
             $w("#birthday").disable();
             $w("#attendanceMonth").disable();
             selectedStudentId = null;
+            selectedLocation = null;
             fullAttendanceData = [];
+            $w("#locationFilter").hide();
             return;
         }
         
         // If a valid student is selected, load their data
         if (newSelectedId && newSelectedId !== selectedStudentId) {
             selectedStudentId = newSelectedId;
+            selectedLocation = null;
             await loadStudentData(selectedStudentId);
         }
     } catch (error) {
@@ -153,6 +211,12 @@ async function loadStudentData(studentId) {
         // Load birthday data
         await loadBirthdayData(studentId);
         
+        // Load submitted absence notices
+        await loadNotices(studentId);
+        
+        // Load attendance summary for the last 30 days
+        await loadStatistics(studentId);
+        
         // Setup attendance month picker
         await setupAttendanceMonthPicker();
         
@@ -211,11 +275,8 @@ async function handleBirthdayChange() {
         $w("#loadingText").text = "Updating birthday...";
         $w("#loadingText").show();
         
-        // Update student record in database
-        await wixData.update("Students", {
-            _id: selectedStudentId,
-            birthday: newBirthday
-        });
+        // Update student record through the backend (keeps the other student fields)
+        await updateStudentBirthday(selectedStudentId, newBirthday);
         
         // Hide loading
         $w("#loadingText").hide();
@@ -240,11 +301,7 @@ async function setupAttendanceMonthPicker() {
         // Extract unique months from attendance data
         const months = new Set();
         fullAttendanceData.forEach(record => {
-            if (record.originalDate) {
-                const date = new Date(record.originalDate);
-                const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                months.add(monthKey);
-            }
+            months.add(record.dayKey.substring(0, 7));
         });
         
         // Reset month filter
@@ -269,6 +326,7 @@ async function handleAttendanceMonthChange() {
             selectedMonth = null;
             selectedDay = null;
             displayAttendanceTable(fullAttendanceData);
+            await loadStatistics(selectedStudentId);
             return;
         }
         
@@ -280,17 +338,13 @@ async function handleAttendanceMonthChange() {
         selectedMonth = `${year}-${String(month + 1).padStart(2, '0')}`;
         selectedDay = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
         
-        // Filter data for selected month
-        const filteredData = fullAttendanceData.filter(record => {
-            if (record.originalDate) {
-                const recordDate = new Date(record.originalDate);
-                const recordMonth = `${recordDate.getFullYear()}-${String(recordDate.getMonth() + 1).padStart(2, '0')}`;
-                return recordMonth === selectedMonth;
-            }
-            return false;
-        });
+        // Filter data for selected month (dayKey is YYYY-MM-DD in school timezone)
+        const filteredData = fullAttendanceData.filter(record => 
+            record.dayKey.substring(0, 7) === selectedMonth
+        );
         
         displayAttendanceTable(filteredData);
+        await loadStatistics(selectedStudentId);
         
     } catch (error) {
         console.error("Error handling attendance month change:", error);
@@ -307,11 +361,14 @@ async function loadAttendanceData(studentId) {
         const currentLanguage = wixWindow.multilingual?.currentLanguage || 'en';
         
         // Get attendance history from backend
-        const result = await getStudentAttendanceHistory(studentId, currentLanguage);
+        const result = await getStudentAttendanceHistory(studentId, currentLanguage, selectedLocation);
         
         if (result && result.attendanceData) {
+            schoolTimeZone = result.timeZone || DEFAULT_TIME_ZONE;
+            setupLocationFilter(result.locations || []);
+            
             // Process raw attendance data into table format
-            fullAttendanceData = processAttendanceData(result.rawAttendanceData || []);
+            fullAttendanceData = processAttendanceData(result.rawAttendanceData || [], result.excusedAbsences || []);
             
             // Display processed data
             displayAttendanceTable(fullAttendanceData);
@@ -330,26 +387,65 @@ async function loadAttendanceData(studentId) {
     }
 }
 
+/**
+ * Fill the kiosk location filter; hidden when the student only tapped at one location
+ */
+function setupLocationFilter(locations) {
+    if (locations.length < 2) {
+        $w("#locationFilter").hide();
+        return;
+    }
+    $w("#locationFilter").options = [
+        { label: getPortalLabel('all_locations'), value: 'all' },
+        ...locations.map(location => ({ label: location, value: location }))
+    ];
+    $w("#locationFilter").value = selectedLocation || 'all';
+    $w("#locationFilter").show();
+}
+
+/**
+ * Reload the listed taps for the chosen kiosk location
+ * Absences, late arrivals and early leaves still count taps at every location
+ */
+async function handleLocationChange() {
+    try {
+        const value = $w("#locationFilter").value;
+        selectedLocation = value && value !== 'all' ? value : null;
+        if (!selectedStudentId) {
+            return;
+        }
+        
+        await loadAttendanceData(selectedStudentId);
+        if (selectedMonth !== null) {
+            await handleAttendanceMonthChange();
+        }
+        
+    } catch (error) {
+        console.error("Error handling location change:", error);
+        showError("Failed to filter attendance by location.");
+    }
+}
+
 /**
  * Process raw attendance data into table format
- * Groups login/logout pairs and sorts chronologically
+ * Groups login/logout pairs by school-timezone day and sorts chronologically
+ * School days excused by an absence notice get their own row
  */
-function processAttendanceData(rawData) {
-    if (!rawData || rawData.length === 0) {
+function processAttendanceData(rawData, excusedAbsences = []) {
+    if ((!rawData || rawData.length === 0) && excusedAbsences.length === 0) {
         return [];
     }
     
     // Sort data chronologically (oldest to newest)
-    const sortedData = rawData.sort((a, b) => {
-        return new Date(a.date).getTime() - new Date(b.date).getTime();
-    });
+    const sortedData = rawData
+        .filter(record => toDate(record.timestamp))
+        .sort((a, b) => toDate(a.timestamp).getTime() - toDate(b.timestamp).getTime());
     
     // Group by day and create login/logout pairs
     const dayGroups = {};
     
     sortedData.forEach(record => {
-        const date = new Date(record.date);
-        const dayKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const dayKey = toDateKey(toDate(record.timestamp), schoolTimeZone);
         
         if (!dayGroups[dayKey]) {
             dayGroups[dayKey] = [];
@@ -363,8 +459,7 @@ function processAttendanceData(rawData) {
     
     Object.keys(dayGroups).sort().forEach(dayKey => {
         const dayRecords = dayGroups[dayKey];
-        const date = new Date(dayRecords[0].date);
-        const formattedDate = formatDate(date);
+        const formattedDate = formatDate(dayKey);
         
         // Process login/logout pairs
         let i = 0;
@@ -381,10 +476,9 @@ function processAttendanceData(rawData) {
                     // Create pair row
                     tableRows.push({
                         date: formattedDate,
-                        login: formatTime(new Date(currentRecord.date)),
-                        logout: formatTime(new Date(logoutRecord.date)),
-                        dayKey: dayKey,
-                        originalDate: currentRecord.date
+                        login: formatRecordTime(currentRecord),
+                        logout: formatRecordTime(logoutRecord),
+                        dayKey: dayKey
                     });
                     
                     // Skip the logout record we just processed
@@ -393,10 +487,9 @@ function processAttendanceData(rawData) {
                     // Login without logout
                     tableRows.push({
                         date: formattedDate,
-                        login: formatTime(new Date(currentRecord.date)),
+                        login: formatRecordTime(currentRecord),
                         logout: "—",
-                        dayKey: dayKey,
-                        originalDate: currentRecord.date
+                        dayKey: dayKey
                     });
                     i++;
                 }
@@ -405,16 +498,25 @@ function processAttendanceData(rawData) {
                 tableRows.push({
                     date: formattedDate,
                     login: "—",
-                    logout: formatTime(new Date(currentRecord.date)),
-                    dayKey: dayKey,
-                    originalDate: currentRecord.date
+                    logout: formatRecordTime(currentRecord),
+                    dayKey: dayKey
                 });
                 i++;
             }
         }
     });
     
-    return tableRows;
+    excusedAbsences.forEach(absence => {
+        tableRows.push({
+            date: formatDate(absence.dateKey),
+            login: `${getPortalLabel('absence')} (${getPortalLabel(absence.reasonCategory)})`,
+            logout: "—",
+            dayKey: absence.dateKey
+        });
+    });
+    
+    // Keep days chronological after adding absence rows (sort is stable within a day)
+    return tableRows.sort((a, b) => a.dayKey.localeCompare(b.dayKey));
 }
 
 /**
@@ -484,27 +586,158 @@ function applyRowHighlighting() {
 }
 
 /**
- * Format date for display
+ * Format YYYY-MM-DD day key for display as MM/DD/YYYY
  */
-function formatDate(date) {
-    const options = { 
-        year: 'numeric', 
-        month: '2-digit', 
-        day: '2-digit' 
-    };
-    return date.toLocaleDateString('en-US', options);
+function formatDate(dayKey) {
+    const [year, month, day] = dayKey.split('-');
+    return `${month}/${day}/${year}`;
 }
 
 /**
- * Format time for display
+ * Format record time for display (HH:MM in school timezone, # for system fixes)
+ * Late arrivals and early departures are marked after the time
  */
-function formatTime(date) {
-    const options = { 
-        hour: '2-digit', 
-        minute: '2-digit', 
-        hour12: false 
-    };
-    return date.toLocaleTimeString('en-US', options);
+function formatRecordTime(record) {
+    if (record.status === 'logout' && record.type === 'system-fix') {
+        return '#';
+    }
+    const time = formatTime(toDate(record.timestamp), schoolTimeZone);
+    const excused = record.excused ? ', excused' : '';
+    if (record.punctuality === 'late') {
+        return `${time} (late${excused})`;
+    }
+    if (record.punctuality === 'early-leave') {
+        return `${time} (early${excused})`;
+    }
+    return time;
+}
+
+/**
+ * Localized label of a notice type, reason category or portal text
+ */
+function getPortalLabel(key) {
+    const currentLanguage = wixWindow.multilingual?.currentLanguage || 'en';
+    return PORTAL_LABELS[currentLanguage]?.[key] || PORTAL_LABELS['en'][key] || key;
+}
+
+/**
+ * Fill the notice type and reason dropdowns
+ */
+function setupNoticeForm() {
+    $w("#noticeTypeDropdown").options = ['absence', 'late', 'early-pickup']
+        .map(type => ({ label: getPortalLabel(type), value: type }));
+    $w("#noticeTypeDropdown").value = 'absence';
+    $w("#noticeReasonDropdown").options = ['illness', 'appointment', 'family', 'other']
+        .map(reason => ({ label: getPortalLabel(reason), value: reason }));
+    $w("#noticeReasonDropdown").value = 'illness';
+    $w("#noticeTable").columns = [
+        { id: "type", dataPath: "type", label: getPortalLabel('notice_column'), type: "string" },
+        { id: "dates", dataPath: "dates", label: getPortalLabel('dates_column'), type: "string" },
+        { id: "reason", dataPath: "reason", label: getPortalLabel('reason_column'), type: "string" }
+    ];
+}
+
+/**
+ * "YYYY-MM-DD" of a date picker value (the picker returns local midnight)
+ */
+function toPickerDateKey(date) {
+    if (!date) {
+        return null;
+    }
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Show the attendance summary for the selected month, or the last 30 days
+ */
+async function loadStatistics(studentId) {
+    if (!studentId || studentId === "none") {
+        return;
+    }
+    
+    try {
+        let range = 30;
+        if (selectedMonth) {
+            const [year, month] = selectedMonth.split('-').map(Number);
+            const lastDay = new Date(year, month, 0).getDate();
+            range = { fromKey: `${selectedMonth}-01`, toKey: `${selectedMonth}-${String(lastDay).padStart(2, '0')}` };
+        }
+        
+        const stats = await getAttendanceStatistics(studentId, range);
+        const values = {
+            present: stats.presentDays,
+            expected: stats.expectedSchoolDays,
+            rate: stats.attendanceRate !== null ? `${stats.attendanceRate}%` : '-',
+            excused: stats.excusedAbsences,
+            unexcused: stats.unexcusedAbsences,
+            late: stats.lateArrivals,
+            early: stats.earlyDepartures
+        };
+        $w("#txtStatistics").text = getPortalLabel('statistics').replace(/\{(\w+)\}/g, (match, key) => values[key]);
+        $w("#txtStatistics").show();
+        
+    } catch (error) {
+        console.error("Error loading attendance statistics:", error);
+        $w("#txtStatistics").hide();
+    }
+}
+
+/**
+ * Load the notices submitted for the selected student
+ */
+async function loadNotices(studentId) {
+    try {
+        const result = await getAbsenceNotices(studentId);
+        $w("#noticeTable").rows = result.notices.map(notice => ({
+            type: getPortalLabel(notice.type),
+            dates: notice.startDate === notice.endDate ?
+                formatDate(notice.startDate) :
+                `${formatDate(notice.startDate)} - ${formatDate(notice.endDate)}`,
+            reason: notice.note ?
+                `${getPortalLabel(notice.reasonCategory)}: ${notice.note}` :
+                getPortalLabel(notice.reasonCategory)
+        }));
+        
+    } catch (error) {
+        console.error("Error loading absence notices:", error);
+        // Don't show error for notice loading failure
+    }
+}
+
+/**
+ * Submit an absence, late or early-pickup notice for the selected student
+ */
+async function handleSubmitNotice() {
+    if (!selectedStudentId || selectedStudentId === "none") {
+        return;
+    }
+    
+    try {
+        $w("#btnSubmitNotice").disable();
+        
+        const startDate = toPickerDateKey($w("#noticeStartDate").value);
+        await submitAbsenceNotice(selectedStudentId, {
+            type: $w("#noticeTypeDropdown").value,
+            reasonCategory: $w("#noticeReasonDropdown").value,
+            startDate: startDate,
+            endDate: toPickerDateKey($w("#noticeEndDate").value) || startDate,
+            note: $w("#noticeTextInput").value
+        });
+        
+        $w("#noticeTextInput").value = "";
+        $w("#txtNoticeMessage").text = getPortalLabel('notice_sent');
+        $w("#txtNoticeMessage").show();
+        
+        // Refresh notices and the history so the days show as excused
+        await loadNotices(selectedStudentId);
+        await loadAttendanceData(selectedStudentId);
+        
+    } catch (error) {
+        console.error("Error submitting absence notice:", error);
+        showError(error.message.replace(/^Failed to submit notice: /, ''));
+    } finally {
+        $w("#btnSubmitNotice").enable();
+    }
 }
 
 /**
@@ -0,0 +1,102 @@
+import { getSchoolAttendanceReport } from 'backend/attendanceReports.web';
+import { listClasses } from 'backend/classes.web';
+
+// Days covered when the page opens
+const DEFAULT_REPORT_DAYS = 30;
+
+$w.onReady(async function() {
+    $w("#reportTable").columns = [
+        { id: "student", dataPath: "student", label: "Student", type: "string" },
+        { id: "className", dataPath: "className", label: "Class", type: "string" },
+        { id: "expected", dataPath: "expected", label: "Expected days", type: "number" },
+        { id: "present", dataPath: "present", label: "Present", type: "number" },
+        { id: "excused", dataPath: "excused", label: "Excused absences", type: "number" },
+        { id: "unexcused", dataPath: "unexcused", label: "Unexcused absences", type: "number" },
+        { id: "late", dataPath: "late", label: "Late arrivals", type: "string" },
+        { id: "early", dataPath: "early", label: "Early departures", type: "string" },
+        { id: "rate", dataPath: "rate", label: "Attendance", type: "string" }
+    ];
+
+    const today = new Date();
+    $w("#toDatePicker").value = today;
+    $w("#fromDatePicker").value = new Date(today.getFullYear(), today.getMonth(), today.getDate() - DEFAULT_REPORT_DAYS);
+
+    $w("#btnRunReport").onClick(() => loadReport());
+
+    await loadClassFilter();
+    await loadReport();
+});
+
+/**
+ * Fill the class filter; "all" reports the whole school
+ */
+async function loadClassFilter() {
+    try {
+        const result = await listClasses(true);
+        $w("#classFilterDropdown").options = [
+            { label: "All classes", value: "all" },
+            ...result.classes.map(item => ({ label: item.grade ? `${item.name} (${item.grade})` : item.name, value: item._id }))
+        ];
+    } catch (error) {
+        console.error("Error loading classes:", error);
+        $w("#classFilterDropdown").options = [{ label: "All classes", value: "all" }];
+    }
+    $w("#classFilterDropdown").value = "all";
+}
+
+/**
+ * "YYYY-MM-DD" of a date picker value (the picker returns local midnight)
+ */
+function toPickerDateKey(date) {
+    if (!date) {
+        return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Count with its excused part, e.g. "3 (1 excused)"
+ */
+function formatWithExcused(count, excused) {
+    return excused > 0 ? `${count} (${excused} excused)` : String(count);
+}
+
+async function loadReport() {
+    try {
+        $w("#btnRunReport").disable();
+        $w("#txtReportTotals").text = "Loading...";
+
+        const classId = $w("#classFilterDropdown").value;
+        const result = await getSchoolAttendanceReport({
+            fromKey: toPickerDateKey($w("#fromDatePicker").value),
+            toKey: toPickerDateKey($w("#toDatePicker").value),
+            classId: classId && classId !== "all" ? classId : null
+        });
+
+        $w("#reportTable").rows = result.students.map(row => ({
+            student: row.studentName,
+            className: row.className || '-',
+            expected: row.expectedSchoolDays,
+            present: row.presentDays,
+            excused: row.excusedAbsences,
+            unexcused: row.unexcusedAbsences,
+            late: formatWithExcused(row.lateArrivals, row.excusedLateArrivals),
+            early: formatWithExcused(row.earlyDepartures, row.excusedEarlyDepartures),
+            rate: row.attendanceRate !== null ? `${row.attendanceRate}%` : '-'
+        }));
+
+        const totals = result.totals;
+        $w("#txtReportTotals").text = `${result.fromKey} - ${result.toKey}${result.className ? ` (${result.className})` : ''}: ${totals.studentCount} students, ` +
+            `attendance ${totals.attendanceRate !== null ? `${totals.attendanceRate}%` : '-'}, ` +
+            `${totals.excusedAbsences} excused / ${totals.unexcusedAbsences} unexcused absences, ` +
+            `${totals.lateArrivals} late arrivals, ${totals.earlyDepartures} early departures`;
+
+    } catch (error) {
+        console.error("Error loading attendance report:", error);
+        $w("#txtReportTotals").text = error.message.replace(/^Failed to build attendance report: /, '');
+    } finally {
+        $w("#btnRunReport").enable();
+    }
+}
@@ -0,0 +1,215 @@
+import { getCurrentParentData } from 'backend/attendanceManagement.web';
+import { getAuthorizedPickups, saveAuthorizedPickup, removeAuthorizedPickup } from 'backend/authorizedPickups.web';
+import { searchStudentsForOverride } from 'backend/staffOverride.web';
+
+let selectedStudentId = null;
+let editingPickupId = null; // _id of the pickup loaded into the form, null when adding
+let currentPhoto = null; // Photo of the pickup being edited, kept unless a new one is uploaded
+
+$w.onReady(async function() {
+    $w("#txtPickupMessage").hide();
+    $w("#pickupRepeater").data = [];
+    $w("#studentSearchBox").hide();
+
+    $w("#pickupRepeater").onItemReady(($item, itemData) => {
+        $item("#txtPickupName").text = itemData.name;
+        $item("#txtPickupRelation").text = itemData.phone ? `${itemData.relation} - ${itemData.phone}` : itemData.relation;
+        $item("#txtPickupValidity").text = describeValidity(itemData);
+        $item("#txtPickupValidity").style.color = itemData.isValid ? "#2AAD56" : "#E21C21";
+        if (itemData.photo) {
+            $item("#pickupItemPhoto").src = itemData.photo;
+            $item("#pickupItemPhoto").show();
+        } else {
+            $item("#pickupItemPhoto").hide();
+        }
+        $item("#btnEditPickup").onClick(() => loadPickupIntoForm(itemData));
+        $item("#btnRemovePickup").onClick(() => handleRemovePickup(itemData));
+    });
+
+    $w("#studentDropdown").onChange(() => {
+        selectStudent($w("#studentDropdown").value);
+    });
+    $w("#btnStudentSearch").onClick(() => {
+        searchStudents();
+    });
+    $w("#btnNewPickup").onClick(() => {
+        clearForm();
+    });
+    $w("#btnSavePickup").onClick(() => {
+        handleSavePickup();
+    });
+
+    await initializePage();
+});
+
+/**
+ * Parents pick from their own students; admins search all students by name
+ */
+async function initializePage() {
+    try {
+        const parentData = await getCurrentParentData();
+
+        if (parentData && parentData.assignedStudents && parentData.assignedStudents.length > 0) {
+            const options = parentData.assignedStudents.map(student => ({
+                label: student.name,
+                value: student._id
+            }));
+            $w("#studentDropdown").options = options;
+            $w("#studentDropdown").value = options[0].value;
+            await selectStudent(options[0].value);
+        } else {
+            // Not a parent - admins find the student by name
+            $w("#studentDropdown").options = [];
+            $w("#studentSearchBox").show();
+            setPickupMessage("Search for a student to manage their authorized pickups");
+        }
+
+    } catch (error) {
+        console.error("Error initializing authorized pickups page:", error);
+        setPickupMessage("Failed to load page data. Please try again.", true);
+    }
+}
+
+/**
+ * Fill the student dropdown from a name search (admins only)
+ */
+async function searchStudents() {
+    try {
+        const result = await searchStudentsForOverride(($w("#studentSearchInput").value || "").trim());
+        $w("#studentDropdown").options = result.students.map(student => ({
+            label: student.className ? `${student.name} (${student.className})` : student.name,
+            value: student.studentId
+        }));
+        if (result.students.length > 0) {
+            $w("#studentDropdown").value = result.students[0].studentId;
+            await selectStudent(result.students[0].studentId);
+        } else {
+            setPickupMessage("No students found", true);
+        }
+
+    } catch (error) {
+        console.error("Error searching students:", error);
+        setPickupMessage(error.message.replace(/^Failed to search students: /, ''), true);
+    }
+}
+
+/**
+ * Load the authorized pickups of the selected student
+ */
+async function selectStudent(studentId) {
+    selectedStudentId = studentId;
+    clearForm();
+    await loadPickups();
+}
+
+async function loadPickups() {
+    try {
+        const result = await getAuthorizedPickups(selectedStudentId);
+        $w("#pickupRepeater").data = [];
+        $w("#pickupRepeater").data = result.pickups;
+        if (result.pickups.length === 0) {
+            setPickupMessage("No authorized pickups yet - registered parents can always pick up");
+        } else {
+            $w("#txtPickupMessage").hide();
+        }
+
+    } catch (error) {
+        console.error("Error loading authorized pickups:", error);
+        setPickupMessage("Failed to load authorized pickups.", true);
+    }
+}
+
+/**
+ * Add a new pickup or save the one being edited, uploading a chosen photo first
+ */
+async function handleSavePickup() {
+    if (!selectedStudentId) {
+        setPickupMessage("Select a student first", true);
+        return;
+    }
+
+    try {
+        $w("#btnSavePickup").disable();
+
+        let photo = currentPhoto;
+        if ($w("#photoUpload").value.length > 0) {
+            const uploadedFiles = await $w("#photoUpload").uploadFiles();
+            photo = uploadedFiles[0].fileUrl;
+        }
+
+        await saveAuthorizedPickup(selectedStudentId, {
+            _id: editingPickupId || undefined,
+            name: $w("#nameInput").value,
+            relation: $w("#relationInput").value,
+            phone: $w("#phoneInput").value,
+            photo: photo,
+            validFrom: $w("#validFromPicker").value || null,
+            validUntil: $w("#validUntilPicker").value || null
+        });
+
+        setPickupMessage(editingPickupId ? "Authorized pickup updated" : "Authorized pickup added");
+        clearForm();
+        await loadPickups();
+
+    } catch (error) {
+        console.error("Error saving authorized pickup:", error);
+        setPickupMessage(error.message.replace(/^Failed to save authorized pickup: /, ''), true);
+    } finally {
+        $w("#btnSavePickup").enable();
+    }
+}
+
+async function handleRemovePickup(pickup) {
+    try {
+        await removeAuthorizedPickup(pickup._id);
+        setPickupMessage(`${pickup.name} removed`);
+        if (editingPickupId === pickup._id) {
+            clearForm();
+        }
+        await loadPickups();
+
+    } catch (error) {
+        console.error("Error removing authorized pickup:", error);
+        setPickupMessage(error.message.replace(/^Failed to remove authorized pickup: /, ''), true);
+    }
+}
+
+function loadPickupIntoForm(pickup) {
+    editingPickupId = pickup._id;
+    currentPhoto = pickup.photo;
+    $w("#nameInput").value = pickup.name;
+    $w("#relationInput").value = pickup.relation;
+    $w("#phoneInput").value = pickup.phone || "";
+    $w("#validFromPicker").value = pickup.validFrom ? new Date(`${pickup.validFrom}T00:00:00`) : undefined;
+    $w("#validUntilPicker").value = pickup.validUntil ? new Date(`${pickup.validUntil}T00:00:00`) : undefined;
+    $w("#btnSavePickup").label = "Save changes";
+}
+
+function clearForm() {
+    editingPickupId = null;
+    currentPhoto = null;
+    $w("#nameInput").value = "";
+    $w("#relationInput").value = "";
+    $w("#phoneInput").value = "";
+    $w("#photoUpload").reset();
+    $w("#validFromPicker").value = undefined;
+    $w("#validUntilPicker").value = undefined;
+    $w("#btnSavePickup").label = "Add pickup";
+}
+
+/**
+ * Validity text for the list, e.g. "Valid 2026-04-01 - 2026-07-31"
+ */
+function describeValidity(pickup) {
+    if (!pickup.validFrom && !pickup.validUntil) {
+        return "Always valid";
+    }
+    const period = `${pickup.validFrom || '...'} - ${pickup.validUntil || '...'}`;
+    return pickup.isValid ? `Valid ${period}` : `Not valid today (${period})`;
+}
+
+function setPickupMessage(text, isError = false) {
+    $w("#txtPickupMessage").text = text;
+    $w("#txtPickupMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtPickupMessage").show();
+}
@@ -0,0 +1,94 @@
+import { getBadgeClassOptions, generateBadgeSheet } from 'backend/studentBadges.web';
+
+const ALL_CLASSES = "all";
+
+$w.onReady(async function() {
+    await loadClassOptions();
+
+    $w("#btnGenerate").onClick(() => {
+        handleGenerate();
+    });
+
+    $w("#btnPrint").onClick(() => {
+        // The HTML embed prints the sheet it is currently showing
+        $w("#badgeSheetFrame").postMessage({ type: "print" });
+    });
+});
+
+/**
+ * Fill the class filter dropdown with the active classes
+ * Students are moved between classes on the class management page
+ */
+async function loadClassOptions() {
+    try {
+        $w("#btnGenerate").disable();
+        $w("#btnPrint").disable();
+        showStatus("Loading classes...");
+
+        const result = await getBadgeClassOptions();
+        $w("#classDropdown").options = [
+            { label: "All classes", value: ALL_CLASSES },
+            ...result.classes.map(classItem => ({ label: classItem.name, value: classItem.classId }))
+        ];
+        $w("#classDropdown").value = ALL_CLASSES;
+
+        $w("#btnGenerate").enable();
+        showStatus("");
+
+    } catch (error) {
+        console.error("Error loading class options:", error);
+        showStatus("Failed to load classes. Admin access is required.");
+    }
+}
+
+/**
+ * Generate the badge sheet for the selected filters and show it in the HTML embed
+ * A class limits the sheet to its members today; "New enrollments only" to students added today
+ */
+async function handleGenerate() {
+    try {
+        $w("#btnGenerate").disable();
+        $w("#btnPrint").disable();
+        showStatus("Generating badges...");
+
+        const classId = $w("#classDropdown").value;
+        const options = {
+            classId: classId && classId !== ALL_CLASSES ? classId : null,
+            createdSince: null
+        };
+        if ($w("#newEnrollmentsOnly").checked) {
+            const startOfToday = new Date();
+            startOfToday.setHours(0, 0, 0, 0);
+            options.createdSince = startOfToday.toISOString();
+        }
+
+        const result = await generateBadgeSheet(options);
+        if (result.badgeCount === 0) {
+            showStatus("No students match the selected filters.");
+            return;
+        }
+
+        // The HTML embed replaces its document with the received sheet
+        $w("#badgeSheetFrame").postMessage({ type: "sheet", html: result.html });
+        $w("#btnPrint").enable();
+        showStatus(`${result.badgeCount} badges ready to print.`);
+
+    } catch (error) {
+        console.error("Error generating badge sheet:", error);
+        showStatus("Failed to generate badges. Please try again.");
+    } finally {
+        $w("#btnGenerate").enable();
+    }
+}
+
+/**
+ * Show a status line under the filters
+ */
+function showStatus(message) {
+    $w("#statusText").text = message;
+    if (message) {
+        $w("#statusText").show();
+    } else {
+        $w("#statusText").hide();
+    }
+}
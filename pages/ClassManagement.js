@@ -0,0 +1,255 @@
+import {
+    listClasses,
+    saveClass,
+    getClassMembers,
+    assignStudentToClass,
+    endClassMembership,
+    seedClassesFromStudents
+} from 'backend/classes.web';
+import { getAllMembers } from 'backend/parentAdminManagement.web';
+import { searchStudentsForOverride } from 'backend/staffOverride.web';
+
+const KIND_LABELS = {
+    "homeroom": "Homeroom",
+    "class": "Class / group"
+};
+
+let classes = []; // Classes from the backend, including inactive ones
+let selectedClassId = null; // Class selected in #classTable, edited by the form
+let selectedMembershipId = null; // Membership selected in #memberTable, ended by #btnEndMembership
+
+$w.onReady(async function() {
+    $w("#classTable").columns = [
+        { id: "name", dataPath: "name", label: "Class", type: "string" },
+        { id: "grade", dataPath: "grade", label: "Grade", type: "string" },
+        { id: "kind", dataPath: "kind", label: "Kind", type: "string" },
+        { id: "teachers", dataPath: "teachers", label: "Teachers", type: "number" },
+        { id: "active", dataPath: "active", label: "Active", type: "string" }
+    ];
+    $w("#memberTable").columns = [
+        { id: "student", dataPath: "student", label: "Student", type: "string" },
+        { id: "period", dataPath: "period", label: "Member", type: "string" }
+    ];
+    $w("#kindDropdown").options = Object.keys(KIND_LABELS).map(kind => ({ label: KIND_LABELS[kind], value: kind }));
+    $w("#kindDropdown").value = "homeroom";
+    $w("#studentDropdown").options = [];
+    $w("#btnAssign").disable();
+    $w("#btnEndMembership").disable();
+
+    $w("#classTable").onRowSelect((event) => selectClass(event.rowData._id));
+    $w("#memberTable").onRowSelect((event) => {
+        selectedMembershipId = event.rowData._id;
+        $w("#btnEndMembership").enable();
+    });
+    $w("#btnNewClass").onClick(() => selectClass(null));
+    $w("#btnSaveClass").onClick(() => handleSaveClass());
+    $w("#btnSearchStudent").onClick(() => handleStudentSearch());
+    $w("#studentDropdown").onChange(() => {
+        if (selectedClassId) {
+            $w("#btnAssign").enable();
+        }
+    });
+    $w("#btnAssign").onClick(() => handleAssign());
+    $w("#btnEndMembership").onClick(() => handleEndMembership());
+    $w("#btnSeedClasses").onClick(() => handleSeedClasses());
+
+    await loadTeacherOptions();
+    await loadClasses();
+});
+
+/**
+ * "YYYY-MM-DD" of a date picker value (the picker returns local midnight)
+ */
+function toPickerDateKey(date) {
+    if (!date) {
+        return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Site members offered as teachers
+ */
+async function loadTeacherOptions() {
+    try {
+        const result = await getAllMembers();
+        $w("#teacherSelector").options = result.members.map(member => ({ label: member.displayName, value: member._id }));
+    } catch (error) {
+        console.error("Error loading members:", error);
+        $w("#teacherSelector").options = [];
+    }
+}
+
+async function loadClasses() {
+    try {
+        const result = await listClasses(true);
+        classes = result.classes;
+        $w("#classTable").rows = classes.map(item => ({
+            _id: item._id,
+            name: item.name,
+            grade: item.grade || '-',
+            kind: KIND_LABELS[item.kind] || item.kind,
+            teachers: item.teacherMemberIds.length,
+            active: item.active ? "Yes" : "No"
+        }));
+
+    } catch (error) {
+        console.error("Error loading classes:", error);
+        setClassMessage("Failed to load classes. Admin access is required.", true);
+    }
+}
+
+/**
+ * Show a class in the form and list its members; null starts a new class
+ */
+async function selectClass(classId) {
+    const item = classes.find(candidate => candidate._id === classId) || null;
+    selectedClassId = item ? item._id : null;
+    selectedMembershipId = null;
+
+    $w("#classNameInput").value = item ? item.name : "";
+    $w("#gradeInput").value = item ? item.grade : "";
+    $w("#kindDropdown").value = item ? item.kind : "homeroom";
+    $w("#teacherSelector").value = item ? item.teacherMemberIds : [];
+    $w("#activeCheckbox").checked = item ? item.active : true;
+    $w("#btnEndMembership").disable();
+    $w("#btnAssign").disable();
+
+    await loadMembers();
+}
+
+async function loadMembers() {
+    if (!selectedClassId) {
+        $w("#memberTable").rows = [];
+        return;
+    }
+
+    try {
+        const result = await getClassMembers(selectedClassId);
+        $w("#memberTable").rows = result.members.map(member => ({
+            _id: member.membershipId,
+            student: member.studentName,
+            period: member.endDate ? `${member.startDate} - ${member.endDate}` : `since ${member.startDate}`
+        }));
+
+    } catch (error) {
+        console.error("Error loading class members:", error);
+        setClassMessage("Failed to load class members.", true);
+    }
+}
+
+async function handleSaveClass() {
+    try {
+        $w("#btnSaveClass").disable();
+
+        const result = await saveClass({
+            _id: selectedClassId,
+            name: $w("#classNameInput").value,
+            grade: $w("#gradeInput").value,
+            kind: $w("#kindDropdown").value,
+            teacherMemberIds: $w("#teacherSelector").value || [],
+            active: $w("#activeCheckbox").checked
+        });
+
+        setClassMessage(`Class ${result.classItem.name} saved`);
+        await loadClasses();
+        await selectClass(result.classItem._id);
+
+    } catch (error) {
+        console.error("Error saving class:", error);
+        setClassMessage(error.message.replace(/^Failed to save class: /, ''), true);
+    } finally {
+        $w("#btnSaveClass").enable();
+    }
+}
+
+async function handleStudentSearch() {
+    try {
+        const result = await searchStudentsForOverride($w("#studentSearchInput").value);
+        $w("#studentDropdown").options = result.students.map(student => ({
+            label: student.className ? `${student.name} (${student.className})` : student.name,
+            value: student.studentId
+        }));
+        $w("#btnAssign").disable();
+        setClassMessage(result.students.length > 0 ? "Select a student" : "No students found", result.students.length === 0);
+
+    } catch (error) {
+        console.error("Error searching students:", error);
+        setClassMessage(error.message.replace(/^Failed to search students: /, ''), true);
+    }
+}
+
+/**
+ * Move the selected student into the selected class from the start date (default today)
+ */
+async function handleAssign() {
+    const studentId = $w("#studentDropdown").value;
+    if (!studentId || !selectedClassId) {
+        return;
+    }
+
+    try {
+        $w("#btnAssign").disable();
+        await assignStudentToClass(studentId, selectedClassId, toPickerDateKey($w("#startDatePicker").value));
+        setClassMessage("Student assigned");
+        await loadMembers();
+
+    } catch (error) {
+        console.error("Error assigning student:", error);
+        setClassMessage(error.message.replace(/^Failed to assign class: /, ''), true);
+    } finally {
+        $w("#btnAssign").enable();
+    }
+}
+
+async function handleEndMembership() {
+    const endDate = toPickerDateKey($w("#endDatePicker").value);
+    if (!selectedMembershipId || !endDate) {
+        setClassMessage("Select a member and an end date", true);
+        return;
+    }
+
+    try {
+        await endClassMembership(selectedMembershipId, endDate);
+        setClassMessage("Membership ended");
+        selectedMembershipId = null;
+        $w("#btnEndMembership").disable();
+        await loadMembers();
+
+    } catch (error) {
+        console.error("Error ending membership:", error);
+        setClassMessage(error.message.replace(/^Failed to end class membership: /, ''), true);
+    }
+}
+
+/**
+ * Create homeroom classes from the class names already stored on students
+ */
+async function handleSeedClasses() {
+    const startDate = toPickerDateKey($w("#startDatePicker").value);
+    if (!startDate) {
+        setClassMessage("Choose the start date for the memberships", true);
+        return;
+    }
+
+    try {
+        $w("#btnSeedClasses").disable();
+        const result = await seedClassesFromStudents(startDate);
+        setClassMessage(`Created ${result.classesCreated} classes and ${result.membershipsCreated} memberships`);
+        await loadClasses();
+
+    } catch (error) {
+        console.error("Error creating classes:", error);
+        setClassMessage(error.message.replace(/^Failed to create classes: /, ''), true);
+    } finally {
+        $w("#btnSeedClasses").enable();
+    }
+}
+
+function setClassMessage(text, isError = false) {
+    $w("#txtClassMessage").text = text;
+    $w("#txtClassMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtClassMessage").show();
+}
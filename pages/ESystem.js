@@ -1,101 +1,49 @@
 import wixWindow from 'wix-window';
-import wixData from 'wix-data';
-import { sendAttendanceNotification } from 'backend/emailNotifications.web';
+import wixLocation from 'wix-location';
+import { local } from 'wix-storage';
+import { authentication } from 'wix-members-frontend';
+import { getKioskConfig, recordAttendanceEvent, sendKioskHeartbeat } from 'backend/kioskAttendance.web';
+import {
+ getQueuedTaps,
+ removeQueuedTap,
+ markTapRejected,
+ getRejectedTaps,
+ markRejectedTapsReported,
+ removeRejectedTaps,
+ isNetworkError
+} from 'public/offlineQueue';
 
 let inputId = "";
 let isReady = false; // Prevents input until the page is fully ready
+let kioskToken = null; // Token identifying this device as a provisioned kiosk
+let scanMode = false; // Badge scanner input instead of the keypad
+let isSyncing = false; // Prevents overlapping offline queue replays
 
-/**
- * Creates a robust 24-hour format timestamp string for attendance records
- * Japan Standard Time is UTC+9, format: YYYY-MM-DD HH:MM:SS
- * Ensures guaranteed string output for database consistency
- */
-function create24HTimestamp() {
- try {
- // Get current UTC time
- const now = new Date();
- 
- // Create JST time by adding 9 hours to UTC
- const utcTime = now.getTime();
- const jstOffset = 9 * 60 * 60 * 1000; // 9 hours in milliseconds
- const jstTime = new Date(utcTime + jstOffset);
- 
- // Extract components and ensure they are from the JST date
- const year = jstTime.getUTCFullYear();
- const month = jstTime.getUTCMonth() + 1; // 0-based, so add 1
- const day = jstTime.getUTCDate();
- const hours = jstTime.getUTCHours();
- const minutes = jstTime.getUTCMinutes();
- const seconds = jstTime.getUTCSeconds();
- 
- // Format with zero padding and ensure string return
- const formattedDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
- const formattedTime = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
- 
- const finalTimestamp = `${formattedDate} ${formattedTime}`;
- 
- // Verify it's a string before returning
- if (typeof finalTimestamp !== 'string') {
- throw new Error('Timestamp is not a string!');
- }
- 
- console.log(`Created JST timestamp: ${finalTimestamp} (type: ${typeof finalTimestamp})`);
- return finalTimestamp;
- 
- } catch (error) {
- console.error('Error creating timestamp:', error);
- // Fallback to manual string construction
- const now = new Date();
- const jst = new Date(now.getTime() + (9 * 60 * 60 * 1000));
- return `${jst.getUTCFullYear()}-${String(jst.getUTCMonth() + 1).padStart(2, '0')}-${String(jst.getUTCDate()).padStart(2, '0')} ${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}:${String(jst.getUTCSeconds()).padStart(2, '0')}`;
- }
-}
+const SYNC_INTERVAL_MS = 30000; // How often queued offline taps are retried
+const SYNC_BATCH_SIZE = 10; // Taps replayed per run, kept below the kiosk rate limit
 
-/**
- * Validates timestamp format to ensure it matches expected pattern
- */
-function validateTimestamp(timestamp) {
- const regex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
- return typeof timestamp === 'string' && regex.test(timestamp);
-}
+const KIOSK_APP_VERSION = "1.2.0"; // Reported in heartbeats, bump when this page changes
+const HEARTBEAT_INTERVAL_MS = 60000; // How often the kiosk reports it is alive
+const MAX_REJECTED_PER_HEARTBEAT = 20; // Rejected offline taps delivered per heartbeat
+let recentErrors = []; // Errors since the last heartbeat, shown on the admin status page
+
+// Idle timeouts, replaced by the school settings once the kiosk config is loaded
+let idleSeconds = 30; // Kiosk clears input and shows the welcome screen after this
+let confirmTimeoutSeconds = 20; // Unanswered confirmation lightbox is cancelled after this
+let idleTimer = null;
+let isLightboxOpen = false; // Confirmation or staff lightbox open - idle reset is paused
 
 /**
- * Creates a robust attendance record object with validation
- * Ensures all required fields are present and properly typed
+ * Loads the kiosk token from local storage
+ * A token passed once as ?kioskToken= in the URL is saved for later visits
  */
-function createAttendanceRecord(status) {
- const timestamp = create24HTimestamp();
- 
- // Validate timestamp format
- if (!validateTimestamp(timestamp)) {
- throw new Error(`Invalid timestamp format: ${timestamp}`);
- }
- 
- // Create record object with explicit field assignment
- const record = {
- date: timestamp, // Must be string in YYYY-MM-DD HH:MM:SS format
- status: status, // login or logout
- type: "user-input" // Always include type field for tracking
- };
- 
- // Final validation to ensure data integrity
- if (typeof record.date !== 'string') {
- throw new Error('Record date is not a string!');
- }
- 
- if (!record.type) {
- throw new Error('Record type is missing!');
+function loadKioskToken() {
+ const queryToken = wixLocation.query.kioskToken;
+ if (queryToken) {
+ local.setItem("kioskToken", queryToken);
+ console.log('Kiosk token saved from URL');
  }
- 
- console.log('Created attendance record:', record);
- console.log('Record validation:', {
- dateType: typeof record.date,
- dateFormat: validateTimestamp(record.date),
- hasStatus: !!record.status,
- hasType: !!record.type
- });
- 
- return record;
+ return local.getItem("kioskToken");
 }
 
 /**
@@ -117,6 +65,7 @@ function updateDisplay() {
  */
 function handleInput(num) {
  if (!isReady) return;
+ resetIdleTimer();
  if (inputId.length < 8) {
  inputId += num.toString();
  updateDisplay();
@@ -124,149 +73,269 @@ function handleInput(num) {
 }
 
 /**
- * Updates student attendance with proper database field preservation
- * This function preserves ALL existing student fields while updating only attendanceHistory
- * Critical for maintaining data integrity in the Students database
+ * Opens the confirmation lightbox for a typed childId or a scanned badge
+ * Resets all input once the lightbox closes
  */
-async function updateAttendanceWithNotification(studentId, status) {
+function openConfirmation(identifier) {
+ isLightboxOpen = true;
+ stopIdleTimer();
+ $w("#welcomeBox").hide();
+ // Open confirmation lightbox - attendance is recorded by the backend
+ wixWindow.openLightbox("PresenceConfirmLightbox", { 
+ ...identifier,
+ kioskToken: kioskToken,
+ confirmTimeoutSeconds: confirmTimeoutSeconds
+ })
+ .then((result) => {
+ console.log('Lightbox result:', result);
+ if (result && result.action === "undo") {
+ console.log(`↩️ ${result.undoneAction} undone for ${result.studentName}`);
+ } else if (result && result.timedOut) {
+ console.log('⏱️ Confirmation timed out');
+ } else if (result && result.queued) {
+ console.log(`📥 Tap saved offline at ${result.timestamp}`);
+ } else if (result && result.success) {
+ console.log(`✅ Attendance ${result.action} completed successfully for ${result.studentName}`);
+ console.log(`Timestamp: ${result.localTime} (${result.timestamp})`);
+ // Connection works again - flush anything queued earlier
+ syncOfflineQueue();
+ }
+ // Reset input field after operation completion
+ isLightboxOpen = false;
+ resetInput();
+ resetIdleTimer();
+ })
+ .catch((error) => {
+ console.error('❌ Lightbox operation failed:', error);
+ reportError(`Lightbox failed: ${error.message}`);
+ // Reset input field even if operation failed
+ isLightboxOpen = false;
+ resetInput();
+ resetIdleTimer();
+ });
+}
+
+/**
+ * Remembers an error for the next heartbeat
+ */
+function reportError(message) {
+ recentErrors.push(`${new Date().toISOString()} ${message}`);
+ recentErrors = recentErrors.slice(-10);
+}
+
+/**
+ * Tells the backend this kiosk is alive, with its version, queue size and recent errors
+ * Reported errors are cleared only once the heartbeat got through
+ * Rejected offline taps are delivered to the kiosk status page and stay listed
+ * on this kiosk until staff resolve them there
+ */
+async function sendHeartbeat() {
+ if (!kioskToken) return;
+ const errorsToReport = recentErrors.slice();
+ const rejectedToReport = getRejectedTaps()
+ .filter(tap => !tap.reported)
+ .slice(0, MAX_REJECTED_PER_HEARTBEAT);
  try {
- console.log("=== STUDENT ATTENDANCE UPDATE ===");
- console.log(`Student ID: ${studentId}, Status: ${status}`);
- console.log(`Timestamp: ${new Date().toISOString()}`);
- 
- // Validate input parameters to ensure data quality
- if (!studentId || typeof studentId !== 'string') {
- throw new Error('Invalid student ID provided');
+ const result = await sendKioskHeartbeat(kioskToken, {
+ version: KIOSK_APP_VERSION,
+ queuedTaps: getQueuedTaps().length,
+ recentErrors: errorsToReport,
+ rejectedTaps: rejectedToReport
+ });
+ recentErrors = recentErrors.slice(errorsToReport.length);
+ if (result.registered) {
+ markRejectedTapsReported(rejectedToReport.map(tap => tap.eventId));
  }
- 
- if (!status || !['login', 'logout'].includes(status)) {
- throw new Error('Invalid status provided. Must be login or logout');
+ if (result.resolvedRejectedTapIds && result.resolvedRejectedTapIds.length > 0) {
+ removeRejectedTaps(result.resolvedRejectedTapIds);
+ updateQueueStatus();
  }
- 
- // Get current student data from database
- console.log('Querying Students database...');
- const studentResult = await wixData.query("Students")
- .eq("childId", studentId)
- .find();
- 
- if (studentResult.items.length === 0) {
- throw new Error(`Student not found with childId: ${studentId}`);
+ } catch (error) {
+ console.error('❌ Heartbeat failed:', error);
  }
- 
- const student = studentResult.items[0];
- console.log(`Student found: ${student.name} (DB ID: ${student._id})`);
- 
- // Get existing attendance history or initialize empty array
- let attendanceHistory = [];
- 
- if (student.attendanceHistory && Array.isArray(student.attendanceHistory)) {
- attendanceHistory = [...student.attendanceHistory]; // Create copy to avoid mutations
- console.log(`Existing attendance records: ${attendanceHistory.length}`);
+}
+
+/**
+ * Shows how many offline taps are still waiting to be synced
+ * and how many were rejected and need staff attention
+ */
+function updateQueueStatus() {
+ const waiting = getQueuedTaps().length;
+ const rejected = getRejectedTaps().length;
+ const messages = [];
+ if (waiting > 0) {
+ messages.push(`${waiting} tap${waiting === 1 ? '' : 's'} saved offline, will sync`);
+ }
+ if (rejected > 0) {
+ messages.push(`⚠️ ${rejected} offline tap${rejected === 1 ? '' : 's'} not recorded - staff please check the kiosk status page`);
+ }
+ if (messages.length > 0) {
+ $w("#txtQueueStatus").text = messages.join('\n');
+ $w("#txtQueueStatus").show();
  } else {
- console.log('No existing attendance history, creating new array');
+ $w("#txtQueueStatus").hide();
  }
+}
+
+/**
+ * Replays queued offline taps in order with their original timestamps
+ * The backend deduplicates by eventId, so a tap replayed twice is recorded once
+ * Taps the backend rejects (unknown ID, PIN required, too old) move to the "needs attention"
+ * list so staff can record them by hand
+ */
+async function syncOfflineQueue() {
+ if (isSyncing || !kioskToken) return;
+ const taps = getQueuedTaps().slice(0, SYNC_BATCH_SIZE);
+ if (taps.length === 0) return;
  
- // Create new attendance record with validation
- const newRecord = createAttendanceRecord(status);
- 
- // Add new record to history
- attendanceHistory.push(newRecord);
- 
- // CRITICAL: Use complete student object to preserve all existing fields
- // The spread operator (...student) copies ALL existing fields to prevent data loss
- // Only the attendanceHistory field is updated with new data
- const updatedStudent = {
- ...student, // Spread all existing fields to preserve them
- attendanceHistory: attendanceHistory // Update only the attendance history
- };
- 
- // Additional validation before database update
- const lastRecord = attendanceHistory[attendanceHistory.length - 1];
- console.log('Final record validation before DB update:', {
- recordCount: attendanceHistory.length,
- lastRecordDate: lastRecord.date,
- lastRecordType: typeof lastRecord.date,
- lastRecordStatus: lastRecord.status,
- lastRecordTypeField: lastRecord.type,
- preservedFields: Object.keys(updatedStudent).length
+ isSyncing = true;
+ console.log(`🔄 Syncing ${taps.length} offline tap(s)`);
+ try {
+ for (const tap of taps) {
+ try {
+ const result = await recordAttendanceEvent(tap.identifier, kioskToken, null, {
+ eventId: tap.eventId,
+ clientTimestamp: tap.clientTimestamp,
+ pickupGuardianId: tap.pickupGuardianId || null
  });
- 
- if (typeof lastRecord.date !== 'string') {
- throw new Error('Date is not a string before DB update!');
+ console.log(`✅ Synced offline ${result.action} for ${result.studentName}${result.duplicate ? ' (already recorded)' : ''}`);
+ removeQueuedTap(tap.eventId);
+ } catch (error) {
+ if (isNetworkError(error) || error.message.includes("Too many")) {
+ console.log('Still offline or rate limited - will retry later');
+ break;
  }
- 
- // Verify all essential student fields are preserved
- if (!updatedStudent.name || !updatedStudent.childId) {
- throw new Error('Essential student fields missing from update object!');
+ console.error(`❌ Offline tap ${tap.eventId} rejected:`, error.message);
+ reportError(`Offline tap rejected: ${error.message}`);
+ markTapRejected(tap.eventId, error.message.replace(/^Failed to record attendance: /, ''));
  }
- 
- console.log('Preserved student fields:', {
- name: updatedStudent.name,
- childId: updatedStudent.childId,
- fieldsCount: Object.keys(updatedStudent).length
- });
- 
- // Update student record in database with complete field preservation
- console.log('Updating Students database with complete object...');
- const updateResult = await wixData.update("Students", updatedStudent);
- console.log('✅ Database update successful - ALL FIELDS PRESERVED');
- console.log('Update result ID:', updateResult._id);
- 
- // Verify the update by querying the record back
- const verificationResult = await wixData.query("Students")
- .eq("_id", student._id)
- .find();
- 
- if (verificationResult.items.length > 0) {
- const updatedRecord = verificationResult.items[0];
- const latestAttendance = updatedRecord.attendanceHistory[updatedRecord.attendanceHistory.length - 1];
- console.log('✅ Database verification successful');
- console.log('Latest attendance record in DB:', latestAttendance);
- console.log('Date type in DB:', typeof latestAttendance.date);
- console.log('Verified preserved fields:', {
- name: updatedRecord.name,
- childId: updatedRecord.childId,
- email: updatedRecord.email || 'N/A',
- totalFields: Object.keys(updatedRecord).length
- });
  }
- 
- // Send email notification to parents (only for user inputs)
+ } finally {
+ isSyncing = false;
+ updateQueueStatus();
+ }
+}
+
+/**
+ * Clears typed and scanned input and refocuses the scanner field in scan mode
+ */
+function resetInput() {
+ inputId = "";
+ $w("#inputScan").value = "";
+ updateDisplay();
+ updateQueueStatus();
+ if (scanMode) {
+ $w("#inputScan").focus();
+ }
+}
+
+/**
+ * Staff mode: a teacher signs in and checks in students without an ID or logs out a group
+ * The staff member is signed out again when the lightbox closes, so the kiosk never stays authenticated
+ */
+async function openStaffMode() {
+ isLightboxOpen = true;
+ stopIdleTimer();
  try {
- console.log('=== TRIGGERING EMAIL NOTIFICATION ===');
- console.log(`Calling sendAttendanceNotification(${student._id}, ${status}, false)`);
- 
- const emailResult = await sendAttendanceNotification(student._id, status, false);
- console.log('✅ Email notification result:', emailResult);
- 
- } catch (emailError) {
- console.error('❌ Email notification failed:', emailError);
- console.error('Email error details:', {
- message: emailError.message,
- stack: emailError.stack
- });
- // Continue execution even if email fails - attendance update is more critical
+ if (!authentication.loggedIn()) {
+ await authentication.promptLogin({ mode: "login", modal: true });
  }
- 
- console.log('=== ATTENDANCE UPDATE COMPLETED SUCCESSFULLY ===');
- 
- return { 
- success: true, 
- action: status,
- timestamp: newRecord.date,
- studentName: student.name
- };
- 
+ const result = await wixWindow.openLightbox("StaffOverrideLightbox", { kioskToken: kioskToken });
+ console.log(`👩‍🏫 Staff mode closed, ${result && result.recordedCount ? result.recordedCount : 0} event(s) recorded`);
  } catch (error) {
- console.error('❌ Error in updateAttendanceWithNotification:', error);
- console.error('Error details:', {
- message: error.message,
- stack: error.stack,
- studentId: studentId,
- status: status
- });
- throw error;
+ // Closing the login dialog also ends up here
+ console.error('❌ Staff mode failed:', error);
+ } finally {
+ if (authentication.loggedIn()) {
+ await authentication.logout();
+ }
+ isLightboxOpen = false;
+ resetInput();
+ resetIdleTimer();
+ }
+}
+
+/**
+ * Loads the idle timeouts configured in the school settings
+ * Defaults stay in place when the kiosk is offline
+ */
+async function loadKioskConfig() {
+ if (!kioskToken) return;
+ try {
+ const config = await getKioskConfig(kioskToken);
+ idleSeconds = config.idleSeconds;
+ confirmTimeoutSeconds = config.confirmTimeoutSeconds;
+ console.log(`Kiosk ${config.kioskId} idle timeout: ${idleSeconds}s, confirmation timeout: ${confirmTimeoutSeconds}s`);
+ resetIdleTimer();
+ } catch (error) {
+ console.error('❌ Failed to load kiosk config, using default timeouts:', error);
+ }
+}
+
+/**
+ * Restarts the inactivity timer; called on every keypad, scanner or button interaction
+ * Paused while the confirmation lightbox is open
+ */
+function resetIdleTimer() {
+ stopIdleTimer();
+ if (isLightboxOpen) return;
+ idleTimer = setTimeout(showWelcomeScreen, idleSeconds * 1000);
+}
+
+function stopIdleTimer() {
+ if (idleTimer) {
+ clearTimeout(idleTimer);
+ idleTimer = null;
+ }
+}
+
+/**
+ * Privacy reset: clears any typed ID and returns to the welcome screen
+ * In scan mode the scanner stays active so a badge can be scanned straight away
+ */
+function showWelcomeScreen() {
+ idleTimer = null;
+ if (isLightboxOpen) return;
+ console.log('⏱️ Kiosk idle - returning to welcome screen');
+ resetInput();
+ if (!scanMode) {
+ $w("#loginBox").hide();
+ }
+ $w("#welcomeBox").show("fade", { duration: 300 });
+}
+
+/**
+ * Leaves the welcome screen on the next touch
+ */
+function hideWelcomeScreen() {
+ $w("#welcomeBox").hide();
+ if (scanMode) {
+ $w("#scanBox").show();
+ $w("#inputScan").focus();
+ } else {
+ $w("#loginBox").show("fade", { duration: 300 });
  }
+ resetIdleTimer();
+}
+
+/**
+ * Switches between keypad entry and badge scanning
+ * Hand-held and stand scanners type the QR content followed by Enter into #inputScan
+ */
+function setScanMode(enabled) {
+ scanMode = enabled;
+ if (scanMode) {
+ $w("#loginBox").hide();
+ $w("#scanBox").show("fade", { duration: 300 });
+ $w("#btnScanMode").label = "Use keypad";
+ } else {
+ $w("#scanBox").hide();
+ $w("#loginBox").show("fade", { duration: 300 });
+ $w("#btnScanMode").label = "Scan badge";
+ }
+ $w("#welcomeBox").hide();
+ resetInput();
+ resetIdleTimer();
 }
 
 /**
@@ -277,6 +346,11 @@ async function updateAttendanceWithNotification(studentId, status) {
 $w.onReady(function () {
  console.log('=== ESYSTEM PAGE INITIALIZATION ===');
  
+ kioskToken = loadKioskToken();
+ if (!kioskToken) {
+ console.error('❌ No kiosk token configured for this device');
+ }
+ 
  // Disable all interactive elements during initialization
  $w("#btnAction").disable();
  for (let i = 0; i <= 9; i++) {
@@ -284,6 +358,8 @@ $w.onReady(function () {
  }
  $w("#btnBackspace").disable();
  $w("#btnClear").disable();
+ $w("#scanBox").hide();
+ $w("#welcomeBox").hide();
 
  // Setup click and touch handlers for number buttons (0-9)
  for (let i = 0; i <= 9; i++) {
@@ -299,6 +375,7 @@ $w.onReady(function () {
  // Backspace button functionality for removing last digit
  $w("#btnBackspace").onClick(() => {
  if (!isReady) return;
+ resetIdleTimer();
  inputId = inputId.slice(0, -1);
  updateDisplay();
  });
@@ -306,6 +383,7 @@ $w.onReady(function () {
  // Clear button functionality for resetting input field
  $w("#btnClear").onClick(() => {
  if (!isReady) return;
+ resetIdleTimer();
  inputId = "";
  updateDisplay();
  });
@@ -315,28 +393,38 @@ $w.onReady(function () {
  if (!isReady || inputId.length === 0) return;
  
  console.log(`Action button clicked with inputId: ${inputId}`);
- 
- // Open confirmation lightbox with attendance update function
- wixWindow.openLightbox("PresenceConfirmLightbox", { 
- childId: inputId,
- updateAttendanceFunction: updateAttendanceWithNotification
- })
- .then((result) => {
- console.log('Lightbox result:', result);
- if (result && result.success) {
- console.log(`✅ Attendance ${result.action} completed successfully for ${result.studentName}`);
- console.log(`Timestamp: ${result.timestamp}`);
- }
- // Reset input field after operation completion
- inputId = "";
- updateDisplay();
- })
- .catch((error) => {
- console.error('❌ Lightbox operation failed:', error);
- // Reset input field even if operation failed
- inputId = "";
- updateDisplay();
+ openConfirmation({ childId: inputId });
+ });
+
+ // Badge scanner finishes each scan with Enter
+ $w("#inputScan").onKeyPress((event) => {
+ if (!isReady) return;
+ resetIdleTimer();
+ if (event.key !== "Enter") return;
+ const badgeToken = ($w("#inputScan").value || "").trim();
+ if (badgeToken.length === 0) return;
+ 
+ console.log('Badge scanned');
+ $w("#inputScan").value = "";
+ openConfirmation({ badgeToken: badgeToken });
  });
+
+ // Any touch on the welcome screen brings back the keypad or scanner
+ $w("#welcomeBox").onClick(() => {
+ if (!isReady) return;
+ hideWelcomeScreen();
+ });
+
+ // Staff sign-in for name search and group check-in/out
+ $w("#btnStaffMode").onClick(() => {
+ if (!isReady || isLightboxOpen) return;
+ openStaffMode();
+ });
+
+ // Toggle between keypad and badge scanning
+ $w("#btnScanMode").onClick(() => {
+ if (!isReady) return;
+ setScanMode(!scanMode);
  });
 
  // Initialize display state
@@ -352,7 +440,20 @@ $w.onReady(function () {
  // Show interface with smooth animation
  $w("#loginBox").show("fade", { duration: 300 });
  
+ // Replay taps saved while offline, now and periodically
+ updateQueueStatus();
+ syncOfflineQueue();
+ setInterval(syncOfflineQueue, SYNC_INTERVAL_MS);
+ 
+ // Heartbeat for the admin kiosk status page and silent-kiosk alerts
+ sendHeartbeat();
+ setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+ 
+ // Idle timeouts from the school settings; defaults until they arrive
+ loadKioskConfig();
+ 
  // Mark system as ready for user input
  isReady = true;
+ resetIdleTimer();
  console.log('✅ ESystem page initialization completed');
 });
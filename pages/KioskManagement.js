@@ -0,0 +1,145 @@
+import {
+    registerKiosk,
+    listKiosks,
+    updateKiosk,
+    rotateKioskToken
+} from 'backend/kioskRegistry.web';
+
+let kiosks = []; // Registered kiosks, including inactive ones
+let selectedKioskId = null; // Kiosk selected in #kioskTable, edited by the form (null = new kiosk)
+
+$w.onReady(async function() {
+    $w("#kioskTable").columns = [
+        { id: "kioskId", dataPath: "kioskId", label: "Kiosk ID", type: "string" },
+        { id: "name", dataPath: "name", label: "Name", type: "string" },
+        { id: "location", dataPath: "location", label: "Location", type: "string" },
+        { id: "active", dataPath: "active", label: "Active", type: "string" }
+    ];
+    $w("#txtKioskToken").hide();
+    $w("#txtKioskMessage").hide();
+
+    $w("#kioskTable").onRowSelect((event) => selectKiosk(event.rowData.kioskId));
+    $w("#btnNewKiosk").onClick(() => selectKiosk(null));
+    $w("#btnSaveKiosk").onClick(() => handleSaveKiosk());
+    $w("#btnRotateToken").onClick(() => handleRotateToken());
+
+    selectKiosk(null);
+    await loadKiosks();
+});
+
+async function loadKiosks() {
+    try {
+        const result = await listKiosks();
+        kiosks = result.kiosks;
+        $w("#kioskTable").rows = kiosks.map(kiosk => ({
+            kioskId: kiosk.kioskId,
+            name: kiosk.name,
+            location: kiosk.locationName || '-',
+            active: kiosk.active ? "Yes" : "No"
+        }));
+        // Existing locations, so a new kiosk at the same entrance reuses the exact name
+        $w("#locationSuggestions").text = result.locations.length > 0 ?
+            `Locations in use: ${result.locations.join(', ')}` :
+            "";
+
+    } catch (error) {
+        console.error("Error loading kiosks:", error);
+        setKioskMessage("Failed to load kiosks. Admin access is required.", true);
+    }
+}
+
+/**
+ * Show a kiosk in the form; null starts a new registration
+ * The kiosk ID cannot change once registered
+ */
+function selectKiosk(kioskId) {
+    const kiosk = kiosks.find(candidate => candidate.kioskId === kioskId) || null;
+    selectedKioskId = kiosk ? kiosk.kioskId : null;
+
+    $w("#kioskIdInput").value = kiosk ? kiosk.kioskId : "";
+    $w("#kioskNameInput").value = kiosk ? kiosk.name : "";
+    $w("#locationInput").value = kiosk ? kiosk.locationName || "" : "";
+    $w("#activeCheckbox").checked = kiosk ? kiosk.active : true;
+    $w("#txtKioskToken").hide();
+
+    if (kiosk) {
+        $w("#kioskIdInput").disable();
+        $w("#activeCheckbox").enable();
+        $w("#btnRotateToken").enable();
+    } else {
+        $w("#kioskIdInput").enable();
+        $w("#activeCheckbox").disable();
+        $w("#btnRotateToken").disable();
+    }
+}
+
+async function handleSaveKiosk() {
+    try {
+        $w("#btnSaveKiosk").disable();
+
+        if (selectedKioskId) {
+            const result = await updateKiosk(selectedKioskId, {
+                name: $w("#kioskNameInput").value,
+                locationName: $w("#locationInput").value,
+                active: $w("#activeCheckbox").checked
+            });
+            setKioskMessage(`Kiosk ${result.kiosk.kioskId} saved`);
+            await loadKiosks();
+            selectKiosk(result.kiosk.kioskId);
+            return;
+        }
+
+        const result = await registerKiosk({
+            kioskId: ($w("#kioskIdInput").value || "").trim(),
+            name: $w("#kioskNameInput").value,
+            locationName: $w("#locationInput").value
+        });
+        await loadKiosks();
+        selectKiosk(result.kiosk.kioskId);
+        showSetupToken(result);
+        setKioskMessage(`Kiosk ${result.kiosk.kioskId} registered`);
+
+    } catch (error) {
+        console.error("Error saving kiosk:", error);
+        setKioskMessage(error.message.replace(/^Failed to (register|update) kiosk: /, ''), true);
+    } finally {
+        $w("#btnSaveKiosk").enable();
+    }
+}
+
+/**
+ * Issue a new token for the selected kiosk; the device must be set up again
+ */
+async function handleRotateToken() {
+    if (!selectedKioskId) {
+        return;
+    }
+
+    try {
+        $w("#btnRotateToken").disable();
+        const result = await rotateKioskToken(selectedKioskId);
+        showSetupToken(result);
+        setKioskMessage(`New token issued for ${result.kiosk.kioskId} - the old token no longer works`);
+
+    } catch (error) {
+        console.error("Error rotating kiosk token:", error);
+        setKioskMessage(error.message.replace(/^Failed to rotate kiosk token: /, ''), true);
+    } finally {
+        $w("#btnRotateToken").enable();
+    }
+}
+
+/**
+ * Show the setup link once; the token cannot be retrieved again later
+ */
+function showSetupToken(result) {
+    $w("#txtKioskToken").text = `Open the kiosk page on the device with ${result.setupQuery}\n` +
+        "Copy it now - the token is shown only once.";
+    $w("#txtKioskToken").show();
+}
+
+function setKioskMessage(text, isError = false) {
+    $w("#txtKioskMessage").text = text;
+    $w("#txtKioskMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtKioskMessage").show();
+}
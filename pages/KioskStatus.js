@@ -0,0 +1,119 @@
+import { getKioskHealth, resolveRejectedTap } from 'backend/kioskRegistry.web';
+
+// Auto-refresh while the status page is open
+const REFRESH_INTERVAL_MS = 60000;
+
+const STATUS_LABELS = {
+    "online": "🟢 Online",
+    "silent": "🔴 Silent",
+    "never-seen": "⚪ Never seen",
+    "inactive": "⚫ Inactive"
+};
+
+let selectedRejectedTap = null; // Row chosen in the rejected taps table
+
+$w.onReady(async function() {
+    $w("#kioskTable").columns = [
+        { id: "name", dataPath: "name", label: "Kiosk", type: "string" },
+        { id: "location", dataPath: "location", label: "Location", type: "string" },
+        { id: "status", dataPath: "status", label: "Status", type: "string" },
+        { id: "lastSeen", dataPath: "lastSeen", label: "Last seen", type: "string" },
+        { id: "version", dataPath: "version", label: "Version", type: "string" },
+        { id: "queuedTaps", dataPath: "queuedTaps", label: "Queued taps", type: "number" },
+        { id: "errors", dataPath: "errors", label: "Recent errors", type: "string" },
+        { id: "rejectedTaps", dataPath: "rejectedTaps", label: "Needs attention", type: "number" }
+    ];
+
+    // Offline taps the backend refused on replay - record them by hand, then resolve
+    $w("#rejectedTapsTable").columns = [
+        { id: "kiosk", dataPath: "kiosk", label: "Kiosk", type: "string" },
+        { id: "student", dataPath: "student", label: "Student", type: "string" },
+        { id: "tappedAt", dataPath: "tappedAt", label: "Tapped at", type: "string" },
+        { id: "reason", dataPath: "reason", label: "Reason", type: "string" }
+    ];
+    $w("#btnResolveTap").disable();
+
+    $w("#rejectedTapsTable").onRowSelect((event) => {
+        selectedRejectedTap = event.rowData;
+        $w("#btnResolveTap").enable();
+    });
+
+    $w("#btnResolveTap").onClick(() => {
+        resolveSelectedTap();
+    });
+
+    $w("#btnRefresh").onClick(() => {
+        loadKioskHealth();
+    });
+
+    await loadKioskHealth();
+    setInterval(loadKioskHealth, REFRESH_INTERVAL_MS);
+});
+
+/**
+ * Load kiosk health from the backend and fill the table
+ */
+async function loadKioskHealth() {
+    try {
+        $w("#btnRefresh").disable();
+
+        const result = await getKioskHealth();
+        $w("#kioskTable").rows = result.kiosks.map(kiosk => ({
+            name: kiosk.name,
+            location: kiosk.locationName || '-',
+            status: STATUS_LABELS[kiosk.status] || kiosk.status,
+            lastSeen: kiosk.lastSeenLocal ?
+                `${kiosk.lastSeenLocal} (${kiosk.minutesSinceLastSeen} min ago)` :
+                '-',
+            version: kiosk.appVersion || '-',
+            queuedTaps: kiosk.queuedTaps,
+            errors: kiosk.recentErrors.length > 0 ?
+                `${kiosk.recentErrors.length} (last ${kiosk.lastErrorLocal})\n${kiosk.recentErrors[kiosk.recentErrors.length - 1]}` :
+                '-',
+            rejectedTaps: kiosk.rejectedTaps.length
+        }));
+
+        const rejectedRows = [];
+        result.kiosks.forEach(kiosk => {
+            kiosk.rejectedTaps.forEach(tap => rejectedRows.push({
+                kioskId: kiosk.kioskId,
+                eventId: tap.eventId,
+                kiosk: kiosk.name,
+                student: tap.studentName || `Unknown (${tap.identifier})`,
+                tappedAt: tap.tappedAtLocal || '-',
+                reason: tap.reason || '-'
+            }));
+        });
+        $w("#rejectedTapsTable").rows = rejectedRows;
+        selectedRejectedTap = null;
+        $w("#btnResolveTap").disable();
+
+        $w("#txtUpdated").text = `Updated ${result.generatedAtLocal} (${result.timeZone})`;
+
+    } catch (error) {
+        console.error("Error loading kiosk health:", error);
+        $w("#txtUpdated").text = "Failed to load kiosk status. Admin access is required.";
+    } finally {
+        $w("#btnRefresh").enable();
+    }
+}
+
+/**
+ * Mark the selected rejected tap as handled; the kiosk drops it with its next heartbeat
+ */
+async function resolveSelectedTap() {
+    if (!selectedRejectedTap) {
+        return;
+    }
+
+    try {
+        $w("#btnResolveTap").disable();
+        await resolveRejectedTap(selectedRejectedTap.kioskId, selectedRejectedTap.eventId);
+        await loadKioskHealth();
+
+    } catch (error) {
+        console.error("Error resolving rejected tap:", error);
+        $w("#txtUpdated").text = `Failed to resolve tap: ${error.message}`;
+        $w("#btnResolveTap").enable();
+    }
+}
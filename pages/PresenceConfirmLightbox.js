@@ -1,10 +1,23 @@
 import wixWindow from 'wix-window';
-import wixData from 'wix-data';
+import { lookupKioskStudent, recordAttendanceEvent, undoAttendanceEvent } from 'backend/kioskAttendance.web';
+import { createEventId, enqueueTap, isNetworkError } from 'public/offlineQueue';
 
-let childId = "";
-let student = null;
+let studentIdentifier = null; // Typed childId or { badgeToken } from a scanned badge
+let kioskToken = null; // Kiosk token passed from the ESystem page
+let studentName = "";
 let nextAction = "";
-let updateAttendanceFunction = null; // Store the passed function from parent page
+let pinRequired = false; // Student must enter a PIN before confirming
+let offlineMode = false; // Backend unreachable - confirm queues the tap locally
+let undoEventId = null; // Set when the student just changed state - confirm undoes it
+let recordedResult = null; // Result of the tap recorded in this lightbox, kept during the undo window
+let undoCountdown = null; // Interval counting down the undo window
+let pickupGuardians = []; // Guardians offered at logout, with photos for identity checks
+let idleTimer = null; // Cancels the confirmation when nobody answers
+let confirmTimeoutSeconds = 20; // Replaced by the school setting passed from the ESystem page
+const eventId = createEventId(); // Reused on retries so the tap is recorded once
+
+// Delay before an "ID not found" lightbox closes itself
+const NOT_FOUND_CLOSE_DELAY_MS = 3000;
 
 /**
  * Closes the lightbox with a smooth fade-out effect
@@ -17,27 +30,6 @@ function closeLightboxWithFade(result) {
         });
 }
 
-/**
- * Creates JST timestamp in the same format as ESystem
- * Ensures consistency across the application for date handling
- */
-function create24HTimestamp() {
-    const now = new Date();
-    
-    // Get JST time by using toLocaleString with Tokyo timezone
-    const jstTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Tokyo"}));
-    
-    // Format as YYYY-MM-DD HH:MM:SS in 24-hour format
-    const year = jstTime.getFullYear();
-    const month = String(jstTime.getMonth() + 1).padStart(2, '0');
-    const day = String(jstTime.getDate()).padStart(2, '0');
-    const hours = String(jstTime.getHours()).padStart(2, '0');
-    const minutes = String(jstTime.getMinutes()).padStart(2, '0');
-    const seconds = String(jstTime.getSeconds()).padStart(2, '0');
-    
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-}
-
 /**
  * Updates the UI elements with appropriate content based on student status
  * Uses separate text elements to preserve editor styling and manage only status color
@@ -113,56 +105,231 @@ function setErrorMessage(errorText) {
 }
 
 /**
- * Direct database update with proper field preservation
- * Used as fallback when the main update function is not available
- * Preserves all existing student fields while updating only attendance history
+ * Shows the undo prompt for a student who changed state moments ago
+ * A second tap inside the minimum interval offers undo instead of toggling back
+ */
+function showRecentChangePrompt(nameSurname, recentChange) {
+    const didWhat = recentChange.status === "login" ? "logged in" : "logged out";
+    $w("#txtGreetings").text = "Hey";
+    $w("#txtName").text = nameSurname;
+    $w("#txtMessage").text = `You just ${didWhat} ${recentChange.secondsAgo} seconds ago`;
+    $w("#txtStatus").text = "UNDO?";
+    $w("#txtStatus").style.color = "#DC5A26";
+    $w("#btnConfirm").label = "Undo";
+}
+
+/**
+ * Offers "Undo" for a few seconds after a confirmed tap, then closes with the recorded result
+ */
+function showUndoWindow(result) {
+    // The undo countdown closes the lightbox itself
+    stopIdleTimer();
+    $w("#pickupDropdown").hide();
+    $w("#pickupPhoto").hide();
+    $w("#txtPickupDetails").hide();
+    undoEventId = result.eventItemId;
+    let secondsLeft = result.undoWindowSeconds;
+
+    $w("#loading").hide();
+    $w("#txtGreetings").text = "Done!";
+    $w("#txtGreetings").style.color = "#2AAD56";
+    $w("#txtName").text = result.studentName;
+    $w("#txtMessage").text = `${result.action === "login" ? "Logged in" : "Logged out"} at ${result.localTime}` +
+        (result.pickedUpBy ? `, picked up by ${result.pickedUpBy}` : '');
+    $w("#txtStatus").text = "";
+    $w("#btnConfirm").label = `Undo (${secondsLeft})`;
+    $w("#btnConfirm").enable();
+
+    undoCountdown = setInterval(() => {
+        secondsLeft--;
+        if (secondsLeft <= 0) {
+            stopUndoCountdown();
+            closeLightboxWithFade(recordedResult);
+            return;
+        }
+        $w("#btnConfirm").label = `Undo (${secondsLeft})`;
+    }, 1000);
+}
+
+/**
+ * Restarts the inactivity timeout; called on every interaction with the lightbox
+ */
+function resetIdleTimer() {
+    stopIdleTimer();
+    idleTimer = setTimeout(closeOnTimeout, confirmTimeoutSeconds * 1000);
+}
+
+function stopIdleTimer() {
+    if (idleTimer) {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+    }
+}
+
+/**
+ * Privacy timeout: hides the student's name and cancels the pending confirmation
+ * A tap already recorded in this lightbox stands
  */
-async function directAttendanceUpdate(student, nextAction) {
+function closeOnTimeout() {
+    idleTimer = null;
+    console.log("⏱️ Confirmation timed out");
+    stopUndoCountdown();
+    $w("#txtName").text = "";
+    $w("#pinInput").value = "";
+    $w("#pickupPhoto").hide();
+    closeLightboxWithFade(recordedResult || { success: false, timedOut: true });
+}
+
+function stopUndoCountdown() {
+    if (undoCountdown) {
+        clearInterval(undoCountdown);
+        undoCountdown = null;
+    }
+}
+
+/**
+ * Undoes the student's last kiosk tap and closes the lightbox
+ */
+async function confirmUndo(pin) {
+    stopUndoCountdown();
+    stopIdleTimer();
     try {
-        console.log("=== FALLBACK: DIRECT DATABASE UPDATE ===");
-        
-        // Get existing attendance history or initialize empty array
-        let history = student.attendanceHistory || [];
-        
-        // Create new attendance record
-        const newRecord = {
-            date: create24HTimestamp(), // Use JST format for consistency
-            status: nextAction,
-            type: "user-input" // Mark as manual entry for tracking purposes
-        };
-        
-        // Add new record to history
-        history.push(newRecord);
-        
-        // CRITICAL: Use complete student object to preserve all existing fields
-        // The spread operator (...student) copies ALL existing fields to prevent data loss
-        // Only the attendanceHistory field is updated with new data
-        const updatedStudent = {
-            ...student, // Spread all existing fields to preserve them
-            attendanceHistory: history // Update only the attendance history
-        };
-        
-        // Verify all essential student fields are preserved
-        if (!updatedStudent.name || !updatedStudent.childId) {
-            throw new Error('Essential student fields missing from update object!');
+        console.log("=== UNDOING LAST TAP ===");
+        $w("#btnConfirm").disable();
+        $w("#loading").show();
+
+        const result = await undoAttendanceEvent(studentIdentifier, kioskToken, undoEventId, pin);
+        console.log(`↩️ ${result.undoneAction} undone for ${result.studentName}`);
+
+        closeLightboxWithFade({
+            success: true,
+            action: "undo",
+            undoneAction: result.undoneAction,
+            studentName: result.studentName
+        });
+
+    } catch (error) {
+        console.error("❌ Error undoing attendance:", error);
+        $w("#loading").hide();
+        $w("#btnConfirm").enable();
+        resetIdleTimer();
+
+        if (pinRequired && error.message.includes("PIN") && !error.message.includes("locked")) {
+            showPinError(error.message.replace(/^Failed to undo attendance: /, ''));
+            return;
         }
-        
-        console.log('Preserved student fields in fallback:', {
-            name: updatedStudent.name,
-            childId: updatedStudent.childId,
-            fieldsCount: Object.keys(updatedStudent).length
+        setErrorMessage(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the offline prompt when the student cannot be looked up
+ */
+function showOfflinePrompt() {
+    $w("#txtGreetings").text = "No connection";
+    $w("#txtGreetings").style.color = "#DC5A26";
+    $w("#txtName").text = "";
+    $w("#txtMessage").text = "save your tap and sync it later?";
+    $w("#txtStatus").text = "SAVE";
+    $w("#txtStatus").style.color = "#2AAD56";
+}
+
+/**
+ * Saves the tap to the offline queue and closes with "saved, will sync" feedback
+ * PINs are never queued; a PIN-protected tap is rejected when replayed and listed for staff
+ * When the student could not be looked up the PIN requirement is unknown, so the
+ * feedback says the tap is not confirmed yet instead of "saved"
+ */
+function queueTapAndClose(clientTimestamp) {
+    stopIdleTimer();
+    try {
+        const queueLength = enqueueTap({
+            eventId: eventId,
+            identifier: studentIdentifier,
+            studentName: studentName,
+            clientTimestamp: clientTimestamp,
+            pickupGuardianId: getSelectedPickupGuardianId()
         });
-        
-        // Update database with complete object to maintain data integrity
-        await wixData.update("Students", updatedStudent);
-        console.log("✅ Fallback attendance updated with ALL FIELDS PRESERVED");
-        
-        return { success: true };
-        
+        console.log(`📥 Tap queued offline (${queueLength} waiting)`);
+
+        if (offlineMode) {
+            $w("#txtGreetings").text = "Not confirmed yet";
+            $w("#txtGreetings").style.color = "#DC5A26";
+            $w("#txtMessage").text = "kept for sync - if you use a PIN, please tap again when the kiosk is back online";
+        } else {
+            $w("#txtGreetings").text = "Saved";
+            $w("#txtGreetings").style.color = "#2AAD56";
+            $w("#txtMessage").text = "will sync when the connection is back";
+        }
+        $w("#txtStatus").text = "";
+        setTimeout(() => closeLightboxWithFade({
+            success: true,
+            queued: true,
+            unconfirmed: offlineMode,
+            studentName: studentName,
+            timestamp: clientTimestamp
+        }), offlineMode ? 4000 : 1500);
+
     } catch (error) {
-        console.error("❌ Error in fallback direct update:", error);
-        throw error;
+        console.error("❌ Failed to queue tap offline:", error);
+        setErrorMessage("Could not save tap - please ask staff");
+    }
+}
+
+/**
+ * Offers the guardians who may collect the student on logout
+ * Choosing one is optional; the choice is stored on the event and sent to parents
+ */
+function showPickupGuardians(guardians) {
+    pickupGuardians = guardians;
+    $w("#pickupDropdown").options = guardians.map(guardian => ({
+        label: `${guardian.name} (${guardian.relation})`,
+        value: guardian.guardianId
+    }));
+    $w("#pickupDropdown").value = undefined;
+    $w("#pickupDropdown").show();
+}
+
+/**
+ * Shows the chosen guardian's photo so staff can check who is collecting the student
+ */
+function showPickupGuardianDetails() {
+    const guardian = pickupGuardians.find(candidate => candidate.guardianId === $w("#pickupDropdown").value);
+    if (guardian && guardian.photo) {
+        $w("#pickupPhoto").src = guardian.photo;
+        $w("#pickupPhoto").show();
+    } else {
+        $w("#pickupPhoto").hide();
     }
+    $w("#txtPickupDetails").text = guardian ? `${guardian.relation}${guardian.photo ? '' : ' - no photo on file, please check ID'}` : "";
+    $w("#txtPickupDetails").show();
+}
+
+/**
+ * Guardian chosen in the pickup dropdown, or null
+ */
+function getSelectedPickupGuardianId() {
+    return $w("#pickupDropdown").isVisible && $w("#pickupDropdown").value ? $w("#pickupDropdown").value : null;
+}
+
+/**
+ * Shows the PIN field for students that require a PIN
+ */
+function showPinInput() {
+    $w("#pinInput").value = "";
+    $w("#txtPinError").hide();
+    $w("#pinInput").show();
+    $w("#pinInput").focus();
+}
+
+/**
+ * Shows a PIN error below the PIN field without clearing the student details
+ */
+function showPinError(errorText) {
+    $w("#pinInput").value = "";
+    $w("#txtPinError").text = errorText;
+    $w("#txtPinError").show();
+    $w("#pinInput").focus();
 }
 
 /**
@@ -183,90 +350,129 @@ $w.onReady(function () {
     } catch (error) {
         console.error("❌ Error hiding loading element:", error);
     }
+    $w("#pinInput").hide();
+    $w("#txtPinError").hide();
+    $w("#pickupDropdown").hide();
+    $w("#pickupPhoto").hide();
+    $w("#txtPickupDetails").hide();
     
     const context = wixWindow.lightbox.getContext();
     
-    if (context && context.childId) {
-        childId = context.childId;
-        updateAttendanceFunction = context.updateAttendanceFunction; // Store the function reference
+    // Close by itself if the student walks away
+    if (context && context.confirmTimeoutSeconds) {
+        confirmTimeoutSeconds = context.confirmTimeoutSeconds;
+    }
+    resetIdleTimer();
+    $w("#pinInput").onKeyPress(() => resetIdleTimer());
+    $w("#pickupDropdown").onChange(() => {
+        resetIdleTimer();
+        showPickupGuardianDetails();
+    });
+    
+    if (context && (context.childId || context.badgeToken)) {
+        studentIdentifier = context.badgeToken ? { badgeToken: context.badgeToken } : context.childId;
+        kioskToken = context.kioskToken;
         
-        console.log("Child ID:", childId);
-        console.log("Update function available:", !!updateAttendanceFunction);
+        console.log(context.badgeToken ? "Badge scanned" : `Child ID: ${context.childId}`);
         
-        // Query student data from database
-        wixData.query("Students")
-            .eq("childId", childId)
-            .find()
-            .then((results) => {
-                console.log("Database query completed, results:", results.items.length);
+        // Look up student and next action on the backend
+        lookupKioskStudent(studentIdentifier, kioskToken)
+            .then((result) => {
+                console.log("Student lookup completed, found:", result.found);
                 
-                if (results.items.length > 0) {
-                    student = results.items[0];
-                    console.log("✅ Student found:", student.name);
-                    
-                    // Get student name with fallback for safety
-                    let nameSurname = (typeof student.name === "string" && student.name.trim().length > 0) ?
-                        student.name.trim() :
-                        "Student";
-                    
-                    console.log("Student name processed:", nameSurname);
+                if (result.found) {
+                    studentName = result.studentName;
+                    nextAction = result.nextAction;
+                    console.log("✅ Student found:", studentName);
+                    console.log(`🔄 Action determined: ${nextAction.toUpperCase()}`);
                     
-                    // Determine next action based on last attendance record
-                    let history = student.attendanceHistory || [];
-                    let last = history.length > 0 ? history[history.length - 1] : null;
+                    // Update UI elements with new approach using separate text elements
+                    updateUIElements(studentName, nextAction);
                     
-                    console.log("Attendance history length:", history.length);
-                    console.log("Last attendance record:", last);
-
-                    // Determine next action based on last status
-                    if (last && last.status === "login") {
-                        nextAction = "logout";
-                        console.log("🔄 Action determined: LOGOUT");
-                    } else {
-                        nextAction = "login";
-                        console.log("🔄 Action determined: LOGIN");
+                    if (result.recentChange) {
+                        undoEventId = result.recentChange.eventId;
+                        showRecentChangePrompt(studentName, result.recentChange);
+                    } else if (nextAction === "logout" && result.pickupGuardians && result.pickupGuardians.length > 0) {
+                        showPickupGuardians(result.pickupGuardians);
                     }
                     
-                    // Update UI elements with new approach using separate text elements
-                    updateUIElements(nameSurname, nextAction);
+                    if (result.pinLocked) {
+                        setErrorMessage("PIN locked - please ask staff");
+                        $w("#btnConfirm").disable();
+                        return;
+                    }
+                    pinRequired = result.pinRequired;
+                    if (pinRequired) {
+                        showPinInput();
+                    }
                     
                     // Enable confirm button
                     $w("#btnConfirm").enable();
                     console.log("✅ Confirm button enabled");
                     
                 } else {
-                    console.log("❌ Student not found for childId:", childId);
+                    console.log("❌ Student not found for", context.badgeToken ? "scanned badge" : `childId: ${context.childId}`);
                     // Set error message using new UI approach
-                    setErrorMessage("ID not found!");
+                    setErrorMessage(context.badgeToken ? "Badge not recognized!" : "ID not found!");
                     $w("#btnConfirm").disable();
+                    
+                    // Return to the keypad instead of waiting for Cancel
+                    stopIdleTimer();
+                    setTimeout(() => closeLightboxWithFade({ success: false, notFound: true }), NOT_FOUND_CLOSE_DELAY_MS);
                 }
             })
             .catch((error) => {
-                console.error("❌ Database query error:", error);
+                console.error("❌ Student lookup error:", error);
+                if (isNetworkError(error)) {
+                    offlineMode = true;
+                    showOfflinePrompt();
+                    $w("#btnConfirm").enable();
+                    return;
+                }
                 // Set error message using new UI approach
-                setErrorMessage("Error loading student data!");
+                // Rate limit and cooldown messages come from the backend
+                setErrorMessage(error.message.includes("Too many") ?
+                    "Too many attempts - please wait" :
+                    "Error loading student data!");
                 $w("#btnConfirm").disable();
             });
     } else {
-        console.log("❌ No context or childId provided");
+        console.log("❌ No context, childId or badgeToken provided");
         // Set error message using new UI approach
         setErrorMessage("No ID provided!");
         $w("#btnConfirm").disable();
     }
 
-    // Confirm button with immediate loading display and proper field preservation
+    // Confirm button with immediate loading display
     $w("#btnConfirm").onClick(async () => {
-        if (!student || !nextAction) {
+        const clientTimestamp = new Date().toISOString();
+        resetIdleTimer();
+        if (offlineMode) {
+            $w("#btnConfirm").disable();
+            queueTapAndClose(clientTimestamp);
+            return;
+        }
+        if (!studentName || !nextAction) {
             console.error("❌ Missing student or nextAction data");
             return;
         }
+        const pin = pinRequired ? ($w("#pinInput").value || "").trim() : null;
+        if (pinRequired && !pin) {
+            showPinError("Please enter your PIN");
+            return;
+        }
+        if (undoEventId) {
+            await confirmUndo(pin);
+            return;
+        }
 
         try {
             console.log("=== CONFIRMING ATTENDANCE ===");
-            console.log(`Processing ${nextAction} for student: ${student.name}`);
+            console.log(`Processing ${nextAction} for student: ${studentName}`);
             
             // Disable confirm button to prevent double-clicks
             $w("#btnConfirm").disable();
+            stopIdleTimer();
             console.log("Confirm button disabled");
             
             // CRITICAL: Show loading element IMMEDIATELY
@@ -279,31 +485,43 @@ $w.onReady(function () {
                 console.error("❌ Error showing loading element:", error);
             }
 
-            if (updateAttendanceFunction) {
-                // Use the passed function (recommended - includes email notifications)
-                console.log("Using passed updateAttendanceFunction");
-                await updateAttendanceFunction(childId, nextAction);
-                console.log("✅ Attendance updated via main function with email notification");
-            } else {
-                // Fallback: Direct database update with field preservation
-                console.log("Using fallback: Direct database update with field preservation");
-                await directAttendanceUpdate(student, nextAction);
-                console.log("✅ Attendance updated via fallback (no email notification)");
-            }
+            // Backend decides the action, records it and notifies parents
+            const result = await recordAttendanceEvent(studentIdentifier, kioskToken, pin, {
+                eventId: eventId,
+                clientTimestamp: clientTimestamp,
+                pickupGuardianId: getSelectedPickupGuardianId()
+            });
+            console.log(`✅ Attendance ${result.action} recorded at ${result.localTime} (${result.timestamp})`);
 
-            // Close lightbox with success result
-            closeLightboxWithFade({ 
+            recordedResult = { 
                 success: true, 
-                action: nextAction,
-                studentName: student.name,
-                timestamp: create24HTimestamp()
-            });
+                action: result.action,
+                studentName: result.studentName,
+                timestamp: result.timestamp,
+                localTime: result.localTime,
+                pickedUpBy: result.pickedUpBy
+            };
+
+            // Offer undo for mistaken taps, otherwise close with success result
+            if (result.undoWindowSeconds > 0 && result.eventItemId) {
+                showUndoWindow(result);
+            } else {
+                closeLightboxWithFade(recordedResult);
+            }
 
         } catch (error) {
             console.error("❌ Error updating attendance:", error);
             
+            // Connection dropped after lookup - keep the tap for replay
+            // PIN students cannot be replayed without their PIN, so they retry instead
+            if (isNetworkError(error) && !pinRequired) {
+                queueTapAndClose(clientTimestamp);
+                return;
+            }
+            
             // Re-enable button on error for retry
             $w("#btnConfirm").enable();
+            resetIdleTimer();
             console.log("Confirm button re-enabled due to error");
             
             // CRITICAL: Hide loading element on error
@@ -316,6 +534,12 @@ $w.onReady(function () {
                 console.error("❌ Error hiding loading element:", hideError);
             }
             
+            // Wrong PIN keeps the student details so the PIN can be retried
+            if (pinRequired && error.message.includes("PIN") && !error.message.includes("locked")) {
+                showPinError(error.message.replace(/^Failed to record attendance: /, ''));
+                return;
+            }
+            
             // Show error message using new UI approach
             setErrorMessage(`Error: ${error.message}`);
         }
@@ -324,7 +548,10 @@ $w.onReady(function () {
     // Cancel button functionality
     $w("#btnCancel").onClick(() => {
         console.log("Attendance confirmation cancelled");
-        closeLightboxWithFade({ success: false });
+        stopUndoCountdown();
+        stopIdleTimer();
+        // A tap recorded in this lightbox stands unless it was undone
+        closeLightboxWithFade(recordedResult || { success: false });
     });
     
     console.log("✅ Lightbox initialization completed");
@@ -0,0 +1,157 @@
+import {
+    getSchoolCalendar,
+    saveSchoolCalendarEntry,
+    removeSchoolCalendarEntry,
+    importSchoolCalendarICal
+} from 'backend/schoolCalendar.web';
+
+const TYPE_LABELS = {
+    "term": "Term",
+    "holiday": "Holiday",
+    "closure": "Closure",
+    "half-day": "Half-day"
+};
+
+let selectedEntryId = null; // Entry selected in the table, removed by #btnRemoveEntry
+
+$w.onReady(async function() {
+    $w("#calendarTable").columns = [
+        { id: "type", dataPath: "type", label: "Type", type: "string" },
+        { id: "title", dataPath: "title", label: "Title", type: "string" },
+        { id: "dates", dataPath: "dates", label: "Dates", type: "string" },
+        { id: "source", dataPath: "source", label: "Source", type: "string" }
+    ];
+    $w("#typeDropdown").options = Object.keys(TYPE_LABELS).map(type => ({ label: TYPE_LABELS[type], value: type }));
+    $w("#typeDropdown").value = "holiday";
+    $w("#endTimeInput").hide();
+    $w("#btnRemoveEntry").disable();
+
+    $w("#typeDropdown").onChange(() => {
+        if ($w("#typeDropdown").value === "half-day") {
+            $w("#endTimeInput").show();
+        } else {
+            $w("#endTimeInput").hide();
+        }
+    });
+    $w("#calendarTable").onRowSelect((event) => {
+        selectedEntryId = event.rowData._id;
+        $w("#btnRemoveEntry").enable();
+    });
+    $w("#btnSaveEntry").onClick(() => handleSaveEntry());
+    $w("#btnRemoveEntry").onClick(() => handleRemoveEntry());
+    $w("#btnImport").onClick(() => handleImport());
+
+    await loadCalendar();
+});
+
+/**
+ * "YYYY-MM-DD" of a date picker value (the picker returns local midnight)
+ */
+function toPickerDateKey(date) {
+    if (!date) {
+        return null;
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load entries from the start of last year to the end of next year
+ */
+async function loadCalendar() {
+    try {
+        const year = new Date().getFullYear();
+        const result = await getSchoolCalendar(`${year - 1}-01-01`, `${year + 1}-12-31`);
+
+        $w("#calendarTable").rows = result.entries.map(entry => ({
+            _id: entry._id,
+            type: TYPE_LABELS[entry.type] || entry.type,
+            title: entry.type === "half-day" && entry.endTime ? `${entry.title} (until ${entry.endTime})` : entry.title,
+            dates: entry.startDate === entry.endDate ? entry.startDate : `${entry.startDate} - ${entry.endDate}`,
+            source: entry.source === "ical" ? "iCal import" : "Manual"
+        }));
+        selectedEntryId = null;
+        $w("#btnRemoveEntry").disable();
+
+    } catch (error) {
+        console.error("Error loading school calendar:", error);
+        setCalendarMessage("Failed to load the school calendar. Admin access is required.", true);
+    }
+}
+
+async function handleSaveEntry() {
+    try {
+        $w("#btnSaveEntry").disable();
+
+        const startDate = toPickerDateKey($w("#startDatePicker").value);
+        await saveSchoolCalendarEntry({
+            type: $w("#typeDropdown").value,
+            title: $w("#titleInput").value,
+            startDate: startDate,
+            endDate: toPickerDateKey($w("#endDatePicker").value) || startDate,
+            endTime: $w("#endTimeInput").value || null
+        });
+
+        setCalendarMessage("Calendar entry saved");
+        $w("#titleInput").value = "";
+        await loadCalendar();
+
+    } catch (error) {
+        console.error("Error saving calendar entry:", error);
+        setCalendarMessage(error.message.replace(/^Failed to save calendar entry: /, ''), true);
+    } finally {
+        $w("#btnSaveEntry").enable();
+    }
+}
+
+async function handleRemoveEntry() {
+    if (!selectedEntryId) {
+        return;
+    }
+
+    try {
+        await removeSchoolCalendarEntry(selectedEntryId);
+        setCalendarMessage("Calendar entry removed");
+        await loadCalendar();
+
+    } catch (error) {
+        console.error("Error removing calendar entry:", error);
+        setCalendarMessage("Failed to remove the calendar entry.", true);
+    }
+}
+
+/**
+ * Import holidays from a pasted iCal file or a public calendar URL
+ * e.g. the Japanese public holiday calendar published by Google Calendar
+ */
+async function handleImport() {
+    const icsText = ($w("#icalTextInput").value || "").trim();
+    const url = ($w("#icalUrlInput").value || "").trim();
+    if (!icsText && !url) {
+        setCalendarMessage("Paste an iCal file or enter a calendar URL", true);
+        return;
+    }
+
+    try {
+        $w("#btnImport").disable();
+        setCalendarMessage("Importing...");
+
+        const result = await importSchoolCalendarICal(icsText ? { icsText: icsText } : { url: url }, "holiday");
+        setCalendarMessage(`Imported ${result.eventCount} holidays (${result.firstDate} - ${result.lastDate}): ${result.inserted} new, ${result.updated} updated`);
+        $w("#icalTextInput").value = "";
+        await loadCalendar();
+
+    } catch (error) {
+        console.error("Error importing calendar:", error);
+        setCalendarMessage(error.message.replace(/^Failed to import calendar: /, ''), true);
+    } finally {
+        $w("#btnImport").enable();
+    }
+}
+
+function setCalendarMessage(text, isError = false) {
+    $w("#txtCalendarMessage").text = text;
+    $w("#txtCalendarMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtCalendarMessage").show();
+}
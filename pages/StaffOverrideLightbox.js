@@ -0,0 +1,154 @@
+import wixWindow from 'wix-window';
+import { searchStudentsForOverride, recordStaffOverride } from 'backend/staffOverride.web';
+
+let kioskToken = null; // Kiosk token passed from the ESystem page, tags events with the location
+let selectedStudentIds = new Set(); // Students ticked in the search results
+let recordedCount = 0; // Events recorded while the lightbox was open
+
+/**
+ * Shows a status line below the form
+ */
+function setStaffMessage(text, isError = false) {
+    $w("#txtStaffMessage").text = text;
+    $w("#txtStaffMessage").style.color = isError ? "#E21C21" : "#2AAD56";
+    $w("#txtStaffMessage").show();
+}
+
+/**
+ * Enables "Apply" only with a selection and a reason
+ */
+function updateApplyButton() {
+    const reason = ($w("#reasonInput").value || "").trim();
+    if (selectedStudentIds.size > 0 && reason.length > 0) {
+        $w("#btnApply").enable();
+    } else {
+        $w("#btnApply").disable();
+    }
+    $w("#btnApply").label = `Apply to ${selectedStudentIds.size} student${selectedStudentIds.size === 1 ? '' : 's'}`;
+}
+
+/**
+ * Searches students by name and lists them with their current state
+ */
+async function searchStudents() {
+    const nameQuery = ($w("#searchInput").value || "").trim();
+    if (nameQuery.length < 2) {
+        setStaffMessage("Enter at least 2 characters", true);
+        return;
+    }
+
+    try {
+        $w("#btnSearch").disable();
+        const result = await searchStudentsForOverride(nameQuery);
+
+        // Clear first so items already shown are rendered again with their new state
+        $w("#studentRepeater").data = [];
+        $w("#studentRepeater").data = result.students.map(student => ({
+            _id: student.studentId,
+            name: student.name,
+            className: student.className,
+            status: student.status
+        }));
+
+        if (result.students.length === 0) {
+            setStaffMessage("No students found", true);
+        } else {
+            setStaffMessage(`${result.students.length} student${result.students.length === 1 ? '' : 's'} found${result.hasMore ? ' - refine the name to see more' : ''}`);
+        }
+
+    } catch (error) {
+        console.error("❌ Student search failed:", error);
+        setStaffMessage(error.message.includes("Forbidden") ? "Staff access required" : "Search failed", true);
+    } finally {
+        $w("#btnSearch").enable();
+    }
+}
+
+/**
+ * Logs in or logs out every selected student with the entered reason
+ */
+async function applyOverride() {
+    const action = $w("#actionSelect").value;
+    const reason = ($w("#reasonInput").value || "").trim();
+    if (selectedStudentIds.size === 0 || !reason) {
+        return;
+    }
+
+    try {
+        $w("#btnApply").disable();
+        console.log(`=== STAFF OVERRIDE: ${action} for ${selectedStudentIds.size} student(s) ===`);
+
+        const result = await recordStaffOverride({
+            studentIds: [...selectedStudentIds],
+            action: action,
+            reason: reason,
+            kioskToken: kioskToken
+        });
+        recordedCount += result.recordedCount;
+
+        // Refresh the list so the new states are shown
+        selectedStudentIds = new Set();
+        await searchStudents();
+
+        const skipped = result.results.filter(item => !item.recorded);
+        setStaffMessage(`${action === "login" ? "Logged in" : "Logged out"} ${result.recordedCount} student${result.recordedCount === 1 ? '' : 's'}` +
+            (skipped.length > 0 ? `, skipped ${skipped.length} (${skipped.map(item => `${item.studentName || item.studentId}: ${item.message}`).join('; ')})` : ''),
+            skipped.length > 0 && result.recordedCount === 0);
+
+    } catch (error) {
+        console.error("❌ Staff override failed:", error);
+        setStaffMessage(error.message.replace(/^Failed to record staff override: /, ''), true);
+    } finally {
+        updateApplyButton();
+    }
+}
+
+/**
+ * Staff mode lightbox: search students by name and log a group in or out
+ * Opened from ESystem after a staff member signs in
+ */
+$w.onReady(function () {
+    console.log("=== STAFF OVERRIDE LIGHTBOX INITIALIZATION ===");
+
+    const context = wixWindow.lightbox.getContext();
+    kioskToken = context && context.kioskToken ? context.kioskToken : null;
+
+    $w("#txtStaffMessage").hide();
+    $w("#actionSelect").options = [
+        { label: "Log in", value: "login" },
+        { label: "Log out", value: "logout" }
+    ];
+    $w("#actionSelect").value = "login";
+    $w("#studentRepeater").data = [];
+    updateApplyButton();
+
+    $w("#studentRepeater").onItemReady(($item, itemData) => {
+        $item("#txtStudentName").text = itemData.className ? `${itemData.name} (${itemData.className})` : itemData.name;
+        $item("#txtStudentStatus").text = itemData.status === "login" ? "In" : "Out";
+        $item("#txtStudentStatus").style.color = itemData.status === "login" ? "#2AAD56" : "#DC5A26";
+        $item("#chkSelect").checked = selectedStudentIds.has(itemData._id);
+        $item("#chkSelect").onChange(() => {
+            if ($item("#chkSelect").checked) {
+                selectedStudentIds.add(itemData._id);
+            } else {
+                selectedStudentIds.delete(itemData._id);
+            }
+            updateApplyButton();
+        });
+    });
+
+    $w("#btnSearch").onClick(() => searchStudents());
+    $w("#searchInput").onKeyPress((event) => {
+        if (event.key === "Enter") {
+            searchStudents();
+        }
+    });
+    $w("#reasonInput").onInput(() => updateApplyButton());
+    $w("#btnApply").onClick(() => applyOverride());
+
+    $w("#btnClose").onClick(() => {
+        wixWindow.lightbox.close({ success: true, staffOverride: true, recordedCount: recordedCount });
+    });
+
+    console.log("✅ Staff override lightbox initialization completed");
+});
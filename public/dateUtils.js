@@ -0,0 +1,216 @@
+/**
+ * Shared date utilities for attendance timestamps
+ * Events are stored as UTC instants; every calendar or wall-clock value
+ * (day grouping, display times, scheduled times) is derived in the school timezone
+ * Used by backend modules and page code alike
+ */
+
+// Fallback when no school timezone is configured
+export const DEFAULT_TIME_ZONE = "Asia/Tokyo";
+
+// Timezone of legacy naive "YYYY-MM-DD HH:MM:SS" strings written by the kiosk
+export const LEGACY_TIME_ZONE = "Asia/Tokyo";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAY_KANJI = ['日', '月', '火', '水', '木', '金', '土'];
+
+const formatterCache = {};
+
+/**
+ * Get a cached Intl formatter producing numeric parts in the given timezone
+ */
+function getPartsFormatter(timeZone) {
+    if (!formatterCache[timeZone]) {
+        formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatterCache[timeZone];
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getPartsFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Convert a Date, ISO string or epoch value to a valid Date, or null
+ */
+export function toDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get wall-clock parts of an instant in a timezone
+ * Returns { year, month (1-12), day, hours, minutes, seconds, weekday (0 = Sunday) }
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = {};
+    getPartsFormatter(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    });
+
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hours: parts.hour,
+        minutes: parts.minute,
+        seconds: parts.second,
+        weekday: weekday
+    };
+}
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the UTC instant
+ * dateKey is "YYYY-MM-DD"; time is "HH:MM" or "HH:MM:SS"
+ */
+export function zonedTimeToUtc(dateKey, time = "00:00", timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes, seconds] = time.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours || 0, minutes || 0, seconds || 0);
+
+    // Two passes handle instants near a DST transition
+    let utcMs = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+    utcMs = wallClockAsUtc - getTimeZoneOffsetMs(new Date(utcMs), timeZone);
+
+    return new Date(utcMs);
+}
+
+/**
+ * Calendar day of an instant in the timezone, as "YYYY-MM-DD"
+ */
+export function toDateKey(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = getZonedParts(date, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Wall-clock time of an instant in the timezone, as "HH:MM" (24h)
+ */
+export function formatTime(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = getZonedParts(date, timeZone);
+    return `${pad(parts.hours)}:${pad(parts.minutes)}`;
+}
+
+/**
+ * Instant in the timezone as "YYYY-MM-DD HH:MM:SS" for logs and admin reports
+ */
+export function formatZonedTimestamp(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = getZonedParts(date, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`;
+}
+
+/**
+ * Display date for a calendar day
+ * English: "YYYY/MM/DD, Monday" - Japanese: "YYYY/MM/DD 月"
+ */
+export function formatDisplayDate(dateKey, language = 'en') {
+    const [year, month, day] = dateKey.split('-');
+    const weekday = getWeekdayOfDateKey(dateKey);
+
+    if (language === 'ja') {
+        return `${year}/${month}/${day} ${WEEKDAY_KANJI[weekday]}`;
+    }
+    return `${year}/${month}/${day}, ${WEEKDAY_NAMES[weekday]}`;
+}
+
+/**
+ * Weekday of a "YYYY-MM-DD" calendar day (0 = Sunday)
+ */
+export function getWeekdayOfDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Shift a "YYYY-MM-DD" calendar day by a number of days
+ */
+export function addDaysToDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+    return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+}
+
+/**
+ * Instant of local midnight for the day containing the given instant
+ */
+export function getDayStart(date, timeZone = DEFAULT_TIME_ZONE) {
+    return zonedTimeToUtc(toDateKey(date, timeZone), "00:00", timeZone);
+}
+
+/**
+ * Parse any stored attendance timestamp into a Date instant
+ * Supported formats:
+ * - Date objects and ISO 8601 strings with a zone ("2024-05-01T08:00:00.000Z")
+ * - "YYYY-MM-DD HH:MM:SS" and "YYYY-MM-DD HH:MM:SS JST" legacy kiosk strings,
+ *   and ISO strings without a zone, read as wall time in naiveTimeZone
+ * Returns null when the value cannot be parsed
+ */
+export function parseTimestamp(value, naiveTimeZone = LEGACY_TIME_ZONE) {
+    if (value instanceof Date) {
+        return toDate(value);
+    }
+
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const trimmed = value.trim().replace(/\s*JST$/, '');
+
+    const naiveMatch = trimmed.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+    if (naiveMatch) {
+        const [, year, month, day, hours, minutes, seconds] = naiveMatch;
+        return zonedTimeToUtc(
+            `${year}-${pad(month)}-${pad(day)}`,
+            `${pad(hours)}:${minutes}:${seconds || '00'}`,
+            naiveTimeZone
+        );
+    }
+
+    if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(trimmed)) {
+        return toDate(trimmed);
+    }
+
+    return null;
+}
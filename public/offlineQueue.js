@@ -0,0 +1,131 @@
+import { local } from 'wix-storage';
+
+/**
+ * Local queue of kiosk taps that could not reach the backend
+ * Entries survive page reloads in local storage and are replayed by the ESystem page
+ * Each entry keeps its eventId so the backend can ignore replays it already recorded
+ * Taps the backend rejects on replay move to a "needs attention" list that is reported
+ * to the kiosk status page and kept until staff resolve them there
+ */
+
+const QUEUE_STORAGE_KEY = "offlineAttendanceQueue";
+const REJECTED_STORAGE_KEY = "offlineRejectedTaps";
+
+// Hard cap so a long outage cannot fill local storage
+const MAX_QUEUED_TAPS = 500;
+const MAX_REJECTED_TAPS = 100;
+
+/**
+ * Create a unique event ID for a kiosk tap
+ */
+export function createEventId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return `kiosk-${crypto.randomUUID()}`;
+    }
+    return `kiosk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Whether a failed backend call failed because the kiosk is offline
+ * Errors raised by the backend itself are not network errors
+ */
+export function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+    }
+    const message = (error && error.message) || '';
+    return /network|failed to fetch|timed? ?out|connection/i.test(message) &&
+        !/^Failed to (record|look up)/.test(message);
+}
+
+/**
+ * Get queued taps, oldest first
+ */
+export function getQueuedTaps() {
+    return readTaps(QUEUE_STORAGE_KEY);
+}
+
+function saveQueuedTaps(taps) {
+    local.setItem(QUEUE_STORAGE_KEY, JSON.stringify(taps));
+}
+
+function readTaps(storageKey) {
+    try {
+        return JSON.parse(local.getItem(storageKey) || '[]');
+    } catch (error) {
+        console.error(`❌ ${storageKey} is corrupted, starting a new one:`, error);
+        return [];
+    }
+}
+
+/**
+ * Queue a tap for later replay
+ * tap: { eventId, identifier, studentName, clientTimestamp, pickupGuardianId } - PINs are never stored
+ * studentName is empty when the student could not be looked up before queueing
+ */
+export function enqueueTap(tap) {
+    const taps = getQueuedTaps();
+    if (taps.some(queued => queued.eventId === tap.eventId)) {
+        return taps.length;
+    }
+    if (taps.length >= MAX_QUEUED_TAPS) {
+        throw new Error("Offline queue is full");
+    }
+    taps.push(tap);
+    saveQueuedTaps(taps);
+    return taps.length;
+}
+
+/**
+ * Remove a tap once the backend has recorded it
+ */
+export function removeQueuedTap(eventId) {
+    saveQueuedTaps(getQueuedTaps().filter(tap => tap.eventId !== eventId));
+}
+
+/**
+ * Move a tap the backend permanently rejected from the queue to the "needs attention" list
+ * The oldest rejected taps are dropped once MAX_REJECTED_TAPS is reached
+ */
+export function markTapRejected(eventId, reason) {
+    const tap = getQueuedTaps().find(queued => queued.eventId === eventId);
+    removeQueuedTap(eventId);
+    if (!tap) {
+        return;
+    }
+
+    const rejected = getRejectedTaps().filter(entry => entry.eventId !== eventId);
+    rejected.push({
+        ...tap,
+        reason: reason,
+        rejectedAt: new Date().toISOString(),
+        reported: false
+    });
+    saveRejectedTaps(rejected.slice(-MAX_REJECTED_TAPS));
+}
+
+/**
+ * Get rejected taps still waiting for staff, oldest first
+ */
+export function getRejectedTaps() {
+    return readTaps(REJECTED_STORAGE_KEY);
+}
+
+function saveRejectedTaps(taps) {
+    local.setItem(REJECTED_STORAGE_KEY, JSON.stringify(taps));
+}
+
+/**
+ * Flag rejected taps as delivered to the kiosk status page
+ */
+export function markRejectedTapsReported(eventIds) {
+    saveRejectedTaps(getRejectedTaps().map(tap =>
+        eventIds.includes(tap.eventId) ? { ...tap, reported: true } : tap));
+}
+
+/**
+ * Forget rejected taps that staff resolved on the kiosk status page
+ */
+export function removeRejectedTaps(eventIds) {
+    saveRejectedTaps(getRejectedTaps().filter(tap => !eventIds.includes(tap.eventId)));
+}
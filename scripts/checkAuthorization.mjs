@@ -0,0 +1,174 @@
+// Static check that every backend web method is guarded
+// Run from the repository root before publishing: node scripts/checkAuthorization.mjs
+// - SiteMember methods call requireAccess with their own name (directly or through a helper
+//   in the same file) and have an entry in PROTECTED_WEB_METHODS, unless they only serve
+//   the calling parent's own data (OWN_DATA_METHODS)
+// - Anyone methods authenticate the kiosk token
+// - Every PROTECTED_WEB_METHODS entry belongs to an existing web method
+// - Admin and staff role IDs are configured and never include the parent role
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+const BACKEND_DIR = join(process.cwd(), 'backend');
+
+// Methods scoped to the caller's own parent record instead of a role
+const OWN_DATA_METHODS = {
+    getCurrentParentData: /currentMember\.getMember\(/,
+    getStudentAttendanceHistory: /getCurrentParentData\(/,
+    getAttendanceStatistics: /getCurrentParentData\(/,
+    updateStudentBirthday: /getCurrentParentData\(/,
+    submitAbsenceNotice: /getParentOfStudent\(/
+};
+
+// Anyone methods are only for registered kiosks
+const KIOSK_GUARD = /authenticateKiosk\(/;
+
+const problems = [];
+
+function readBackendFile(fileName) {
+    return readFileSync(join(BACKEND_DIR, fileName), 'utf8');
+}
+
+/**
+ * PROTECTED_WEB_METHODS entries and role ID lists from backend/authorization.js
+ */
+function readPolicy() {
+    const source = readBackendFile('authorization.js');
+
+    const table = source.match(/PROTECTED_WEB_METHODS = \{([\s\S]*?)\n\};/);
+    if (!table) {
+        throw new Error("PROTECTED_WEB_METHODS not found in backend/authorization.js");
+    }
+    const protectedMethods = new Map(
+        [...table[1].matchAll(/^\s*(\w+): ACCESS_LEVELS\.(\w+)/gm)].map(match => [match[1], match[2]])
+    );
+
+    const readIds = (name) => {
+        const list = source.match(new RegExp(`export const ${name} = \\[([^\\]]*)\\]`));
+        return list ? [...list[1].matchAll(/"([^"]+)"/g)].map(match => match[1]) : null;
+    };
+    const parentRole = source.match(/export const PARENT_ROLE_ID = "([^"]+)"/);
+
+    return {
+        protectedMethods,
+        adminRoleIds: readIds('ADMIN_ROLE_IDS'),
+        staffRoleIds: readIds('STAFF_ROLE_IDS'),
+        parentRoleId: parentRole ? parentRole[1] : null
+    };
+}
+
+/**
+ * Names of same-file helpers that pass one of their parameters to requireAccess
+ */
+function findAccessHelpers(source) {
+    const helpers = [];
+    for (const match of source.matchAll(/function (\w+)\(([^)]*)\)\s*\{/g)) {
+        const body = source.slice(match.index, findBlockEnd(source, match.index + match[0].length - 1));
+        const params = match[2].split(',').map(param => param.trim().split('=')[0].trim()).filter(Boolean);
+        if (params.some(param => body.includes(`requireAccess(${param})`))) {
+            helpers.push(match[1]);
+        }
+    }
+    return helpers;
+}
+
+/**
+ * Index just past the brace that closes the block opened at openIndex
+ * Braces inside strings and template literals are rare enough here to ignore
+ */
+function findBlockEnd(source, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < source.length; i++) {
+        if (source[i] === '{') depth++;
+        if (source[i] === '}' && --depth === 0) return i + 1;
+    }
+    return source.length;
+}
+
+/**
+ * Exported web methods with their permission and source text
+ */
+function findWebMethods(fileName, source) {
+    const matches = [...source.matchAll(/export const (\w+) = webMethod\(\s*Permissions\.(\w+)/g)];
+    return matches.map((match, index) => ({
+        fileName,
+        name: match[1],
+        permission: match[2],
+        body: source.slice(match.index, index + 1 < matches.length ? matches[index + 1].index : source.length)
+    }));
+}
+
+function checkWebMethod(method, helpers, policy) {
+    const where = `${method.fileName}: ${method.name}`;
+
+    if (method.permission === 'Anyone') {
+        if (!KIOSK_GUARD.test(method.body)) {
+            problems.push(`${where} is open to Anyone but does not authenticate the kiosk token`);
+        }
+        return;
+    }
+    if (method.permission !== 'SiteMember') {
+        return;
+    }
+
+    if (OWN_DATA_METHODS[method.name]) {
+        if (!OWN_DATA_METHODS[method.name].test(method.body)) {
+            problems.push(`${where} is listed as parent-scoped but no longer checks the calling parent`);
+        }
+        return;
+    }
+
+    if (!policy.protectedMethods.has(method.name)) {
+        problems.push(`${where} has no PROTECTED_WEB_METHODS entry`);
+    }
+
+    const guardedDirectly = method.body.includes(`requireAccess("${method.name}")`);
+    const guardedByHelper = helpers.some(helper =>
+        new RegExp(`${helper}\\([^)]*"${method.name}"`).test(method.body));
+    if (!guardedDirectly && !guardedByHelper) {
+        problems.push(`${where} does not call requireAccess("${method.name}")`);
+    }
+}
+
+function checkRoleIds(policy) {
+    [['ADMIN_ROLE_IDS', policy.adminRoleIds], ['STAFF_ROLE_IDS', policy.staffRoleIds]].forEach(([name, ids]) => {
+        if (!ids) {
+            problems.push(`authorization.js: ${name} not found`);
+        } else if (ids.length === 0) {
+            problems.push(`authorization.js: ${name} is empty - nobody has this access level`);
+        } else if (ids.includes(policy.parentRoleId)) {
+            problems.push(`authorization.js: ${name} includes PARENT_ROLE_ID`);
+        }
+    });
+}
+
+const policy = readPolicy();
+const exportedMethods = new Set();
+
+readdirSync(BACKEND_DIR)
+    .filter(fileName => fileName.endsWith('.web.js'))
+    .sort()
+    .forEach(fileName => {
+        const source = readBackendFile(fileName);
+        const helpers = findAccessHelpers(source);
+        findWebMethods(fileName, source).forEach(method => {
+            exportedMethods.add(method.name);
+            checkWebMethod(method, helpers, policy);
+        });
+    });
+
+policy.protectedMethods.forEach((level, methodName) => {
+    if (!exportedMethods.has(methodName)) {
+        problems.push(`authorization.js: PROTECTED_WEB_METHODS.${methodName} has no web method`);
+    }
+});
+
+checkRoleIds(policy);
+
+if (problems.length > 0) {
+    console.error(`❌ ${problems.length} authorization problems:`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+}
+
+console.log(`✅ ${exportedMethods.size} web methods checked, ${policy.protectedMethods.size} protected`);